@@ -0,0 +1,136 @@
+// Headless shot runner - simulates shots against a level without a browser
+// Usage: node simulate.js <level.json> --seed <seed> --angle <degrees> [--angle <degrees> ...]
+//        [--hash-interval <frames>] [--hash-out <file>] [--compare-hashes <file>]
+//        [--distribution <uniform|stratified|minDistance|reachability>]
+//        [--save-out <file>] [--resume <file>]
+import { readFileSync, writeFileSync } from 'fs';
+import { Simulation } from './src/simulation/Simulation.js';
+import { StateHashLog } from './src/simulation/StateHashLog.js';
+import { GameSave } from './src/utils/GameSave.js';
+import { GameState } from './src/utils/GameStateMachine.js';
+import { LevelLoader, LevelValidationError } from './src/utils/LevelLoader.js';
+
+const args = process.argv.slice(2);
+let levelPath = null;
+let seed = null;
+const angles = [];
+let hashInterval = null;
+let hashOutPath = null;
+let compareHashesPath = null;
+let distribution = null;
+let saveOutPath = null;
+let resumePath = null;
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--seed') {
+        seed = parseInt(args[++i], 10);
+    } else if (arg === '--angle') {
+        angles.push(parseFloat(args[++i]));
+    } else if (arg === '--hash-interval') {
+        hashInterval = parseInt(args[++i], 10);
+    } else if (arg === '--hash-out') {
+        hashOutPath = args[++i];
+    } else if (arg === '--compare-hashes') {
+        compareHashesPath = args[++i];
+    } else if (arg === '--distribution') {
+        distribution = args[++i];
+    } else if (arg === '--save-out') {
+        saveOutPath = args[++i];
+    } else if (arg === '--resume') {
+        resumePath = args[++i];
+    } else if (!levelPath) {
+        levelPath = arg;
+    }
+}
+
+// A saved game brings its own seed and orange layout
+const resumeSave = resumePath ? GameSave.fromJSON(JSON.parse(readFileSync(resumePath, 'utf-8'))) : null;
+if (resumeSave) {
+    seed = resumeSave.seed;
+    distribution = resumeSave.orangeDistribution;
+}
+
+if (!levelPath || seed === null || isNaN(seed) || angles.length === 0 || angles.some(isNaN)) {
+    console.error('Usage: node simulate.js <level.json> --seed <seed> --angle <degrees> [--angle <degrees> ...]');
+    console.error('       [--hash-interval <frames>] [--hash-out <file>] [--compare-hashes <file>]');
+    console.error('       [--distribution <uniform|stratified|minDistance|reachability>]');
+    console.error('       [--save-out <file>] [--resume <file>]');
+    process.exit(1);
+}
+
+// A saved stream fixes the interval so the two logs line up
+const expectedHashes = compareHashesPath
+    ? StateHashLog.fromJSON(JSON.parse(readFileSync(compareHashesPath, 'utf-8')))
+    : null;
+if (expectedHashes) {
+    hashInterval = expectedHashes.interval;
+}
+
+const levelData = JSON.parse(readFileSync(levelPath, 'utf-8'));
+
+const simulation = new Simulation();
+simulation.setSeed(seed);
+simulation.orangeDistribution = distribution;
+try {
+    simulation.load(levelData);
+} catch (error) {
+    if (!(error instanceof LevelValidationError)) throw error;
+    console.error(`Invalid level ${levelPath}:`);
+    error.report.errors.forEach(issue => console.error(`  error   ${LevelLoader.formatIssue(issue)}`));
+    error.report.warnings.forEach(issue => console.error(`  warning ${LevelLoader.formatIssue(issue)}`));
+    process.exit(1);
+}
+if (resumeSave) {
+    simulation.restoreSaveState(resumeSave.state);
+}
+if (hashInterval !== null || hashOutPath) {
+    simulation.stateHashLog = new StateHashLog(hashInterval || 1);
+}
+
+const shots = [];
+for (const angle of angles) {
+    // Stop once the level is won or lost
+    if (!simulation.stateMachine.is(GameState.AIMING)) {
+        break;
+    }
+    shots.push({ angle, ...simulation.runShot(angle) });
+}
+
+console.log(JSON.stringify({
+    level: levelData.name || levelPath,
+    seed,
+    shots,
+    state: simulation.stateMachine.state,
+    score: simulation.score,
+    ballsRemaining: simulation.ballsRemaining,
+    goalProgress: simulation.goalProgress,
+    goalTarget: simulation.goalTarget,
+    levelResults: simulation.levelResults
+}, null, 2));
+
+// Save the board for --resume (only between shots, like the game's autosave)
+if (saveOutPath) {
+    if (simulation.stateMachine.is(GameState.AIMING)) {
+        const save = new GameSave({ levelPath, seed, orangeDistribution: distribution, state: simulation.getSaveState() });
+        writeFileSync(saveOutPath, JSON.stringify(save));
+    } else {
+        console.error(`Not saving - the level is over (${simulation.stateMachine.state})`);
+    }
+}
+
+if (hashOutPath) {
+    writeFileSync(hashOutPath, JSON.stringify(simulation.stateHashLog.toJSON()));
+}
+
+if (expectedHashes) {
+    const divergence = StateHashLog.compare(expectedHashes, simulation.stateHashLog);
+    if (divergence) {
+        console.error(`Desync on shot ${divergence.shot}, frame ${divergence.frame}: expected ${divergence.expected}, got ${divergence.actual}`);
+        process.exitCode = 1;
+    } else {
+        console.error(`State hashes match (${simulation.stateHashLog.entries.length} hashes compared)`);
+    }
+}
+
+simulation.dispose();
@@ -1,16 +1,12 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-import { PhysicsWorld } from './physics/PhysicsWorld.js';
-import { Ball } from './entities/Ball.js';
-import { Peg } from './entities/Peg.js';
-import { Wall } from './entities/Wall.js';
-import { Bucket } from './entities/Bucket.js';
+import { Simulation } from './simulation/Simulation.js';
 import { Bomb } from './entities/Bomb.js';
 import { Spike } from './entities/Spike.js';
 import { LevelLoader } from './utils/LevelLoader.js';
+import { LevelReportDialog } from './utils/LevelReportDialog.js';
 import { LuckyClover } from './utils/LuckyClover.js';
 import { EmojiEffect } from './utils/EmojiEffect.js';
-import { SeededRNG } from './utils/SeededRNG.js';
 import { AudioManager } from './utils/AudioManager.js';
 import { PeterPower } from './characters/PeterPower.js';
 import { JohnPower } from './characters/JohnPower.js';
@@ -21,73 +17,66 @@ import { MaddamPower } from './characters/MaddamPower.js';
 import { ArkanoidPower } from './characters/ArkanoidPower.js';
 import { I8Power } from './characters/I8Power.js';
 import { LevelEditor } from './utils/LevelEditor.js';
+import { Replay } from './utils/Replay.js';
+import { GameSave } from './utils/GameSave.js';
+import { LevelCatalog } from './utils/LevelCatalog.js';
+import { CampaignProgress } from './utils/CampaignProgress.js';
+import { StateHashLog } from './simulation/StateHashLog.js';
+import { TrajectoryPreview } from './simulation/TrajectoryPreview.js';
+import { GameStateMachine, GameState } from './utils/GameStateMachine.js';
+import { GameEvent } from './utils/EventBus.js';
+import { KeyBindings, KeyAction } from './utils/KeyBindings.js';
+import { GamepadInput } from './utils/GamepadInput.js';
+import { MenuNavigator } from './utils/MenuNavigator.js';
+import { setPegPaletteSettings } from './utils/PegPalette.js';
+import { Settings, DEFAULT_SETTINGS } from './utils/Settings.js';
 
 // Main game controller
-export class Game {
+export class Game extends Simulation {
     constructor(container) {
+        super();
         this.container = container;
+        
+        // Game flow starts at the level selector (see GameStateMachine for the states)
+        this.stateMachine = new GameStateMachine(GameState.LEVEL_SELECT);
+        
         this.canvasWrapper = container.querySelector('#game-canvas-wrapper');
         this.canvas = container.querySelector('#game-canvas');
-        this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.physicsWorld = null;
+        this.persistentSceneObjects = []; // Lights etc. that stay in the scene from level to level
         
         // 4:3 aspect ratio
         this.aspectRatio = 4 / 3;
         this.animationFrameId = null;
         
-        // Game state
-        this.ballRadius = 0.1; // Default ball radius
-        this.balls = [];
-        this.pegs = [];
-        this.characteristics = []; // Array of characteristic objects
+        // Game state (rules and scoring state live in Simulation)
         this.shapes = []; // Array of shape objects (for level loading)
         this.spacers = []; // Array of spacer objects (for level loading)
-        this.walls = [];
-        this.bucket = null;
-        this.lastTime = 0;
-        this.frameCount = 0;
-        this.ballsRemaining = 10;
-        this.score = 0;
-        this.goalProgress = 0;
-        this.goalTarget = 25;
-        this.powerTurnsRemaining = 0; // Number of turns with lucky clover active
-        
-        // Free ball system - track score accumulated during current shot
-        this.currentShotScore = 0; // Score accumulated during current ball's flight
-        this.freeBallThreshold = 10000; // Score needed for a free ball
-        
-        // Purple peg system
-        this.purplePegMultiplier = 1.0; // Multiplier from purple peg (1.5x after hitting purple peg)
-        this.purplePeg = null; // Reference to the current purple peg
-
-        // Orange peg multiplier system
-        this.orangePegMultiplier = 1.0; // Base multiplier from orange peg progress (2x at 40%, 3x at 60%, 5x at 80%, 10x at 90%)
-        
-        // Maximum rebound speed for collisions with pegs, walls, and bucket
-        this.maxReboundSpeed = 7.5;
-        
-        // Ball shot speed constant (reduced by 15%, 30%, 10%, and 30%)
-        this.ballShotSpeed = 10;
-        this.ballSpawnX = 0;
-        this.ballSpawnY = 3.7;
-        this.ballSpawnZ = 0;
-
-        // Ball reset timer
-        this.ballBaseResetTime = 5; // seconds
-        this.ballResetTime = 5; // seconds
         
-        // FPS cap for determinism (target frame rate)
-        this.targetFPS = 60; // Can be increased to 120 if needed for hitreg
-        this.targetFrameTime = 1000 / this.targetFPS; // milliseconds per frame
-        this.lastFrameTime = 0; // Track last frame time for FPS capping
-        
-        // Performance monitoring and adaptive slowdown
+        // Fixed tick timing - the simulation advances in ticks of 1 / tickRate, whatever the display does
+        this.targetFrameTime = 1000 / this.tickRate; // milliseconds per tick
+        this.lastFrameTime = 0; // Time of the last rendered frame
+        this.tickAccumulator = 0; // Real time not yet simulated (milliseconds)
+        this.maxFrameTime = 250; // Longest gap simulated in one frame (milliseconds)
+        this.maxTicksPerFrame = 10; // Tick budget per frame before the backlog is dropped
+        this.timeScale = 1; // Game seconds per real second - slows how often ticks run, never what a tick does
+        
+        // Final orange peg slow motion and camera zoom
+        this.slowMotionTimeScale = 0.25; // Game speed while the winning hit is about to happen
+        this.slowMotionZoom = 1.8; // Camera zoom toward the last orange peg
+        this.slowMotionHoldTime = 600; // Real milliseconds to stay slowed down after the hit
+        this.slowMotionEaseRate = 8; // How quickly speed and camera move to their targets (per second)
+        this.finalOrangeFocus = null; // { peg, x, y, releaseAt } while slowed down
+        
+        // Performance monitoring and adaptive quality
         this.fpsHistory = []; // Track FPS over time
         this.fpsHistorySize = 60; // Track last 60 frames (1 second at 60fps)
         this.performanceMode = 'normal'; // 'normal', 'slowdown', 'heavy_slowdown'
-        this.adaptiveSlowdownEnabled = true; // Enable adaptive slowdown when performance degrades
+        this.adaptiveSlowdownEnabled = false; // Opt-in: lower render resolution when FPS drops (never changes game speed)
+        this.maxFPS = 0; // Render frame cap, 0 = every display refresh (settings)
+        this.renderScale = 1.0; // Player's resolution scale on top of the adaptive one (settings)
+        this.maxPixelRatio = 1.5; // Pixel ratio cap - 4K displays at 2-3x are sluggish
         this.lastFpsCheck = 0;
         this.fpsCheckInterval = 1000; // Check FPS every second
         this.lastMemoryCheck = 0;
@@ -106,10 +95,21 @@ export class Game {
         this.multiplierValue = container.querySelector('#multiplier-value');
         this.playAgainButton = container.querySelector('#play-again-button');
         this.playAgainNewSeedButton = container.querySelector('#play-again-new-seed-button');
+        this.levelResultsPanel = container.querySelector('#level-results');
+        this.levelResultsContinueButton = container.querySelector('#level-results-continue');
+        this.styleCalloutsElement = container.querySelector('#style-callouts');
         this.seedValueElement = container.querySelector('#seed-value');
         this.copySeedButton = container.querySelector('#copy-seed-button');
+        this.saveReplayButton = container.querySelector('#save-replay-button');
         // Seed input is in character selector, not game container
         this.seedInput = document.querySelector('#seed-input');
+        this.orangeDistributionSelect = document.querySelector('#orange-distribution-select');
+        this.extendedGuideCheckbox = document.querySelector('#extended-guide-checkbox');
+        if (this.extendedGuideCheckbox) {
+            this.extendedGuideCheckbox.addEventListener('change', () => {
+                this.extendedAimGuide = this.extendedGuideCheckbox.checked;
+            });
+        }
         
         this.currentMiliseconds = Date.now();
         this.oneOrTwo = this.currentMiliseconds % 2;
@@ -129,8 +129,19 @@ export class Game {
             });
         }
         
+        // Results panel continues to the play again buttons
+        if (this.levelResultsContinueButton) {
+            this.levelResultsContinueButton.addEventListener('click', () => {
+                this.hideLevelResults();
+                this.showPlayAgainButton();
+                this.showPlayAgainNewSeedButton();
+            });
+        }
+        
         // Trajectory guide
         this.trajectoryGuide = null;
+        this.extendedAimGuide = false; // Practice/assist mode - guide follows the real physics through the first bounces
+        this.trajectoryPreview = new TrajectoryPreview(this);
         this.mouseX = 0;
         this.mouseY = 0;
         
@@ -150,6 +161,7 @@ export class Game {
         
         // Character system
         this.selectedCharacter = null;
+        this.campaignResult = null; // What the last win changed in campaign progress, for the results panel
         this.characters = [
             {
                 id: 'peter',
@@ -213,13 +225,32 @@ export class Game {
 
         this.levelEditor = new LevelEditor(this);
 
-        // Seeded RNG system - will be initialized in startGame() after seed input is checked
-        this.rng = null;
-        this.currentSeed = null;
+        // Seeded RNG (this.rng) is initialized in startGame() after seed input is checked
         this.selectedLevelPath = null; // Path to selected level JSON file
         
-        // Testing controls
-        this.testAimAngle = null; // Set by number keys 1-6
+        // Keyboard controls
+        this.testAimAngle = null; // Keyboard aim in degrees (null = aim at the mouse) - set by the aim keys
+        this.keyBindings = new KeyBindings();
+        this.keyboardAimStep = 5; // Degrees per coarse aim key press
+        this.keyboardAimFineStep = 0.5; // Degrees per fine aim key press
+        this.keyboardAimPresets = [5, 189, 227, 265, 303, 341]; // Preset keys 1-6 - spread over the allowed 170°-10° range
+        this.showTrajectoryGuide = true; // The trajectoryGuide setting (the guide key toggles it)
+        
+        // Gamepad (polled in the game loop)
+        this.gamepad = new GamepadInput();
+        this.menuNavigator = new MenuNavigator();
+        this.menuInputLoopRunning = false; // startMenuInputLoop() - the gamepad polls the menus while no level runs
+        this.gamepadFineAimRate = 30; // Degrees per second with a trigger fully pressed
+        this.userPaused = false; // Paused with the pause button (not by the page losing focus)
+        
+        // Replays
+        this.replay = null; // Replay being recorded for the current game
+        this.replayPlayback = null; // { replay, shotIndex, idleFrames, shot, inputIndex, inputValues } while watching a replay
+        this.replayShotDelayFrames = 60; // Pause between replayed shots so they're watchable
+        this.stateHashInterval = 10; // Frames between state hashes saved with a replay
+        
+        // Saved game - autosaved after every turn, offered as "Continue" on the level selector
+        this.pendingRestore = null; // GameSave to put back on the board once init() has loaded its level
         
         // Click handling
         this.setupClickHandler();
@@ -227,10 +258,22 @@ export class Game {
         // Mobile touch controls
         this.setupTouchControls();
         
+        // Keyboard aiming and firing
+        this.setupKeyboardControls();
+        
+        // Gamepad in the menus until the game loop takes over
+        this.startMenuInputLoop();
+        
         // Set up level selector first, then character selector
         this.setupLevelSelector();
         this.setupCharacterSelector();
         
+        // Menus, play again buttons and end-of-game cleanup follow the game state
+        this.setupStateHooks();
+        
+        // Sounds and music react to simulation events
+        this.setupEventListeners();
+        
         // Set up copy seed button
         if (this.copySeedButton) {
             this.copySeedButton.addEventListener('click', () => {
@@ -238,9 +281,24 @@ export class Game {
             });
         }
         
+        // Set up replay save/load buttons
+        this.setupReplayControls();
+        
         // Initialize audio manager once (not in init() to prevent recreation)
         this.audioManager = new AudioManager();
         
+        // Player settings - saved in localStorage and applied live
+        this.settings = new Settings();
+        this.settings.load();
+        Object.entries(this.settings.values).forEach(([key, value]) => this.applySetting(key, value));
+        this.settings.onChange((key, value) => this.applySetting(key, value));
+        this.settingsPausedGame = false; // Opening settings paused a level in play
+        this.setupSettingsOverlay();
+        
+        // Pause menu - resume, restart, settings, quit
+        this.setupPauseMenu();
+        this.levelReportDialog = new LevelReportDialog(document.querySelector('#level-report-overlay'));
+        
         // Preload roulette sound early for character selector
         this.audioManager.loadSound('pegRoulette', `${import.meta.env.BASE_URL}sounds/pegRoulette`, 'sfx').catch(err => {
             console.warn('Failed to preload roulette sound:', err);
@@ -266,6 +324,460 @@ export class Game {
         }
     }
     
+    setupStateHooks() {
+        const states = this.stateMachine;
+        
+        states.onEnter(GameState.LEVEL_SELECT, () => this.showLevelSelector());
+        states.onExit(GameState.LEVEL_SELECT, () => this.hideLevelSelector());
+        states.onEnter(GameState.CHARACTER_SELECT, () => this.showCharacterSelector());
+        states.onExit(GameState.CHARACTER_SELECT, () => this.hideCharacterSelector());
+        
+        // Autosave once each turn has settled, so closing the tab loses at most the shot in flight
+        states.onEnter(GameState.AIMING, ({ from }) => {
+            if (from === GameState.TURN_RESOLUTION) {
+                this.saveGame();
+            }
+        });
+        
+        // Level over - offer to play again
+        [GameState.LEVEL_WON, GameState.LEVEL_LOST].forEach(state => {
+            states.onEnter(state, ({ from }) => {
+                // Coming back from pause, the level already ended
+                if (from === GameState.PAUSED) return;
+                
+                if (this.replay) {
+                    this.replay.finish(this.score);
+                }
+                
+                // Nothing left to continue
+                if (this.isSavingGame()) {
+                    GameSave.clear();
+                }
+                
+                this.campaignResult = state === GameState.LEVEL_WON ? this.recordCampaignWin() : null;
+                
+                // Clear roulette queue on game end to avoid overflow to next game
+                if (this.rouletteQueue) {
+                    this.rouletteQueue = [];
+                }
+                
+                // A win totals up first, the results panel offers to continue
+                if (state === GameState.LEVEL_WON && this.levelResults) {
+                    this.showLevelResults(this.levelResults);
+                } else {
+                    this.showPlayAgainButton();
+                    this.showPlayAgainNewSeedButton();
+                }
+            });
+            states.onExit(state, ({ to }) => {
+                if (to === GameState.PAUSED) return;
+                this.hideLevelResults();
+                this.hidePlayAgainButton();
+                this.hidePlayAgainNewSeedButton();
+            });
+        });
+    }
+    
+    setupEventListeners() {
+        const events = this.events;
+        
+        // Pegs that were already lit get the dull hit sound
+        events.on(GameEvent.PEG_HIT, ({ isNewHit }) => {
+            if (!isNewHit && this.audioManager) {
+                this.audioManager.playPegHitAlreadyHit();
+            }
+        });
+        events.on(GameEvent.BUCKET_CATCH, () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('pegBucket', { volume: 0.8 });
+            }
+        });
+        events.on(GameEvent.MULTIPLIER_CHANGED, ({ multiplier }) => this.updateMusicLayers(multiplier));
+        
+        // Style shot callouts as they happen, then the turn's total
+        events.on(GameEvent.STYLE_SHOT, ({ name, points }) => {
+            this.showStyleCallout(`${name}! +${points.toLocaleString()}`);
+        });
+        events.on(GameEvent.BALL_OUT_OF_PLAY, ({ styleShots }) => {
+            if (styleShots.length > 1) {
+                const total = styleShots.reduce((sum, award) => sum + award.points, 0);
+                this.showStyleCallout(`Style bonus +${total.toLocaleString()}`, 'tally');
+            }
+        });
+        
+        // Level complete sequence
+        events.on(GameEvent.BONUS_BUCKETS_ACTIVATED, ({ bonusBuckets }) => bonusBuckets.addLabels());
+        events.on(GameEvent.BONUS_BUCKET_SCORED, () => {
+            if (this.audioManager) {
+                this.audioManager.playSound('pegBucket', { volume: 1.0 });
+            }
+        });
+    }
+    
+    setupReplayControls() {
+        if (this.saveReplayButton) {
+            this.saveReplayButton.addEventListener('click', () => {
+                this.downloadReplay();
+            });
+        }
+        
+        // Load button lives on the level selector
+        const loadButton = document.querySelector('#load-replay-button');
+        const fileInput = document.querySelector('#replay-file-input');
+        if (loadButton && fileInput) {
+            loadButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (e) => {
+                this.loadReplayFromFile(e.target.files[0]);
+                // Allow picking the same file again
+                fileInput.value = '';
+            });
+        }
+    }
+    
+    /**
+     * Download the current game's replay as JSON
+     */
+    downloadReplay() {
+        if (!this.replay || this.replay.shots.length === 0) {
+            return;
+        }
+        
+        const jsonString = JSON.stringify(this.replay.toJSON(), null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `replay_${this.replay.seed}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    async loadReplayFromFile(file) {
+        if (!file) return;
+        
+        try {
+            const text = await file.text();
+            const replay = Replay.fromJSON(JSON.parse(text));
+            this.startReplay(replay);
+        } catch (error) {
+            console.error('[Game] Error loading replay:', error);
+            alert('Error loading replay: ' + error.message);
+        }
+    }
+    
+    /**
+     * Start a game from a replay's level, character and seed, then re-fire its shots
+     * @param {Replay} replay
+     */
+    startReplay(replay) {
+        const character = this.characters.find(c => c.id === replay.characterId);
+        if (!character) {
+            throw new Error(`Unknown character "${replay.characterId}"`);
+        }
+        
+        this.selectedLevelPath = replay.levelPath;
+        this.selectedCharacter = character;
+        this.activePower = new character.power(this);
+        this.replayPlayback = {
+            replay,
+            shotIndex: 0,
+            idleFrames: 0,
+            shot: null, // Shot in flight, whose inputs are being played back
+            inputIndex: 0,
+            inputValues: {}
+        };
+        
+        // startGame() reads the seed from the input, same as "Play Again with the same layout"
+        const seedInput = this.seedInput || document.querySelector('#seed-input');
+        if (seedInput) {
+            seedInput.value = replay.seed.toString();
+        }
+        // Same for the orange layout - the seed alone doesn't fix it if the game overrode the level's strategy
+        if (this.orangeDistributionSelect) {
+            this.orangeDistributionSelect.value = replay.orangeDistribution || '';
+        }
+        
+        this.hideLevelSelector();
+        this.startGame();
+    }
+    
+    /**
+     * Fire the next replayed shot once the board is idle (called every frame during playback)
+     */
+    updateReplayPlayback() {
+        const playback = this.replayPlayback;
+        
+        // Wait for the current turn to finish
+        if (this.stateMachine.is(GameState.BALL_IN_FLIGHT, GameState.TURN_RESOLUTION)) {
+            playback.idleFrames = 0;
+            return;
+        }
+        
+        const { replay } = playback;
+        if (playback.shotIndex >= replay.shots.length || !this.stateMachine.is(GameState.AIMING)) {
+            // Playback done - report if the board didn't end up where the recording did
+            if (replay.finalScore !== null && this.score !== replay.finalScore) {
+                console.warn(`[Game] Replay finished with score ${this.score}, recorded ${replay.finalScore}`);
+            }
+            if (replay.hashLog && this.stateHashLog) {
+                const divergence = StateHashLog.compare(replay.hashLog, this.stateHashLog);
+                if (divergence) {
+                    console.warn(`[Game] Replay desynced on shot ${divergence.shot}, frame ${divergence.frame}: expected ${divergence.expected}, got ${divergence.actual}`);
+                }
+            }
+            this.replayPlayback = null;
+            return;
+        }
+        
+        playback.idleFrames++;
+        if (playback.idleFrames < this.replayShotDelayFrames) {
+            return;
+        }
+        playback.idleFrames = 0;
+        
+        // Put the bucket exactly where it was when the shot was fired
+        const shot = replay.shots[playback.shotIndex++];
+        if (shot.bucket && this.bucket) {
+            this.bucket.setState(shot.bucket);
+        }
+        // The idle ticks above moved the accumulator's rounding drift - put it back too
+        if (shot.physicsAccumulator !== null) {
+            this.physicsWorld.accumulator = shot.physicsAccumulator;
+        }
+        
+        this.hideTrajectoryGuide();
+        this.shoot(shot.angle);
+        playback.shot = shot;
+        playback.inputIndex = 0;
+        playback.inputValues = {};
+    }
+    
+    /**
+     * Apply the recorded inputs of the shot being replayed that are due by this frame
+     * (presses are performed, values are kept for readShotInput)
+     */
+    applyReplayInputs() {
+        const playback = this.replayPlayback;
+        if (!playback.shot || !playback.shot.inputs || this.shotFrame === null) {
+            return;
+        }
+        
+        const inputs = playback.shot.inputs;
+        while (playback.inputIndex < inputs.length && inputs[playback.inputIndex].frame <= this.shotFrame) {
+            const input = inputs[playback.inputIndex++];
+            if (input.value === null) {
+                this.performPowerAction();
+            } else {
+                playback.inputValues[input.type] = input.value;
+            }
+        }
+    }
+    
+    /**
+     * Record the player's input into the replay, or read it back from the replay being watched
+     * (replays from before inputs were recorded read the live mouse)
+     */
+    readShotInput(type, read) {
+        const playback = this.replayPlayback;
+        if (playback && playback.shot && playback.shot.inputs && this.shotFrame !== null &&
+            playback.inputValues[type] !== undefined) {
+            return playback.inputValues[type];
+        }
+        
+        // Rounded like the rest of the simulation state, so the recorded value is the one used
+        const value = this.roundToDecimals(read());
+        if (this.replay && this.shotFrame !== null) {
+            this.replay.recordInput(this.shotFrame, type, value);
+        }
+        return value;
+    }
+    
+    /**
+     * Put one setting into effect (see DEFAULT_SETTINGS for what each one does)
+     */
+    applySetting(key, value) {
+        switch (key) {
+            case 'masterVolume':
+                this.audioManager.setMasterVolume(value);
+                break;
+            case 'sfxVolume':
+                this.audioManager.setSfxVolume(value);
+                break;
+            case 'musicVolume':
+                this.audioManager.setMusicVolume(value);
+                break;
+            case 'muted':
+                this.audioManager.setEnabled(!value);
+                break;
+            case 'maxFPS':
+                this.maxFPS = value;
+                break;
+            case 'renderScale':
+                this.renderScale = value;
+                if (this.renderer) {
+                    this.handleResize();
+                }
+                break;
+            case 'adaptiveQuality':
+                this.adaptiveSlowdownEnabled = value;
+                if (this.renderer) {
+                    this.handleResize();
+                }
+                break;
+            case 'trajectoryGuide':
+                this.showTrajectoryGuide = value;
+                if (this.stateMachine.is(GameState.AIMING)) {
+                    this.updateTrajectoryGuide();
+                }
+                break;
+            case 'pegPalette':
+                setPegPaletteSettings({ palette: value });
+                this.pegs.forEach(peg => peg.refreshColors());
+                break;
+            case 'pegGlyphs':
+                setPegPaletteSettings({ glyphs: value });
+                this.pegs.forEach(peg => peg.refreshColors());
+                break;
+        }
+        this.updateSettingsOverlay();
+    }
+    
+    setupSettingsOverlay() {
+        this.settingsOverlay = document.querySelector('#settings-overlay');
+        if (!this.settingsOverlay) return;
+        
+        // Every control names its setting in data-setting (ranges store percent, see data-scale)
+        this.settingsOverlay.querySelectorAll('[data-setting]').forEach(control => {
+            const eventName = control.type === 'range' ? 'input' : 'change';
+            control.addEventListener(eventName, () => {
+                this.settings.set(control.dataset.setting, this.readSettingControl(control));
+            });
+        });
+        
+        const closeButton = this.settingsOverlay.querySelector('#settings-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.closeSettings());
+        }
+        const resetButton = this.settingsOverlay.querySelector('#settings-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.settings.reset());
+        }
+        ['#settings-button', '#level-selector-settings-button'].forEach(selector => {
+            const button = document.querySelector(selector);
+            if (button) {
+                button.addEventListener('click', () => this.openSettings());
+            }
+        });
+        
+        this.updateSettingsOverlay();
+    }
+    
+    readSettingControl(control) {
+        const key = control.dataset.setting;
+        if (control.type === 'checkbox') {
+            return control.checked;
+        }
+        if (control.type === 'range') {
+            return Number(control.value) / Number(control.dataset.scale || 1);
+        }
+        return typeof DEFAULT_SETTINGS[key] === 'number' ? Number(control.value) : control.value;
+    }
+    
+    /**
+     * Show the stored settings in the overlay's controls
+     */
+    updateSettingsOverlay() {
+        if (!this.settingsOverlay || !this.settings) return;
+        
+        this.settingsOverlay.querySelectorAll('[data-setting]').forEach(control => {
+            const value = this.settings.get(control.dataset.setting);
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else if (control.type === 'range') {
+                control.value = Math.round(value * Number(control.dataset.scale || 1));
+            } else {
+                control.value = String(value);
+            }
+        });
+        this.settingsOverlay.querySelectorAll('[data-setting-value]').forEach(label => {
+            label.textContent = `${Math.round(this.settings.get(label.dataset.settingValue) * 100)}%`;
+        });
+    }
+    
+    /**
+     * Open the settings overlay - a level in play is paused while it's open
+     */
+    openSettings() {
+        if (!this.settingsOverlay) return;
+        if (!this.userPaused && this.togglePause()) {
+            this.settingsPausedGame = true;
+        }
+        this.updateSettingsOverlay();
+        this.settingsOverlay.style.display = 'flex';
+    }
+    
+    closeSettings() {
+        if (!this.settingsOverlay) return;
+        this.settingsOverlay.style.display = 'none';
+        if (this.settingsPausedGame) {
+            this.settingsPausedGame = false;
+            if (this.userPaused) {
+                this.togglePause();
+            }
+        }
+    }
+    
+    isSettingsOpen() {
+        return !!this.settingsOverlay && this.settingsOverlay.style.display === 'flex';
+    }
+    
+    setupPauseMenu() {
+        this.pauseOverlay = document.querySelector('#pause-overlay');
+        const pauseButton = this.container.querySelector('#pause-button');
+        if (pauseButton) {
+            pauseButton.addEventListener('click', () => this.togglePause());
+        }
+        if (!this.pauseOverlay) return;
+        
+        const buttons = {
+            '#pause-resume': () => this.togglePause(),
+            '#pause-restart': () => this.restartLevel(false),
+            '#pause-restart-new-seed': () => this.restartLevel(true),
+            '#pause-settings': () => this.openSettings(),
+            '#pause-quit': () => this.quitToLevelSelect()
+        };
+        Object.entries(buttons).forEach(([selector, handler]) => {
+            const button = this.pauseOverlay.querySelector(selector);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+    
+    showPauseMenu() {
+        if (!this.pauseOverlay) return;
+        
+        // Editor test runs are restarted and left from the editor
+        const editorTesting = !!(this.levelEditor && this.levelEditor.testingMode);
+        ['#pause-restart', '#pause-restart-new-seed', '#pause-quit'].forEach(selector => {
+            const button = this.pauseOverlay.querySelector(selector);
+            if (button) {
+                button.disabled = editorTesting;
+            }
+        });
+        this.pauseOverlay.style.display = 'flex';
+    }
+    
+    hidePauseMenu() {
+        if (this.pauseOverlay) {
+            this.pauseOverlay.style.display = 'none';
+        }
+        this.menuNavigator.clear();
+    }
+
     updateSeedDisplay() {
         if (this.seedValueElement && this.currentSeed !== null) {
             this.seedValueElement.textContent = this.currentSeed;
@@ -278,21 +790,209 @@ export class Game {
         
         if (!selector || !optionsContainer) return;
         
-        // Available levels
-        const levels = [
-            { name: 'Level 1', path: 'levels/level1.json' },
-            { name: 'Level 2', path: 'levels/level2.json' },
-            { name: 'Level 3', path: 'levels/level3.json' }
+        // Filled from levels/index.json - see docs/level-catalog.md
+        this.levelCatalog = null;
+        // view: 'campaign' (chapters and unlocks, see docs/campaign.md) or 'levels' (every level, by category)
+        this.levelFilter = { view: 'levels', category: null, query: '' };
+        this.campaignProgress = CampaignProgress.load();
+        this.campaignCharacterId = this.characters[0].id; // Whose progress the campaign view shows
+        
+        const campaignCharacterSelect = document.querySelector('#campaign-character');
+        if (campaignCharacterSelect) {
+            this.characters.forEach(character => {
+                const option = document.createElement('option');
+                option.value = character.id;
+                option.textContent = character.name;
+                campaignCharacterSelect.appendChild(option);
+            });
+            campaignCharacterSelect.addEventListener('change', () => {
+                this.campaignCharacterId = campaignCharacterSelect.value;
+                this.renderLevelOptions();
+            });
+        }
+        
+        const searchInput = document.querySelector('#level-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.levelFilter.query = searchInput.value;
+                this.renderLevelOptions();
+            });
+        }
+        
+        this.showLevelOptionsMessage('Loading levels…');
+        LevelCatalog.load(import.meta.env.BASE_URL).then(catalog => {
+            this.levelCatalog = catalog;
+            // Players land on the campaign when there is one
+            if (catalog.chapters.length > 0) {
+                this.levelFilter.view = 'campaign';
+            }
+            this.renderLevelTabs();
+            this.renderLevelOptions();
+            // The continue summary names the level, which we only know now
+            this.updateContinueButton();
+        }).catch(error => {
+            console.error('[Game] Failed to load the level list:', error);
+            this.showLevelOptionsMessage(`Couldn't load the level list: ${error.message}`, true);
+        });
+        
+        const continueButton = document.querySelector('#continue-button');
+        if (continueButton) {
+            continueButton.addEventListener('click', () => this.continueSavedGame());
+        }
+        this.updateContinueButton();
+    }
+    
+    /**
+     * "Campaign" if the catalog has one, then "All" and one tab per category
+     */
+    renderLevelTabs() {
+        const tabsContainer = document.querySelector('#level-tabs');
+        if (!tabsContainer || !this.levelCatalog) return;
+        
+        tabsContainer.replaceChildren();
+        const tabs = [
+            ...(this.levelCatalog.chapters.length > 0 ? [{ view: 'campaign', category: null, name: 'Campaign' }] : []),
+            { view: 'levels', category: null, name: 'All' },
+            ...this.levelCatalog.categories.map(category => ({ view: 'levels', category: category.id, name: category.name }))
         ];
+        // "All" and a single category show the same levels - no tabs needed
+        if (tabs.length <= 2 && tabs[0].view !== 'campaign') return;
+        
+        tabs.forEach(({ view, category, name }) => {
+            const tab = document.createElement('button');
+            tab.className = 'level-tab';
+            tab.textContent = name;
+            tab.classList.toggle('active', view === this.levelFilter.view && category === this.levelFilter.category);
+            tab.addEventListener('click', () => {
+                this.levelFilter.view = view;
+                this.levelFilter.category = category;
+                tabsContainer.querySelectorAll('.level-tab').forEach(other => other.classList.toggle('active', other === tab));
+                this.renderLevelOptions();
+            });
+            tabsContainer.appendChild(tab);
+        });
+    }
+    
+    /**
+     * Level cards for the current tab and search
+     */
+    renderLevelOptions() {
+        const optionsContainer = document.querySelector('#level-options');
+        if (!optionsContainer || !this.levelCatalog) return;
+        
+        const campaignCharacter = document.querySelector('#campaign-character-container');
+        if (campaignCharacter) {
+            campaignCharacter.style.display = this.levelFilter.view === 'campaign' ? 'flex' : 'none';
+        }
+        if (this.levelFilter.view === 'campaign') {
+            this.renderCampaign();
+            return;
+        }
         
-        // Create level option elements
+        const levels = this.levelCatalog.filter(this.levelFilter);
+        if (levels.length === 0) {
+            this.showLevelOptionsMessage(this.levelCatalog.levels.length === 0 ? 'No levels are listed in levels/index.json' : 'No levels match your search');
+            return;
+        }
+        
+        optionsContainer.replaceChildren();
         levels.forEach(level => {
-            const option = document.createElement('div');
-            option.className = 'level-option';
-            option.innerHTML = `
-                <div class="level-option-name">${level.name}</div>
-            `;
+            optionsContainer.appendChild(this.createLevelOption(level, () => this.selectLevel(level)));
+        });
+    }
+    
+    /**
+     * A character's campaign: chapter headings with their star totals, then the chapter's levels
+     */
+    renderCampaign() {
+        const optionsContainer = document.querySelector('#level-options');
+        const matching = new Set(this.levelCatalog.filter({ query: this.levelFilter.query }));
+        const campaignCharacterSelect = document.querySelector('#campaign-character');
+        if (campaignCharacterSelect) {
+            campaignCharacterSelect.value = this.campaignCharacterId;
+        }
+        
+        optionsContainer.replaceChildren();
+        this.campaignProgress.getCampaign(this.levelCatalog, this.campaignCharacterId).forEach(chapter => {
+            const entries = chapter.levels.filter(entry => matching.has(entry.level));
+            if (entries.length === 0) return;
             
+            const heading = document.createElement('div');
+            heading.className = 'level-chapter-heading';
+            heading.textContent = `${chapter.name} · ${chapter.stars}/${chapter.maxStars} ★`;
+            optionsContainer.appendChild(heading);
+            
+            entries.forEach(({ level, record, unlocked, previous }) => {
+                const option = this.createLevelOption(level, unlocked ? () => this.selectLevel(level, this.campaignCharacterId) : null);
+                
+                const status = document.createElement('div');
+                status.className = 'level-option-progress';
+                if (!unlocked) {
+                    option.classList.add('locked');
+                    status.textContent = `🔒 Clear ${previous.name} to unlock`;
+                } else if (record) {
+                    const stars = document.createElement('span');
+                    stars.className = 'level-option-stars';
+                    stars.textContent = '★'.repeat(record.stars) + '☆'.repeat(3 - record.stars);
+                    status.append(stars, ` Best ${record.bestScore.toLocaleString()}`);
+                } else {
+                    status.textContent = 'Not cleared yet';
+                }
+                option.appendChild(status);
+                optionsContainer.appendChild(option);
+            });
+        });
+        
+        if (!optionsContainer.hasChildNodes()) {
+            this.showLevelOptionsMessage('No levels match your search');
+        }
+    }
+    
+    /**
+     * One level card
+     * @param {Object} level - LevelCatalog entry
+     * @param {Function|null} onSelect - Click handler, null for a locked level
+     * @returns {Element}
+     */
+    createLevelOption(level, onSelect) {
+        const option = document.createElement('div');
+        option.className = 'level-option';
+        option.classList.toggle('selected', level.path === this.selectedLevelPath);
+        
+        // Manifest text goes in with textContent - it's data, not markup
+        if (level.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'level-option-thumbnail';
+            thumbnail.src = `${import.meta.env.BASE_URL}${level.thumbnail}`;
+            thumbnail.alt = '';
+            thumbnail.addEventListener('error', () => thumbnail.remove());
+            option.appendChild(thumbnail);
+        }
+        
+        const name = document.createElement('div');
+        name.className = 'level-option-name';
+        name.textContent = level.name;
+        option.appendChild(name);
+        
+        if (level.difficulty || level.author) {
+            const details = document.createElement('div');
+            details.className = 'level-option-details';
+            if (level.difficulty) {
+                const difficulty = document.createElement('span');
+                difficulty.className = `level-option-difficulty ${level.difficulty}`;
+                difficulty.textContent = level.difficulty;
+                details.appendChild(difficulty);
+            }
+            if (level.author) {
+                const author = document.createElement('span');
+                author.className = 'level-option-author';
+                author.textContent = `by ${level.author}`;
+                details.appendChild(author);
+            }
+            option.appendChild(details);
+        }
+        
+        if (onSelect) {
             option.addEventListener('click', () => {
                 // Remove selected class from all options
                 document.querySelectorAll('.level-option').forEach(opt => {
@@ -302,16 +1002,42 @@ export class Game {
                 // Add selected class to clicked option
                 option.classList.add('selected');
                 
-                // Store selected level path
-                this.selectedLevelPath = level.path;
-                
-                // Hide level selector and show character selector
-                this.hideLevelSelector();
-                this.showCharacterSelector();
+                onSelect();
             });
-            
-            optionsContainer.appendChild(option);
-        });
+        }
+        return option;
+    }
+    
+    /**
+     * Pick a level and move on to the character selector
+     * @param {Object} level - LevelCatalog entry
+     * @param {string|null} characterId - Character to preselect (the campaign's)
+     */
+    selectLevel(level, characterId = null) {
+        // Store selected level path
+        this.selectedLevelPath = level.path;
+        
+        // Hide level selector and show character selector
+        this.stateMachine.transition(GameState.CHARACTER_SELECT);
+        
+        const index = this.characters.findIndex(character => character.id === characterId);
+        const option = index >= 0 && document.querySelectorAll('.character-option')[index];
+        if (option) {
+            option.click();
+        }
+    }
+    
+    /**
+     * Replace the level cards with a line of text (loading, no matches, manifest error)
+     */
+    showLevelOptionsMessage(text, isError = false) {
+        const optionsContainer = document.querySelector('#level-options');
+        if (!optionsContainer) return;
+        
+        const message = document.createElement('div');
+        message.className = isError ? 'level-options-message error' : 'level-options-message';
+        message.textContent = text;
+        optionsContainer.replaceChildren(message);
     }
     
     showLevelSelector() {
@@ -319,6 +1045,110 @@ export class Game {
         if (levelSelector) {
             levelSelector.style.display = 'flex';
         }
+        // Stars and unlocks may have changed since the cards were drawn
+        this.renderLevelOptions();
+        this.updateContinueButton();
+    }
+    
+    /**
+     * Show "Continue" with a summary of the saved game, or hide it if there isn't one
+     */
+    updateContinueButton() {
+        const continueButton = document.querySelector('#continue-button');
+        const summary = document.querySelector('#continue-summary');
+        if (!continueButton) return;
+        
+        const save = GameSave.load();
+        const character = save && this.characters.find(c => c.id === save.characterId);
+        if (!character) {
+            continueButton.style.display = 'none';
+            return;
+        }
+        
+        if (summary) {
+            const level = this.levelCatalog && this.levelCatalog.findByPath(save.levelPath);
+            const balls = save.state.ballsRemaining;
+            summary.textContent = `${level ? level.name : save.levelPath} · ${character.name} · ` +
+                `${save.state.score.toLocaleString()} points · ${balls} ${balls === 1 ? 'ball' : 'balls'} left`;
+        }
+        continueButton.style.display = 'block';
+    }
+    
+    /**
+     * Save a won level's score and stars to the character's campaign progress
+     *
+     * Counts for any level in the catalog, started from the campaign or not. Replays
+     * and editor tests don't count.
+     * @returns {Object|null} CampaignProgress.recordWin() result plus the stars, or null if nothing was recorded
+     */
+    recordCampaignWin() {
+        const level = this.levelCatalog && this.levelCatalog.findByPath(this.selectedLevelPath);
+        if (!level || !this.levelResults || !this.isSavingGame()) {
+            return null;
+        }
+        
+        const stars = this.levelResults.stars;
+        const result = this.campaignProgress.recordWin(this.selectedCharacter.id, level.id, {
+            score: this.levelResults.totalScore,
+            stars
+        });
+        this.campaignProgress.store();
+        // Back on the level selector, the campaign shows the character just played
+        this.campaignCharacterId = this.selectedCharacter.id;
+        return { ...result, stars };
+    }
+    
+    /**
+     * Whether this game is one the player can come back to (not a replay or an editor test)
+     */
+    isSavingGame() {
+        return !this.replayPlayback && !this.hasUnlimitedBalls() && !!this.selectedLevelPath && !!this.selectedCharacter;
+    }
+    
+    /**
+     * Autosave the game between shots
+     */
+    saveGame() {
+        if (!this.isSavingGame()) return;
+        
+        const save = new GameSave({
+            levelPath: this.selectedLevelPath,
+            characterId: this.selectedCharacter.id,
+            seed: this.currentSeed,
+            orangeDistribution: this.orangeDistribution,
+            state: this.getSaveState(),
+            replay: this.replay ? this.replay.toJSON() : null
+        });
+        save.store();
+    }
+    
+    /**
+     * Start the autosaved game again where the player left it
+     */
+    continueSavedGame() {
+        const save = GameSave.load();
+        const character = save && this.characters.find(c => c.id === save.characterId);
+        if (!character) {
+            this.updateContinueButton();
+            return;
+        }
+        
+        this.selectedLevelPath = save.levelPath;
+        this.selectedCharacter = character;
+        this.activePower = new character.power(this);
+        this.pendingRestore = save;
+        
+        // The saved seed and orange layout rebuild the same board, init() then applies the rest
+        const seedInput = this.seedInput || document.querySelector('#seed-input');
+        if (seedInput) {
+            seedInput.value = save.seed.toString();
+        }
+        if (this.orangeDistributionSelect) {
+            this.orangeDistributionSelect.value = save.orangeDistribution || '';
+        }
+        
+        this.hideLevelSelector();
+        this.startGame();
     }
     
     hideLevelSelector() {
@@ -487,8 +1317,33 @@ export class Game {
         }
         
         // Initialize RNG with seed
-        this.currentSeed = seed;
-        this.rng = new SeededRNG(seed);
+        this.setSeed(seed);
+        
+        // Orange layout setting (empty = the level's own rules.orangeDistribution)
+        this.orangeDistribution = (this.orangeDistributionSelect && this.orangeDistributionSelect.value) || null;
+        
+        // Hash the state of every shot so a replay can be checked against the original
+        const recordedHashes = this.replayPlayback && this.replayPlayback.replay.hashLog;
+        this.stateHashLog = new StateHashLog(recordedHashes ? recordedHashes.interval : this.stateHashInterval);
+        this.shotCount = 0;
+        this.shotFrame = null;
+        
+        // Record this game so it can be shared (a replay being watched isn't re-recorded)
+        this.replay = this.replayPlayback ? null : new Replay({
+            levelPath: this.selectedLevelPath,
+            characterId: this.selectedCharacter ? this.selectedCharacter.id : null,
+            seed,
+            orangeDistribution: this.orangeDistribution,
+            hashLog: this.stateHashLog
+        });
+        
+        if (this.pendingRestore) {
+            // A continued game keeps recording the replay it was saved with
+            this.restoreSavedReplay(this.pendingRestore);
+        } else if (this.isSavingGame()) {
+            // A new game replaces the saved one
+            GameSave.clear();
+        }
         
         // Update seed display
         this.updateSeedDisplay();
@@ -535,11 +1390,14 @@ export class Game {
     }
 
     async init() {
-        this.setupScene();
-        this.setupRenderer();
-        this.setupCamera();
+        this.setupRendering();
+        
+        // Every way out of a level unloads it already - this only catches a start on top of one
+        if (this.physicsWorld) {
+            this.unloadLevel();
+        }
+        
         this.setupPhysics();
-        this.setupLighting();
         this.setupResizeHandler();
 
         // Audio manager is created in constructor, so it already exists
@@ -556,14 +1414,7 @@ export class Game {
             await this.audioManager.loadSound('pegMagnet', `${import.meta.env.BASE_URL}sounds/pegMagnet`, 'sfx');
         }
         
-        // Resume audio context on first user interaction (browser autoplay policy)
-        const resumeAudio = () => {
-            this.audioManager.resumeContext();
-            document.removeEventListener('click', resumeAudio);
-            document.removeEventListener('keydown', resumeAudio);
-        };
-        document.addEventListener('click', resumeAudio, { once: true });
-        document.addEventListener('keydown', resumeAudio, { once: true });
+        this.setupAudioResume();
         
         // Load level (music will start automatically when level loads)
         // Use import.meta.env.BASE_URL to handle base path in production (GitHub Pages)
@@ -572,7 +1423,12 @@ export class Game {
             (!this.levelEditor || (!this.levelEditor.isActive && !this.levelEditor.levelLoaded));
         
         if (shouldLoadLevel) {
-            await this.loadLevel(`${import.meta.env.BASE_URL}${this.selectedLevelPath}`);
+            const loaded = await this.loadLevel(`${import.meta.env.BASE_URL}${this.selectedLevelPath}`);
+            if (!loaded) {
+                // The error screen is up - it takes the player back to the level selector
+                this.pendingRestore = null;
+                return;
+            }
         }
         
         // Initialize UI
@@ -596,9 +1452,65 @@ export class Game {
         // Set up page visibility handling (pause when minimized)
         this.setupPageVisibility();
         
-        this.startGameLoop();
-
-        this.activePower.onInit(); // Call onInit for the power
+        this.startGameLoop();
+
+        this.activePower.onInit(); // Call onInit for the power
+        
+        // Continuing a saved game - put the board back the way it was left
+        if (this.pendingRestore) {
+            this.restoreSaveState(this.pendingRestore.state);
+            this.pendingRestore = null;
+        }
+        
+        this.stateMachine.transition(GameState.AIMING);
+    }
+    
+    /**
+     * Pick up the replay a saved game was recording (a new one if it can't be read)
+     * @param {GameSave} save
+     */
+    restoreSavedReplay(save) {
+        if (!save.replay) return;
+        try {
+            const replay = Replay.fromJSON(save.replay);
+            if (replay.hashLog) {
+                this.stateHashLog = replay.hashLog;
+            } else {
+                replay.hashLog = this.stateHashLog;
+            }
+            this.replay = replay;
+        } catch (error) {
+            console.warn('[Game] Saved game has an unreadable replay, recording a new one:', error.message);
+        }
+    }
+
+    /**
+     * Scene, renderer, camera and lights - made by the first level and kept for every
+     * level after it (levels only add and remove their own objects)
+     */
+    setupRendering() {
+        if (this.renderer) return;
+        this.setupScene();
+        this.setupRenderer();
+        this.setupCamera();
+        this.setupLighting();
+    }
+    
+    /**
+     * Resume audio context on first user interaction (browser autoplay policy)
+     */
+    setupAudioResume() {
+        // init() runs for every level - the first interaction only happens once
+        if (this.audioResumeAdded) return;
+        this.audioResumeAdded = true;
+        
+        const resumeAudio = () => {
+            this.audioManager.resumeContext();
+            document.removeEventListener('click', resumeAudio);
+            document.removeEventListener('keydown', resumeAudio);
+        };
+        document.addEventListener('click', resumeAudio, { once: true });
+        document.addEventListener('keydown', resumeAudio, { once: true });
     }
 
     setupScene() {
@@ -619,8 +1531,7 @@ export class Game {
         // Limit pixel ratio to prevent performance issues on high-DPI displays (especially 4K)
         // 4K displays often have devicePixelRatio of 2-3, which can cause sluggish performance
         // Limit to 1.5x for better performance on 4K displays while maintaining quality
-        const maxPixelRatio = 1.5; // Lowered from 2x for 4K performance
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.maxPixelRatio) * this.getRenderScale());
     }
 
     setupCamera() {
@@ -643,72 +1554,6 @@ export class Game {
         this.camera.lookAt(0, 0, 0);
     }
 
-    setupPhysics() {
-        this.physicsWorld = new PhysicsWorld();
-        this.createWalls();
-        this.createBucket();
-    }
-
-    createWalls() {
-        // Camera view is 12 units wide (-6 to 6) and 9 units tall (-4.5 to 4.5)
-        const left = -6;
-        const right = 6;
-        const top = 4.5;
-        const wallThickness = 0.2; // Make walls thicker for better collision
-        const wallHeight = 9;
-        const wallWidth = 12;
-        
-        const wallMaterial = this.physicsWorld.wallMaterial;
-        
-        // Left wall - positioned at x = -6, extends from -4.5 to 4.5 in Y
-        const leftWall = new Wall(
-            this.scene,
-            this.physicsWorld,
-            { x: left, y: 0, z: 0 },
-            { width: wallThickness, height: wallHeight },
-            'left',
-            wallMaterial
-        );
-        this.walls.push(leftWall);
-        
-        // Right wall - positioned at x = 6
-        const rightWall = new Wall(
-            this.scene,
-            this.physicsWorld,
-            { x: right, y: 0, z: 0 },
-            { width: wallThickness, height: wallHeight },
-            'right',
-            wallMaterial
-        );
-        this.walls.push(rightWall);
-        
-        // Ceiling - positioned at y = 4.5, extends from -6 to 6 in X
-        const ceiling = new Wall(
-            this.scene,
-            this.physicsWorld,
-            { x: 0, y: top, z: 0 },
-            { width: wallWidth, height: wallThickness },
-            'ceiling',
-            wallMaterial
-        );
-        this.walls.push(ceiling);
-    }
-
-    createBucket() {
-        // Bucket sticks out from bottom by 0.4 units
-        // Bottom of screen is at -4.5, so bucket center should be at -4.5 + 0.2 = -4.3
-        // (half of 0.4 height)
-        const bucketY = -4.5 + 0.2; // -4.3
-        const wallMaterial = this.physicsWorld.wallMaterial;
-        
-        this.bucket = new Bucket(
-            this.scene,
-            this.physicsWorld,
-            { x: 0, y: bucketY, z: 0 },
-            wallMaterial
-        );
-    }
-
     createVisualBoundaries() {
         // Camera view is 12 units wide (-6 to 6) and 9 units tall (-4.5 to 4.5)
         const left = -6;
@@ -750,6 +1595,7 @@ export class Game {
         // Simple ambient light for 2D (no shadows needed)
         const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
         this.scene.add(ambientLight);
+        this.persistentSceneObjects.push(ambientLight);
     }
 
     setupClickHandler() {
@@ -984,8 +1830,19 @@ export class Game {
         const normalizedDy = -(dy / rect.height) * 2; // Flip Y axis (screen Y increases down, world Y increases up)
         
         // Convert to world coordinates (camera view is 12 units wide, 9 units tall)
-        const worldDx = normalizedDx * 6;
-        const worldDy = normalizedDy * 4.5;
+        this.aimFromStick(normalizedDx * 6, normalizedDy * 4.5);
+    }
+    
+    /**
+     * Aim as if the stick offset was measured from the launcher - shared by the
+     * touch stick and the gamepad's left stick
+     * @param {number} worldDx - Stick offset in world units (+X right)
+     * @param {number} worldDy - Stick offset in world units (+Y up)
+     */
+    aimFromStick(worldDx, worldDy) {
+        // The stick takes the aim back from the keyboard
+        this.testAimAngle = null;
+        const rect = this.canvas.getBoundingClientRect();
         
         // Aim guide origin in world coordinates (spawn position)
         const spawnX = 0;
@@ -1055,14 +1912,41 @@ export class Game {
     }
     
     handleMouseDown(event) {
+        if (this.triggerPowerAction()) {
+            event.preventDefault(); // Prevent click event from firing
+        }
+    }
+    
+    /**
+     * Press the power button (mouse press, power key and gamepad power button)
+     *
+     * Presses during a shot go into the replay. A replay being watched plays its own
+     * presses back, so the player's are ignored.
+     * @returns {boolean} True if the press was used by a power
+     */
+    triggerPowerAction() {
+        if (this.replayPlayback) {
+            return false;
+        }
+        const used = this.performPowerAction();
+        if (used && this.replay && this.shotFrame !== null) {
+            this.replay.recordInput(this.shotFrame, 'power');
+        }
+        return used;
+    }
+    
+    /**
+     * Detonate a waiting bomb or start rocket thrust
+     * @returns {boolean} True if a power used the press
+     */
+    performPowerAction() {
         // Check if there's an active bomb to manually detonate
         if (this.bombs && this.bombs.length > 0 && this.balls.length === 0) {
             // Manually detonate the first active bomb
             const bomb = this.bombs[0];
             if (bomb && !bomb.exploded) {
                 this.explodeBomb(bomb);
-                event.preventDefault(); // Prevent click event from firing
-                return;
+                return true;
             }
         }
         
@@ -1083,18 +1967,22 @@ export class Game {
             
             // Activate thrust
             rocketBall.rocketThrustActive = true;
-            rocketBall.rocketThrustStartTime = performance.now() / 1000;
+            rocketBall.rocketThrustStartTime = this.now();
             rocketBall.rocketThrustPower = 1.0; // Start at full power (no ramp up)
             // Play thrust sound (looping)
             if (this.audioManager) {
                 rocketBall.rocketThrustSound = this.audioManager.playSound('pegThrust', { volume: 0.7, loop: true });
             }
-            event.preventDefault(); // Prevent click event from firing
-            return;
+            return true;
         }
+        return false;
     }
     
     setupPageVisibility() {
+        // init() runs for every level - one set of listeners is enough
+        if (this.pageVisibilityAdded) return;
+        this.pageVisibilityAdded = true;
+        
         // Pause game and mute music when page becomes hidden (browser minimized, tab switched, etc.)
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
@@ -1124,8 +2012,12 @@ export class Game {
         
         this.visibilityPaused = true;
         
-        // Pause the game
+        // Pause the game (power timers are already stopped if the player paused first)
         this.gamePaused = true;
+        this.stateMachine.pause();
+        if (!this.userPaused && this.activePower) {
+            this.activePower.onPause();
+        }
         
         // Mute all music tracks (only if music is currently playing)
         if (this.audioManager && this.audioManager.activeMusic && this.audioManager.activeMusic.loaded) {
@@ -1154,8 +2046,14 @@ export class Game {
         
         this.visibilityPaused = false;
         
-        // Resume the game
-        this.gamePaused = false;
+        // Resume the game (unless it was paused with the pause button before the page was hidden)
+        if (!this.userPaused) {
+            this.gamePaused = false;
+            this.stateMachine.resume();
+            if (this.activePower) {
+                this.activePower.onResume();
+            }
+        }
         
         // Unmute music tracks only if we muted them due to visibility
         if (this.musicMutedByVisibility && this.audioManager && this.audioManager.activeMusic && this.audioManager.activeMusic.loaded) {
@@ -1180,12 +2078,367 @@ export class Game {
         });
     }
 
+    /**
+     * Poll the gamepad for the menus shown before the game loop starts (it only
+     * starts once the first level is picked)
+     */
+    startMenuInputLoop() {
+        // One loop at a time (a level that fails to load goes back to the menus without the game loop ever starting)
+        if (this.menuInputLoopRunning) {
+            return;
+        }
+        this.menuInputLoopRunning = true;
+        let lastTime = performance.now();
+        const poll = () => {
+            if (this.animationFrameId) {
+                this.menuInputLoopRunning = false;
+                return; // The game loop polls from here on
+            }
+            const now = performance.now();
+            this.pollGamepad(now - lastTime);
+            lastTime = now;
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+    
+    setupKeyboardControls() {
+        window.addEventListener('keydown', (event) => {
+            this.handleKeyDown(event);
+        });
+    }
+    
+    /**
+     * Run the KeyAction bound to a key press (see KeyBindings for the table)
+     */
+    handleKeyDown(event) {
+        // Typing in a form field (seed input, editor dialogs) isn't a game command
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+        
+        // The level editor has its own keys while editing
+        if (this.levelEditor && this.levelEditor.isActive && !this.levelEditor.testingMode) {
+            return;
+        }
+        
+        const action = this.keyBindings.getAction(event);
+        if (action && this.performAction(action)) {
+            event.preventDefault(); // Space and arrows would scroll the page
+        }
+    }
+    
+    /**
+     * Run a KeyAction from the keyboard or gamepad
+     * @returns {boolean} False if the action doesn't apply right now
+     */
+    performAction(action) {
+        if (action === KeyAction.PAUSE) {
+            // Settings opened from the pause menu close back to it
+            if (this.isSettingsOpen()) {
+                this.closeSettings();
+                return true;
+            }
+            return this.togglePause();
+        }
+        
+        // Only while a level is being played (not in the level or character selector, or paused)
+        if (!this.stateMachine.is(GameState.AIMING, GameState.BALL_IN_FLIGHT, GameState.TURN_RESOLUTION)) {
+            return false;
+        }
+        
+        const presetIndex = {
+            [KeyAction.AIM_PRESET_1]: 0,
+            [KeyAction.AIM_PRESET_2]: 1,
+            [KeyAction.AIM_PRESET_3]: 2,
+            [KeyAction.AIM_PRESET_4]: 3,
+            [KeyAction.AIM_PRESET_5]: 4,
+            [KeyAction.AIM_PRESET_6]: 5
+        }[action];
+        
+        switch (action) {
+            case KeyAction.AIM_LEFT:
+                this.nudgeKeyboardAim(-this.keyboardAimStep);
+                break;
+            case KeyAction.AIM_RIGHT:
+                this.nudgeKeyboardAim(this.keyboardAimStep);
+                break;
+            case KeyAction.AIM_LEFT_FINE:
+                this.nudgeKeyboardAim(-this.keyboardAimFineStep);
+                break;
+            case KeyAction.AIM_RIGHT_FINE:
+                this.nudgeKeyboardAim(this.keyboardAimFineStep);
+                break;
+            case KeyAction.AIM_DOWN:
+                this.setKeyboardAim(270);
+                break;
+            case KeyAction.FIRE:
+                this.handleKeyboardShoot();
+                break;
+            case KeyAction.TOGGLE_GUIDE:
+                this.settings.set('trajectoryGuide', !this.showTrajectoryGuide);
+                break;
+            case KeyAction.POWER:
+                this.triggerPowerAction();
+                break;
+            default:
+                if (presetIndex !== undefined) {
+                    this.setKeyboardAim(this.keyboardAimPresets[presetIndex]);
+                }
+        }
+        return true;
+    }
+    
+    /**
+     * Pause or unpause a level in play
+     * @returns {boolean} False if there's nothing to pause (menus, page hidden)
+     */
+    togglePause() {
+        // Coming back to the page unpauses on its own
+        if (this.visibilityPaused) {
+            return false;
+        }
+        
+        if (this.userPaused) {
+            this.userPaused = false;
+            this.gamePaused = false;
+            this.stateMachine.resume();
+            this.hidePauseMenu();
+            if (this.activePower) {
+                this.activePower.onResume();
+            }
+            return true;
+        }
+        
+        if (!this.stateMachine.is(GameState.AIMING, GameState.BALL_IN_FLIGHT, GameState.TURN_RESOLUTION) || !this.stateMachine.pause()) {
+            return false;
+        }
+        this.userPaused = true;
+        this.gamePaused = true;
+        // Physics, the bucket and the emoji effects stop with the game loop; power timers run on their own clock
+        if (this.activePower) {
+            this.activePower.onPause();
+        }
+        this.showPauseMenu();
+        return true;
+    }
+    
+    /**
+     * Restart the level being played with the same character (pause menu)
+     * @param {boolean} newSeed - False replays the same layout
+     */
+    restartLevel(newSeed) {
+        const character = this.selectedCharacter;
+        const seed = this.currentSeed;
+        this.teardownLevel();
+        
+        const seedInput = this.seedInput || document.querySelector('#seed-input');
+        if (seedInput) {
+            seedInput.value = !newSeed && seed !== null ? seed.toString() : '';
+        }
+        
+        // A fresh power instance, like picking the character again
+        this.selectedCharacter = character;
+        if (character) {
+            this.activePower = new character.power(this);
+        }
+        this.startGame();
+    }
+    
+    /**
+     * Leave the level for the level selector (pause menu)
+     */
+    quitToLevelSelect() {
+        this.teardownLevel();
+        
+        // Character has to be picked again, like after "Play Again"
+        this.selectedCharacter = null;
+        document.querySelectorAll('.character-option').forEach(opt => {
+            opt.classList.remove('selected');
+        });
+        const startButton = document.querySelector('#start-game-button');
+        if (startButton) {
+            startButton.disabled = true;
+        }
+        
+        this.stateMachine.transition(GameState.LEVEL_SELECT);
+        
+        // The game loop is stopped, the menus still need the gamepad
+        this.startMenuInputLoop();
+    }
+    
+    /**
+     * Stop the level in play and remove everything it put in the scene, the physics
+     * world and the page (restart and quit from the pause menu)
+     */
+    teardownLevel() {
+        if (this.isSettingsOpen()) {
+            this.settingsOverlay.style.display = 'none';
+        }
+        this.settingsPausedGame = false;
+        this.userPaused = false;
+        this.gamePaused = false;
+        this.hidePauseMenu();
+        this.hideLevelResults();
+        this.hidePlayAgainButton();
+        this.hidePlayAgainNewSeedButton();
+        
+        // Game loop, power, and everything the level put in the scene and physics world
+        this.unloadLevel();
+        
+        // Stop replays (watching and recording) - the next start records its own
+        this.replayPlayback = null;
+        this.replay = null;
+        this.testAimAngle = null;
+        this.finalOrangeFocus = null;
+        this.timeScale = 1;
+        this.rouletteQueue = [];
+        this.powerQueue = [];
+        this.selectedPower = null;
+        
+        // Score and turn state (same as Play Again)
+        this.resetGameState();
+        this.updateBallsRemainingUI();
+        this.updateScoreUI();
+        this.updateGoalUI();
+        this.updateFreeBallMeter();
+        this.updateOrangePegMultiplier();
+    }
+    
+    /**
+     * Take the level apart: stop the game loop, reset the power, then remove every mesh,
+     * material, texture and physics body the level made, along with its collision
+     * listeners. The renderer, camera, scene and lights stay for the next level.
+     */
+    unloadLevel() {
+        // init() starts a new loop with the next level
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        // The power clears its timers, meshes and UI
+        if (this.activePower) {
+            this.activePower.onReset();
+        }
+        
+        // Balls, pegs, characteristics, walls, buckets and the physics world
+        super.unloadLevel();
+        this.trajectoryPreview.clear();
+        
+        if (this.trajectoryGuide) {
+            this.scene.remove(this.trajectoryGuide);
+            this.trajectoryGuide.geometry.dispose();
+            this.trajectoryGuide.material.dispose();
+            this.trajectoryGuide = null;
+        }
+        
+        if (this.scene) {
+            // Anything else still in the scene was made for this level (power effects, emoji sprites)
+            this.scene.children
+                .filter(object => !this.persistentSceneObjects.includes(object))
+                .forEach(object => {
+                    this.scene.remove(object);
+                    this.disposeObject(object);
+                });
+        }
+        
+        // Blank board behind the menus instead of the last frame
+        this.setCameraFocus(0, 0, 1);
+        if (this.renderer) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    
+    /**
+     * Free the GPU resources of an object and its children
+     * @param {THREE.Object3D} object
+     */
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.filter(Boolean).forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture) {
+                        value.dispose();
+                    }
+                });
+                material.dispose();
+            });
+        });
+    }
+    
+    /**
+     * Turn the keyboard aim (starting from where the mouse was aiming if the mouse had it)
+     * @param {number} delta - Degrees, negative toward the left wall
+     */
+    nudgeKeyboardAim(delta) {
+        let angle = this.testAimAngle !== null ? this.testAimAngle : this.getMouseAimAngle();
+        // Unwrap so the allowed range 170° → 360° → 10° is one continuous 170°-370° span
+        if (angle < 170) {
+            angle += 360;
+        }
+        angle = Math.max(170, Math.min(370, angle + delta));
+        this.setKeyboardAim(this.roundToDecimals(angle % 360, 2));
+    }
+    
+    /**
+     * @returns {number} Angle the mouse (or stick) is aiming at, clamped out of the blocked cone
+     */
+    getMouseAimAngle() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (this.mouseX === undefined || this.mouseX === null || rect.width === 0 || rect.height === 0) {
+            return 270;
+        }
+        
+        // Same conversion as updateTrajectoryGuide
+        const targetX = ((this.mouseX / rect.width) * 2 - 1) * 6;
+        const targetY = (1 - (this.mouseY / rect.height) * 2) * 4.5 + 0.5;
+        let angle = Math.atan2(targetY - this.ballSpawnY, targetX - this.ballSpawnX) * (180 / Math.PI);
+        if (angle < 0) {
+            angle += 360;
+        }
+        if (angle > 10 && angle < 170) {
+            angle = angle < 90 ? 10 : 170;
+        }
+        return angle;
+    }
+    
+    setKeyboardAim(angle) {
+        this.testAimAngle = angle;
+        
+        // Update trajectory guide if no ball is active
+        if (this.balls.length === 0 && this.ballsRemaining > 0) {
+            this.updateTrajectoryGuide();
+        }
+    }
+    
+    /**
+     * Fire through the same path as a click - at the keyboard aim if there is one,
+     * otherwise where the mouse last was (what the guide is showing)
+     */
+    handleKeyboardShoot() {
+        // handleClick ignores the event position while testAimAngle is set
+        const rect = this.canvas.getBoundingClientRect();
+        this.handleClick({
+            clientX: rect.left + this.mouseX,
+            clientY: rect.top + this.mouseY
+        });
+    }
+    
     handleMouseMove(event) {
         // Store mouse position for aiming
         const rect = this.canvas.getBoundingClientRect();
         this.mouseX = event.clientX - rect.left;
         this.mouseY = event.clientY - rect.top;
         
+        // Moving the mouse takes the aim back from the keyboard
+        this.testAimAngle = null;
+        
         // Update trajectory guide if no ball is active
         if (this.balls.length === 0 && this.ballsRemaining > 0) {
             this.updateTrajectoryGuide();
@@ -1200,8 +2453,13 @@ export class Game {
             return;
         }
         
-        // Don't allow firing if there's already an active ball (that isn't a rocket)
-        if (this.balls.length > 0) {
+        // Only fire while aiming (not in menus, mid-shot, between turns or after the level ends)
+        if (!this.stateMachine.is(GameState.AIMING)) {
+            return;
+        }
+        
+        // Don't allow firing while a replay is playing
+        if (this.replayPlayback) {
             return;
         }
         
@@ -1218,10 +2476,9 @@ export class Game {
             // Use test aim angle (from keyboard)
             const angleRad = this.testAimAngle * (Math.PI / 180);
             const distance = 5; // Distance from spawn point for aiming
-            targetX = Math.cos(angleRad) * distance;
-            targetY = Math.sin(angleRad) * distance;
-            // Clear test aim angle after use
-            this.testAimAngle = null;
+            targetX = this.ballSpawnX + Math.cos(angleRad) * distance;
+            targetY = this.ballSpawnY + Math.sin(angleRad) * distance;
+            // Keep the keyboard aim for the next shot (the mouse or touch stick clears it)
             mouseX = null;
             mouseY = null;
             normalizedX = null;
@@ -1237,117 +2494,53 @@ export class Game {
             // World Y: increases upward, so we need to flip
             normalizedX = (mouseX / rect.width) * 2 - 1;
             normalizedY = 1 - (mouseY / rect.height) * 2; // Flip Y: top of screen (0) -> 1, bottom -> -1
-            
-            // Convert to 2D world coordinates
-            // Camera view is 12 units wide (-6 to 6), 9 units tall (-4.5 to 4.5)
-            targetX = normalizedX * 6;
-            targetY = normalizedY * 4.5 + 0.5; // Slight offset to account for spawn height
-        }
-        
-        // Calculate direction from spawn point to mouse position
-        let dx = targetX - this.ballSpawnX;
-        let dy = targetY - this.ballSpawnY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Prevent division by zero
-        if (distance < 0.01) {
-            return;
-        }
-        
-        // Calculate angle in degrees (standard atan2: 0° = right, 90° = up, 180° = left, 270° = down)
-        // Round dx/dy before atan2 for determinism
-        dx = this.roundToDecimals(dx);
-        dy = this.roundToDecimals(dy);
-        let angle = Math.atan2(dy, dx) * (180 / Math.PI);
-        // Round angle for determinism
-        angle = this.roundToDecimals(angle);
-        // Convert from -180 to 180 range to 0 to 360 range
-        if (angle < 0) {
-            angle += 360;
-        }
-        
-        // Clamp angle to block 160° cone looking straight up (80° on each side of 90°)
-        // Block from 10° to 170° (160° total), allow 170° to 10° (wrapping around)
-        // This means we allow: 170° to 360° and 0° to 10°, which is the same as blocking 10° to 170°
-        const blockedStart = 10;  // Start of blocked cone
-        const blockedEnd = 170;   // End of blocked cone
-        
-        if (angle > blockedStart && angle < blockedEnd) {
-            // Clamp to nearest boundary
-            if (angle < 90) {
-                // Closer to start boundary
-                angle = blockedStart;
-            } else {
-                // Closer to end boundary
-                angle = blockedEnd;
-            }
+            
+            // Convert to 2D world coordinates
+            // Camera view is 12 units wide (-6 to 6), 9 units tall (-4.5 to 4.5)
+            targetX = normalizedX * 6;
+            targetY = normalizedY * 4.5 + 0.5; // Slight offset to account for spawn height
         }
         
-        // Convert back to radians and calculate velocity
-        // Round angleRad for determinism
-        const angleRad = this.roundToDecimals(angle * (Math.PI / 180));
-        const clampedDx = this.roundToDecimals(Math.cos(angleRad));
-        const clampedDy = this.roundToDecimals(Math.sin(angleRad));
-        
-        // Normalize direction and apply speed
-        const speed = this.ballShotSpeed;
-        let velocityX = clampedDx * speed;
-        let velocityY = clampedDy * speed;
-        
-        // Round initial velocity to 3 decimals for determinism
-        velocityX = this.roundToDecimals(velocityX);
-        velocityY = this.roundToDecimals(velocityY);
-        
-        const originalVelocity = { x: velocityX, y: velocityY, z: 0 };
-        
-        // Reset purple peg multiplier
-        this.purplePegMultiplier = 1.0;
+        // Calculate direction from spawn point to mouse position
+        let dx = targetX - this.ballSpawnX;
+        let dy = targetY - this.ballSpawnY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Reset peg hit sound scale for new shot
-        if (this.audioManager) {
-            this.audioManager.resetPegHitScale();
+        // Prevent division by zero
+        if (distance < 0.01) {
+            return;
         }
         
-        // Set lucky clover active state for this ball (from previous green peg hit)
-        // This will be set when the ball is spawned
+        // Calculate angle in degrees (standard atan2: 0° = right, 90° = up, 180° = left, 270° = down)
+        // Round dx/dy before atan2 for determinism
+        dx = this.roundToDecimals(dx);
+        dy = this.roundToDecimals(dy);
+        let angle = Math.atan2(dy, dx) * (180 / Math.PI);
+        // Round angle for determinism
+        angle = this.roundToDecimals(angle);
         
         // Hide trajectory guide when shooting
         this.hideTrajectoryGuide();
 
-        // No power selected, proceed with normal shot
-        this.executeShot(this.ballSpawnX, this.ballSpawnY, this.ballSpawnZ, targetX, targetY, originalVelocity);
-
-        this.activePower.onBallShot({
-            spawnX: this.ballSpawnX,
-            spawnY: this.ballSpawnY,
-            spawnZ: this.ballSpawnZ,
-            originalVelocity,
-            originalVelocity,
-            targetX,
-            targetY
-        });
+        // Clamping, velocity rounding and the power hooks are shared with the headless simulation
+        this.shoot(angle, targetX, targetY);
     }
     
-    executeShot(spawnX, spawnY, spawnZ, targetX, targetY, originalVelocity) {
-        // Play shoot sound
-        if (this.audioManager) {
-            this.audioManager.playSound('pegShoot', { volume: 1 });
-        }
-        
-        // Check if power is available for this shot BEFORE decrementing
-        const hasPower = this.powerTurnsRemaining > 0;
-
-        // Decrement balls remaining and update UI (unless in editor testing mode - unlimited balls)
-        if (!(this.levelEditor && this.levelEditor.testingMode)) {
-            this.ballsRemaining--;
-            this.updateBallsRemainingUI();
-        }
-
-        // Spawn the ball (unless power overrides)
-        if (!this.activePower?.overrideSpawnBall) {
-            this.spawnBall(spawnX, spawnY, spawnZ, originalVelocity, originalVelocity);
-            this.activePower.ballInPlay();
+    /**
+     * Record every shot (clamped angle, bucket state, physics accumulator) before firing it
+     */
+    shoot(angle, targetX = null, targetY = null) {
+        if (this.replay) {
+            this.replay.recordShot(this.clampAimAngle(angle), this.bucket, this.physicsWorld.accumulator);
         }
+        super.shoot(angle, targetX, targetY);
+    }
+    
+    /**
+     * Editor testing mode gives unlimited balls
+     */
+    hasUnlimitedBalls() {
+        return !!(this.levelEditor && this.levelEditor.testingMode);
     }
     
     createTrajectoryGuide() {
@@ -1367,6 +2560,11 @@ export class Game {
     }
     
     updateTrajectoryGuide() {
+        if (!this.showTrajectoryGuide) {
+            this.hideTrajectoryGuide();
+            return;
+        }
+        
         // In editor testing mode, always show trajectory guide (unlimited balls)
         const hasBallsLeft = (this.levelEditor && this.levelEditor.testingMode) || this.ballsRemaining > 0;
         // Show trajectory guide even when André's power is active (for reference)
@@ -1385,8 +2583,8 @@ export class Game {
             // Use test aim angle (from keyboard)
             const angleRad = this.testAimAngle * (Math.PI / 180);
             const distance = 5; // Distance from spawn point for aiming
-            targetX = Math.cos(angleRad) * distance;
-            targetY = Math.sin(angleRad) * distance;
+            targetX = this.ballSpawnX + Math.cos(angleRad) * distance;
+            targetY = this.ballSpawnY + Math.sin(angleRad) * distance;
         } else {
             // Use mouse position
             const rect = this.canvas.getBoundingClientRect();
@@ -1451,14 +2649,23 @@ export class Game {
         const velocityX = clampedDx * speed;
         const velocityY = clampedDy * speed;
         
-        // Calculate trajectory points using physics simulation
-        const points = this.calculateTrajectory(spawnX, spawnY, velocityX, velocityY);
+        // Calculate trajectory points - the extended guide runs the real physics on a copy of the level
+        const points = this.isExtendedAimGuideOn()
+            ? this.trajectoryPreview.predict(spawnX, spawnY, velocityX, velocityY).points.map(point => new THREE.Vector3(point.x, point.y, 0))
+            : this.calculateTrajectory(spawnX, spawnY, velocityX, velocityY);
         
         // Update the line geometry
         this.trajectoryGuide.geometry.setFromPoints(points);
         this.trajectoryGuide.visible = true;
     }
     
+    /**
+     * Extended aim guide is on from the practice setting or the active power
+     */
+    isExtendedAimGuideOn() {
+        return this.extendedAimGuide || !!(this.activePower && this.activePower.extendedAimGuide);
+    }
+    
     calculateTrajectory(startX, startY, velocityX, velocityY) {
         const points = [];
         const gravity = -9.82;
@@ -1554,29 +2761,6 @@ export class Game {
         }
     }
     
-    checkGameOver() {
-        // Game is over if:
-        // 1. No balls remaining AND no active balls
-        // 2. All orange pegs cleared (goalProgress >= goalTarget)
-        // In editor testing mode, never consider game over due to no balls (unlimited balls)
-        const noBallsLeft = !(this.levelEditor && this.levelEditor.testingMode) && 
-                           this.ballsRemaining <= 0 && 
-                           this.balls.length === 0;
-        const allOrangePegsCleared = this.goalProgress >= this.goalTarget;
-        
-        if (noBallsLeft || allOrangePegsCleared) {
-            // Clear roulette queue on game end to avoid overflow to next game
-            if (this.rouletteQueue) {
-                this.rouletteQueue = [];
-            }
-            this.showPlayAgainButton();
-            this.showPlayAgainNewSeedButton();
-        } else {
-            this.hidePlayAgainButton();
-            this.hidePlayAgainNewSeedButton();
-        }
-    }
-    
     showPlayAgainButton() {
         if (this.playAgainButton) {
             this.playAgainButton.style.display = 'block';
@@ -1601,14 +2785,72 @@ export class Game {
         }
     }
     
+    /**
+     * Pop up a short callout that fades out by itself
+     * @param {string} text
+     * @param {string} variant - Extra class ('tally' for the end-of-turn total)
+     */
+    showStyleCallout(text, variant = null) {
+        if (!this.styleCalloutsElement) return;
+        
+        const callout = document.createElement('div');
+        callout.className = variant ? `style-callout ${variant}` : 'style-callout';
+        callout.textContent = text;
+        callout.addEventListener('animationend', () => callout.remove());
+        this.styleCalloutsElement.appendChild(callout);
+    }
+    
+    /**
+     * Fill in and show the end-of-level score breakdown
+     * @param {Object} results - From tallyLevelResults()
+     */
+    showLevelResults(results) {
+        if (!this.levelResultsPanel) {
+            // No panel in the page - go straight to play again
+            this.showPlayAgainButton();
+            this.showPlayAgainNewSeedButton();
+            return;
+        }
+        
+        const setText = (selector, text) => {
+            const element = this.levelResultsPanel.querySelector(selector);
+            if (element) {
+                element.textContent = text;
+            }
+        };
+        setText('#level-results-score', results.levelScore.toLocaleString());
+        setText('#level-results-bucket', results.bonusBucketScore.toLocaleString());
+        setText('#level-results-balls-label', `Balls left (${results.ballsRemaining} × ${this.remainingBallBonus.toLocaleString()})`);
+        setText('#level-results-balls', results.ballBonus.toLocaleString());
+        setText('#level-results-total', results.totalScore.toLocaleString());
+        setText('#level-results-stars', '★'.repeat(results.stars) + '☆'.repeat(3 - results.stars));
+        
+        // Only games that count towards campaign progress can set a record
+        const campaign = this.campaignResult;
+        const notes = [];
+        if (campaign && campaign.firstClear) {
+            notes.push('First clear!');
+        } else if (campaign) {
+            if (campaign.newBestScore) notes.push('New best score!');
+            if (campaign.newStars) notes.push('New star record!');
+        }
+        setText('#level-results-record', notes.join(' '));
+        
+        this.levelResultsPanel.style.display = 'block';
+    }
+    
+    hideLevelResults() {
+        if (this.levelResultsPanel) {
+            this.levelResultsPanel.style.display = 'none';
+        }
+    }
+    
     restartGame() {
-        // Hide play again buttons
-        this.activePower.onReset();
-        this.hidePlayAgainButton();
-        this.hidePlayAgainNewSeedButton();
+        // Stop the level and clear it out (power, scene, physics world)
+        this.unloadLevel();
         
-        // Show character selector again for new character selection
-        this.showCharacterSelector();
+        // Show character selector again for new character selection (hides play again buttons)
+        this.stateMachine.transition(GameState.CHARACTER_SELECT);
         
         // Clear selected character - user must choose again
         this.selectedCharacter = null;
@@ -1643,24 +2885,13 @@ export class Game {
         }
         
         // Reset game state
-        this.ballsRemaining = 10;
-        this.score = 0;
-        this.goalProgress = 0;
-        this.powerTurnsRemaining = 0;
-        this.currentShotScore = 0;
-        this.purplePegMultiplier = 1.0;
-        this.orangePegMultiplier = 1.0;
+        this.resetGameState();
         
         // Reset test aim angle
         this.testAimAngle = null;
         
-        // Clear all balls
-        this.balls.forEach(ball => ball.remove());
-        this.balls = [];
-        
-        // Clear all pegs
-        this.pegs.forEach(peg => peg.remove());
-        this.pegs = [];
+        // Stop any replay playback
+        this.replayPlayback = null;
         
         // Music continues playing - will restart when level loads after character selection
         
@@ -1671,18 +2902,19 @@ export class Game {
         this.updateFreeBallMeter();
         this.updateOrangePegMultiplier();
         
+        // The game loop is stopped, the character selector still needs the gamepad
+        this.startMenuInputLoop();
+        
         // Don't load level here - user must select character and click "Start Game" first
         // Level will be loaded when startGame() is called
     }
     
     restartGameWithNewSeed() {
-        // Hide play again buttons
-        this.activePower.onReset();
-        this.hidePlayAgainButton();
-        this.hidePlayAgainNewSeedButton();
+        // Stop the level and clear it out (power, scene, physics world)
+        this.unloadLevel();
         
-        // Show character selector again for new character selection
-        this.showCharacterSelector();
+        // Show character selector again for new character selection (hides play again buttons)
+        this.stateMachine.transition(GameState.CHARACTER_SELECT);
         
         // Clear selected character - user must choose again
         this.selectedCharacter = null;
@@ -1714,24 +2946,13 @@ export class Game {
         this.selectedPower = null;
         
         // Reset game state (seed will be reused when user starts new game)
-        this.ballsRemaining = 10;
-        this.score = 0;
-        this.goalProgress = 0;
-        this.powerTurnsRemaining = 0;
-        this.currentShotScore = 0;
-        this.purplePegMultiplier = 1.0;
-        this.orangePegMultiplier = 1.0;
+        this.resetGameState();
         
         // Reset test aim angle
         this.testAimAngle = null;
         
-        // Clear all balls
-        this.balls.forEach(ball => ball.remove());
-        this.balls = [];
-        
-        // Clear all pegs
-        this.pegs.forEach(peg => peg.remove());
-        this.pegs = [];
+        // Stop any replay playback
+        this.replayPlayback = null;
         
         // Music continues playing - will restart when level loads after character selection
         
@@ -1742,76 +2963,15 @@ export class Game {
         this.updateFreeBallMeter();
         this.updateOrangePegMultiplier();
         
+        // The game loop is stopped, the character selector still needs the gamepad
+        this.startMenuInputLoop();
+        
         // Don't load level here - user must select character and click "Start Game" first
         // Level will be loaded when startGame() is called (with new seed)
     }
 
     updateOrangePegMultiplier() {
-        // Calculate percentage of orange pegs cleared
-        // Total orange pegs = goalProgress (hit) + remaining orange pegs
-        const remainingOrangePegs = this.pegs.filter(peg => peg.isOrange && !peg.hit).length;
-        const totalOrangePegs = this.goalProgress + remainingOrangePegs;
-        const percentage = totalOrangePegs > 0 ? (this.goalProgress / totalOrangePegs) * 100 : 0;
-        
-        // Determine multiplier based on percentage
-        // Thresholds are exact: 40% = 2x, 60% = 3x, 80% = 5x, 90% = 10x
-        // Store previous multiplier BEFORE calculating new one
-        const previousMultiplier = this.orangePegMultiplier;
-        if (percentage >= 90) {
-            this.orangePegMultiplier = 8;
-        } else if (percentage >= 80) {
-            this.orangePegMultiplier = 5;
-        } else if (percentage >= 60) {
-            this.orangePegMultiplier = 3;
-        } else if (percentage >= 40) {
-            this.orangePegMultiplier = 2;
-        } else {
-            this.orangePegMultiplier = 1.0;
-        }
-        
-        // Update music layers based on multiplier
-        // Track 1: Always playing (base layer)
-        // Track 2: Unmutes at 2x (40%)
-        // Track 3: Unmutes at 3x (60%)
-        // Track 4: Unmutes at 5x (80%)
-        // Only update tracks when multiplier actually changes (prevents unnecessary fade-ins)
-        // Track states are managed by multiplier value, not by track existence
-        if (this.audioManager && this.musicStarted && previousMultiplier !== this.orangePegMultiplier) {
-            
-            // Determine mute states based on current multiplier value
-            // Use clear if/else chain based on multiplier value
-            let track2Muted, track3Muted, track4Muted;
-            
-            if (this.orangePegMultiplier >= 5) {
-                // 5x (80%) or 8x (90%): All tracks unmuted
-                track2Muted = false;
-                track3Muted = false;
-                track4Muted = false;
-            } else if (this.orangePegMultiplier >= 3) {
-                // 3x (60%): Tracks 2 and 3 unmuted, track 4 muted
-                track2Muted = false;
-                track3Muted = false;
-                track4Muted = true;
-            } else if (this.orangePegMultiplier >= 2) {
-                // 2x (40%): Track 2 unmuted, tracks 3 and 4 muted
-                track2Muted = false;
-                track3Muted = true;
-                track4Muted = true;
-            } else {
-                // 1x (below 40%): Tracks 2, 3, and 4 muted (only track 1 playing)
-                track2Muted = true;
-                track3Muted = true;
-                track4Muted = true;
-            }
-            
-            // Update mute states based on multiplier value (fade-in only happens when transitioning from muted to unmuted)
-            const track2Name = this.audioManager.getTrackName(2);
-            const track3Name = this.audioManager.getTrackName(3);
-            const track4Name = this.audioManager.getTrackName(4);
-            if (track2Name) this.audioManager.setMusicTrackMuted(track2Name, track2Muted);
-            if (track3Name) this.audioManager.setMusicTrackMuted(track3Name, track3Muted);
-            if (track4Name) this.audioManager.setMusicTrackMuted(track4Name, track4Muted);
-        }
+        const percentage = super.updateOrangePegMultiplier();
         
         // Clamp percentage for display (shouldn't exceed 100%)
         const clampedPercentage = Math.min(100, Math.max(0, percentage));
@@ -1822,7 +2982,7 @@ export class Game {
         }
         
         // Calculate total multiplier (orange peg multiplier * purple peg multiplier)
-        // Orange peg multiplier is exactly as set: 1x, 2x, 3x, 5x, or 10x
+        // Orange peg multiplier is exactly as set by the level's multiplier thresholds
         const totalMultiplier = this.orangePegMultiplier * this.purplePegMultiplier;
         
         // Update multiplier value display
@@ -1830,753 +2990,150 @@ export class Game {
             this.multiplierValue.textContent = `${totalMultiplier.toFixed(1)}x`;
         }
     }
-    
-    assignPurplePeg() {
-
-        // Remove purple status from previous purple peg (if any)
-        if (this.purplePeg && !this.purplePeg.hit) {
-            // Reset to blue color if not hit
-            this.purplePeg.color = 0x4a90e2; // Update stored color
-            if (this.purplePeg.mesh.material && this.purplePeg.mesh.material.uniforms) {
-                // Lighten color to compensate for shader darkening
-                const lightenColor = (hexColor, factor) => {
-                    const r = ((hexColor >> 16) & 0xFF) * factor;
-                    const g = ((hexColor >> 8) & 0xFF) * factor;
-                    const b = (hexColor & 0xFF) * factor;
-                    return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-                };
-                const lightenedColor = lightenColor(0x4a90e2, 1.3);
-                this.purplePeg.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-                // Also update bounce color if it's normal (since normal uses peg color)
-                if (this.purplePeg.bounceType === 'normal') {
-                    this.purplePeg.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-                }
-            }
-            this.purplePeg.isPurple = false;
-            this.purplePeg.pointValue = 300; // Reset to base value (blue peg value)
-        }
-        
-        // Find all blue pegs (not orange, not green, not hit)
-        const bluePegs = this.pegs.filter(peg => 
-            !peg.isOrange && 
-            !peg.isGreen && 
-            !peg.hit &&
-            !peg.isPurple
-        );
-        
-        if (bluePegs.length === 0) {
-            // No blue pegs available
-            this.purplePeg = null;
-            return;
-        }
-        
-        // Randomly select one blue peg to be purple (using seeded RNG if available, otherwise Math.random)
-        let randomIndex;
-        if (this.rng && this.rng.randomInt) {
-            randomIndex = this.rng.randomInt(0, bluePegs.length);
-        } else {
-            // Fallback to Math.random if RNG is not initialized (e.g., in level editor test mode)
-            randomIndex = Math.floor(Math.random() * bluePegs.length);
-        }
-        this.purplePeg = bluePegs[randomIndex];
-        this.purplePeg.isPurple = true;
-        this.purplePeg.pointValue = 1500; // Purple peg value
-        
-        // Change color to purple (lighter purple for default state) - update shader uniforms
-        this.purplePeg.color = 0xba55d3; // Update stored color
-        if (this.purplePeg.mesh.material && this.purplePeg.mesh.material.uniforms) {
-            // Lighten color to compensate for shader darkening
-            const lightenColor = (hexColor, factor) => {
-                const r = ((hexColor >> 16) & 0xFF) * factor;
-                const g = ((hexColor >> 8) & 0xFF) * factor;
-                const b = (hexColor & 0xFF) * factor;
-                return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-            };
-            const lightenedColor = lightenColor(0xba55d3, 1.3);
-            this.purplePeg.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-            // Also update bounce color if it's normal (since normal uses peg color)
-            if (this.purplePeg.bounceType === 'normal') {
-                this.purplePeg.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-            }
-        }
-    }
-
-    spawnBall(x, y, z, velocity = null, originalVelocity = null, isYellow = false, isQuillShot = false, isRocket = false, isI8 = false) {
-        if(this.activePower.onBallShot.overrideSpawnBall) {
-            return;
-        }
-        const ballMaterial = this.physicsWorld.getBallMaterial();
-        const ball = new Ball(this, this.scene, this.physicsWorld, { x, y, z }, velocity, ballMaterial, isYellow);
-        // Store original velocity for lucky clover perk
-        ball.originalVelocity = originalVelocity || velocity;
-        // Track which pegs this ball has hit
-        ball.hitPegs = [];
-        // Track initial position for radius check
-        ball.initialPosition = { x, y, z };
-        // Track time since last new peg hit for stuck detection
-        ball.lastNewPegHitTime = performance.now() / 1000;
-        // Track velocity for stuck detection
-        ball.lastVelocity = 0;
-        ball.lastHighVelocityTime = performance.now() / 1000;
-        // Track spawn time for 5-second airtime check
-        ball.spawnTime = performance.now() / 1000;
-        // Track recent peg hits for stuck pattern detection (bouncing between same 2 pegs)
-        ball.recentHitPegs = []; // Last 2 pegs hit
-        ball.recentHitTimes = []; // Times of those hits
-        ball.stuckPatternCheckTime = performance.now() / 1000; // Last time we checked for stuck pattern
-        ball.stuckPatternCount = 0; // Consecutive intervals with stuck pattern detected
-        // Track if this ball used power (so we know to decrement when destroyed)
-        ball.usedPower = this.powerTurnsRemaining > 0;
-        // Track if this is a quill shot ball
-        ball.isQuillShot = isQuillShot;
-        ball.lastQuillShotTime = isQuillShot ? performance.now() / 1000 : 0;
-        
-        this.balls.push(ball);
-        return ball; // Return ball reference for mirror ball pairing
-    }
-    
-
-    async loadLevel(levelPath) {
-        try {
-            const levelData = await LevelLoader.loadLevel(levelPath);
-            
-            if (!LevelLoader.validateLevel(levelData)) {
-                // Invalid level data
-                return;
-            }
-
-            
-            // Create pegs from level data
-            const pegMaterial = this.physicsWorld.getPegMaterial();
-            
-            // First, create all pegs as blue (base color from JSON)
-            levelData.pegs.forEach(pegData => {
-                // Handle color - can be hex string (#4a90e2) or number (4886754)
-                let baseColor;
-                if (pegData.color) {
-                    if (typeof pegData.color === 'string') {
-                        baseColor = LevelLoader.hexToNumber(pegData.color);
-                    } else {
-                        baseColor = pegData.color; // Already a number
-                    }
-                } else {
-                    baseColor = 0x4a90e2; // Default blue color
-                }
-                
-                // Round peg positions to 3 decimals for determinism (match ball position precision)
-                const roundedX = this.roundToDecimals(pegData.x);
-                const roundedY = this.roundToDecimals(pegData.y);
-                
-                // Get type, size, and bounceType from level data, default to round base normal if not specified
-                const pegType = pegData.type || 'round';
-                const pegSize = pegData.size || 'base';
-                const pegBounceType = pegData.bounceType || 'normal';
-                
-                const peg = new Peg(
-                    this,
-                    this.scene,
-                    this.physicsWorld,
-                    { x: roundedX, y: roundedY, z: 0 },
-                    baseColor,
-                    pegMaterial,
-                    pegType,
-                    pegSize,
-                    pegBounceType
-                );
-                
-                // Set base point value (will be updated for special pegs)
-                peg.pointValue = 300; // Blue pegs are worth 400 points
-                peg.isOrange = false;
-                peg.isGreen = false;
-                peg.isPurple = false;
-                
-                // Apply rotation if specified
-                if (pegData.rotation !== undefined && pegData.rotation !== 0) {
-                    peg.mesh.rotation.z = pegData.rotation;
-                    // Update physics body rotation to match
-                    const euler = new THREE.Euler(0, 0, pegData.rotation);
-                    const quaternion = new THREE.Quaternion().setFromEuler(euler);
-                    peg.body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
-                }
-                
-                this.pegs.push(peg);
-            });
-            
-            // Create characteristics from level data
-            if (levelData.characteristics && Array.isArray(levelData.characteristics) && levelData.characteristics.length > 0) {
-                import('./entities/Characteristic.js').then(({ Characteristic }) => {
-                    levelData.characteristics.forEach(charData => {
-                        const roundedX = this.roundToDecimals(charData.x);
-                        const roundedY = this.roundToDecimals(charData.y);
-                        const shapeType = charData.shape || 'rect'; // 'rect' or 'circle'
-                        const size = charData.size || (shapeType === 'circle' ? { radius: 0.5 } : { width: 1, height: 1 });
-                        const rotation = charData.rotation || 0;
-                        const bounceType = charData.bounceType || 'normal';
-                        
-                        const characteristic = new Characteristic(
-                            this.scene,
-                            this.physicsWorld,
-                            { x: roundedX, y: roundedY, z: charData.z || 0 },
-                            shapeType,
-                            size,
-                            bounceType
-                        );
-                        
-                        if (rotation !== 0) {
-                            characteristic.setRotation(rotation);
-                        }
-                        
-                        this.characteristics.push(characteristic);
-                    });
-                }).catch(error => {
-                    console.error('[Game] Error loading characteristics:', error);
-                });
-            }
-            
-            // Shapes and spacers are editor-only tools and should NOT load in the game
-            // They are saved separately in *_dev.json files for editing purposes
-            
-            // Skip special peg assignment only for "Test Level" specifically (only blue pegs)
-            // Other test levels like "test6" should still get special pegs
-            const isTestLevel = levelData.name && (
-                levelData.name.toLowerCase() === 'test level' || 
-                levelData.name.toLowerCase() === 'test-level'
-            );
-            
-            if (!isTestLevel) {
-                // Randomly select pegs for special types
-                const indices = Array.from({length: this.pegs.length}, (_, i) => i);
-                // Fisher-Yates shuffle - use RNG if available, otherwise Math.random
-                for (let i = indices.length - 1; i > 0; i--) {
-                    let j;
-                    if (this.rng && this.rng.randomInt) {
-                        j = this.rng.randomInt(0, i + 1);
-                    } else {
-                        // Fallback to Math.random if RNG is not initialized
-                        j = Math.floor(Math.random() * (i + 1));
-                    }
-                    [indices[i], indices[j]] = [indices[j], indices[i]];
-                }
-                
-                // Select 2 green pegs (power pegs) first
-                const greenIndices = indices.slice(0, 2);
-                greenIndices.forEach(i => {
-                    const peg = this.pegs[i];
-                    peg.isGreen = true;
-                    peg.pointValue = 800; // Green pegs are worth 1200 points
-                    // Change color to green - update shader uniforms
-                    peg.color = 0x32cd32; // Update stored color
-                    if (peg.mesh.material && peg.mesh.material.uniforms) {
-                        // Lighten color to compensate for shader darkening
-                        const lightenColor = (hexColor, factor) => {
-                            const r = ((hexColor >> 16) & 0xFF) * factor;
-                            const g = ((hexColor >> 8) & 0xFF) * factor;
-                            const b = (hexColor & 0xFF) * factor;
-                            return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-                        };
-                        const lightenedColor = lightenColor(0x32cd32, 1.3);
-                        peg.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-                        // Also update bounce color if it's normal (since normal uses peg color)
-                        if (peg.bounceType === 'normal') {
-                            peg.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-                        }
-                    }
-                });
-                
-                // Select 25 orange pegs from remaining indices (skip the 2 green ones)
-                const orangeIndices = indices.slice(2, 27);
-                orangeIndices.forEach(i => {
-                    const peg = this.pegs[i];
-                    peg.isOrange = true;
-                    peg.pointValue = 500;
-                    // Change color to orange - update shader uniforms
-                    peg.color = 0xff8c00; // Update stored color
-                    if (peg.mesh.material && peg.mesh.material.uniforms) {
-                        // Lighten color to compensate for shader darkening
-                        const lightenColor = (hexColor, factor) => {
-                            const r = ((hexColor >> 16) & 0xFF) * factor;
-                            const g = ((hexColor >> 8) & 0xFF) * factor;
-                            const b = (hexColor & 0xFF) * factor;
-                            return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-                        };
-                        const lightenedColor = lightenColor(0xff8c00, 1.3);
-                        peg.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-                        // Also update bounce color if it's normal (since normal uses peg color)
-                        if (peg.bounceType === 'normal') {
-                            peg.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-                        }
-                    }
-                });
-                
-                // Assign initial purple peg
-                this.assignPurplePeg();
-            } else {
-            }
-            
-            // Music tracks are loaded on page load, so we don't need to load them here
-            // When pegs are generated, play all tracks (they're already mounted)
-            if (this.audioManager && this.pegs.length > 0) {
-                // Play all music tracks (they're mounted but paused)
-                this.audioManager.playMusicTracks();
-                
-                // Mark as started
-                this.musicStarted = true;
-                
-                // Ensure correct mute states (track 1 unmuted, tracks 2-4 muted)
-                const track1Name = this.audioManager.getTrackName(1);
-                const track2Name = this.audioManager.getTrackName(2);
-                const track3Name = this.audioManager.getTrackName(3);
-                const track4Name = this.audioManager.getTrackName(4);
-                if (track1Name) this.audioManager.setMusicTrackMuted(track1Name, false);
-                if (track2Name) this.audioManager.setMusicTrackMuted(track2Name, true);
-                if (track3Name) this.audioManager.setMusicTrackMuted(track3Name, true);
-                if (track4Name) this.audioManager.setMusicTrackMuted(track4Name, true);
-            }
-            
-            // Initialize orange peg multiplier tracker (this will set correct track states based on multiplier)
-            this.updateOrangePegMultiplier();
-        } catch (error) {
-            // Failed to load level
-        }
-    }
-
-    setupCollisionDetection() {
-        // Use checkCollisions() as PRIMARY method (checks contacts array every frame)
-        // beginContact event listener is a fallback for edge cases
-        // postStep event listener checks contacts immediately after each physics substep
-        // Both use processedContacts Set to prevent duplicate processing in the same frame
-        this.processedContacts = new Set(); // Track contacts processed this frame
-        
-        // postStep fires after each physics substep - check contacts here for fast-moving objects
-        // This catches contacts that are resolved within a single substep
-        this.physicsWorld.world.addEventListener('postStep', () => {
-            // Check contacts immediately after physics step
-            const contacts = this.physicsWorld.world.contacts;
-            if (contacts && contacts.length > 0) {
-                for (let i = 0; i < contacts.length; i++) {
-                    const contact = contacts[i];
-                    if (!contact) continue;
-                    
-                    const bodyA = contact.bi;
-                    const bodyB = contact.bj;
-                    if (!bodyA || !bodyB) continue;
-                    
-                    const isBall = this.balls.some(b => b.body === bodyA || b.body === bodyB);
-                    const isPeg = this.pegs.some(p => p.body === bodyA || p.body === bodyB);
-                    
-                    if (isBall) {
-                        const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
-                        
-                        if (!this.processedContacts.has(contactKey)) {
-                            const peg = this.pegs.find(p => p.body === bodyA || p.body === bodyB);
-                            const ball = this.balls.find(b => b.body === bodyA || b.body === bodyB);
-                            
-                            this.processedContacts.add(contactKey);
-                            this.handleCollision(bodyA, bodyB);
-                        }
-                    }
-                }
-            }
-        });
-        
-        // Event listener for immediate collision detection (fallback)
-        this.physicsWorld.world.addEventListener('beginContact', (event) => {
-            try {
-                // Try different event structures
-                const contact = event.contact || event;
-                if (!contact) return;
-                
-                const bodyA = contact.bi;
-                const bodyB = contact.bj;
-                
-                if (!bodyA || !bodyB) return;
-                
-                // Check what types these bodies are
-                const isBall = this.balls.some(b => b.body === bodyA || b.body === bodyB);
-                const isPeg = this.pegs.some(p => p.body === bodyA || p.body === bodyB);
-                const isWall = this.walls.some(w => w.body === bodyA || w.body === bodyB);
-                const peg = isPeg ? this.pegs.find(p => p.body === bodyA || p.body === bodyB) : null;
-                const ball = isBall ? this.balls.find(b => b.body === bodyA || b.body === bodyB) : null;
-                
-                // Create a unique key for this contact pair
-                const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
-                
-                // Only process if not already processed this frame (prevents race condition with checkCollisions)
-                if (!this.processedContacts.has(contactKey)) {
-                    this.processedContacts.add(contactKey);
-                    this.handleCollision(bodyA, bodyB);
-                }
-            } catch (error) {
-                // Fallback to contacts array if event structure is wrong
-                // Event listener error, using contacts array
-            }
-        });
-    }
-
-    roundToDecimals(value, decimals = 3) {
-        const factor = Math.pow(10, decimals);
-        return Math.round(value * factor) / factor;
-    }
-
-    roundVec3(vec, decimals = 3) {
-        vec.x = this.roundToDecimals(vec.x, decimals);
-        vec.y = this.roundToDecimals(vec.y, decimals);
-        vec.z = this.roundToDecimals(vec.z, decimals);
-    }
-
-    clampBallVelocity(ball) {
-        // Clamp ball velocity to max rebound speed (only for rebounds, not initial shot)
-        const velocity = ball.body.velocity;
-        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
-        
-        if (speed > this.maxReboundSpeed) {
-            // Normalize and scale to max rebound speed
-            // Round scale factor for determinism
-            const scale = this.roundToDecimals(this.maxReboundSpeed / speed);
-            velocity.x = this.roundToDecimals(velocity.x * scale);
-            velocity.y = this.roundToDecimals(velocity.y * scale);
-            velocity.z = this.roundToDecimals(velocity.z * scale);
-            ball.body.velocity = velocity;
-        }
-        
-        // Round velocity to 3 decimals for determinism
-        this.roundVec3(ball.body.velocity);
-    }
-    
-    handleCollision(bodyA, bodyB) {
-        // Find the ball or bomb involved - try reference match first, then ID match as fallback
-        let ball = this.balls.find(b => b.body === bodyA || b.body === bodyB);
-        
-        // Fallback: if not found by reference, try by ID (for timing/race condition issues)
-        if (!ball && bodyA && bodyB) {
-            const ballById = this.balls.find(b => b.body.id === bodyA.id || b.body.id === bodyB.id);
-            if (ballById) {
-                ball = ballById;
-            }
-        }
-        
-        const entity = ball || bomb; // Use ball if found, otherwise bomb
-        
-        if (!entity) {
-            return;
-        }
-        
-        // Check for ball/bomb-peg collision FIRST - this is the most important
-        const peg = this.pegs.find(p => p.body === bodyA || p.body === bodyB);
-        
-        // Check for ball-characteristic collision
-        const characteristic = this.characteristics.find(c => c.body === bodyA || c.body === bodyB);
-        
-        // Process characteristic collision logic BEFORE peg collision (if both exist, peg takes priority)
-        if (characteristic && ball && !peg) {
-            try {
-                // Fix collisions for rectangular/circular characteristics to prevent collision loss
-                // For rectangular: normalize corner collisions to use only one face
-                // For circular: handle large ball overlap to prevent physics confusion
-                // This must be done BEFORE clampBallVelocity to override physics response
-                // DISABLED: Testing behavior without normalizers
-                let collisionNormalized = false;
-                // if (ball.body) {
-                //     if (characteristic.shape === 'rect') {
-                //         collisionNormalized = this.normalizeCornerCollisionCharacteristic(ball, characteristic);
-                //     } else if (characteristic.shape === 'circle') {
-                //         collisionNormalized = this.normalizeRoundCharacteristicCollision(ball, characteristic);
-                //     }
-                // }
-                
-                // Clamp velocity after characteristic collision (unless collision was normalized, which already handled velocity)
-                // if (!collisionNormalized) {
-                    this.clampBallVelocity(ball);
-                // }
-            } catch (error) {
-                console.error('[Game] Error handling characteristic collision:', error);
-            }
-        }
-        
-        // Process peg collision logic IMMEDIATELY if it's a ball-peg collision
-        if (peg && ball) {
-            try {
-                // Fix collisions for rectangular/dome/round pegs to prevent collision loss
-                // For rectangular/dome: normalize corner collisions to use only one face
-                // For round: handle large ball overlap to prevent physics confusion
-                // This must be done BEFORE clampBallVelocity to override physics response
-                // DISABLED: Testing behavior without normalizers
-                let collisionNormalized = false;
-                // if (ball.body) {
-                //     if (peg.type === 'rect' || peg.type === 'dome') {
-                //         collisionNormalized = this.normalizeCornerCollision(ball, peg);
-                //     } else if (peg.type === 'round') {
-                //         collisionNormalized = this.normalizeRoundPegCollision(ball, peg);
-                //     }
-                // }
-                
-                // Clamp velocity after peg collision (unless collision was normalized, which already handled velocity)
-                // if (!collisionNormalized) {
-                    this.clampBallVelocity(ball);
-                // }
-
-                this.activePower.onPegHit(peg, ball);
-                
-                // Check if this is a new hit (peg not already hit)
-                const isNewHit = !peg.hit;
-                const wasAlreadyTracked = ball.hitPegs.includes(peg);
-            
-            // ALWAYS handle peg hit if it's new (even if already tracked, we need to ensure onHit is called)
-            // The onHit() method itself checks if already hit, so it's safe to call
-            if (isNewHit) {
-                try {
-                    peg.onHit(ball);
-                } catch (error) {
-                    // ERROR in peg.onHit()
-                }
-            } else {
-                // Peg already hit - play muffled sound at same pitch as last new peg
-                if (this.audioManager) {
-                    this.audioManager.playPegHitAlreadyHit();
-                }
-            }
-            
-            // Track this peg as hit by this ball (only if not already tracked)
-            // IMPORTANT: Only reset 5-second timer on NEW peg hits
-            // If ball is bouncing between already-hit pegs, timer keeps running - triggers removal after 5 seconds
-            const currentTime = performance.now() / 1000;
-            
-            if (isNewHit) {
-                // Reset all timers when hitting a truly NEW peg (not already hit)
-                ball.lastNewPegHitTime = currentTime;
-                // Reset 5-second timer on new peg hit (ball is making progress)
-                ball.spawnTime = currentTime;
-                // Reset velocity tracking when a new peg is hit (ball is moving/active)
-                const ballVelocity = Math.sqrt(
-                    ball.body.velocity.x * ball.body.velocity.x + 
-                    ball.body.velocity.y * ball.body.velocity.y
-                );
-                ball.lastVelocity = ballVelocity;
-                // Reset high velocity timer on new peg hit (ball is actively moving)
-                ball.lastHighVelocityTime = currentTime;
-            }
-            // If hitting already-hit peg, DON'T reset spawnTime - this allows 5-second check to trigger
-            
-            // Track peg hit for stuck pattern detection (even if already hit by another ball)
-            // This helps detect when ball is bouncing between same 2 pegs
-            if (!ball.recentHitPegs) {
-                ball.recentHitPegs = [];
-                ball.recentHitTimes = [];
-            }
-            
-            // Add this peg hit to recent hits
-            ball.recentHitPegs.push(peg);
-            ball.recentHitTimes.push(currentTime);
-            
-            // Keep only last 2 peg hits
-            if (ball.recentHitPegs.length > 2) {
-                ball.recentHitPegs.shift();
-                ball.recentHitTimes.shift();
-            }
-            
-            if (!wasAlreadyTracked) {
-                try {
-                    if (!ball.hitPegs) {
-                        ball.hitPegs = [];
-                    }
-                    
-                    ball.hitPegs.push(peg);
-                } catch (error) {
-                    // Continue anyway - don't let tracking errors stop processing
-                }
-                
-                // Check if this is the purple peg (main purple peg or temporary purple peg)
-                const isPurplePeg = peg === this.purplePeg;
-
-                try {
-                    if (isPurplePeg) {
-                        // Activate 1.25x multiplier for following pegs
-                        this.purplePegMultiplier = 1.25;
-                        
-                        // Update multiplier display
-                        this.updateOrangePegMultiplier();
-                        
-                        // Calculate points: Peter's generated purple pegs get multiplier, regular purple peg is flat
-                        const purplePoints = 2000;
-                        let finalPoints;
-                        if (isPeterGeneratedPurple) {
-                            // Peter's lucky bounce purple pegs get the multiplier
-                            const totalMultiplier = this.orangePegMultiplier * this.purplePegMultiplier;
-                            finalPoints = Math.floor(purplePoints * totalMultiplier);
-                        } else {
-                            // Regular purple peg is flat (no multiplier)
-                            finalPoints = purplePoints;
-                        }
-                        this.score += finalPoints;
-                        this.currentShotScore += finalPoints;
-                        
-                        // Ensure purple peg color changes to darker shade (onHit should handle this, but ensure it)
-                        peg.mesh.material.color.setHex(0x9370db); // Medium purple (darker when hit)
-                    } else {
-                        // Add score for regular pegs (after multiplier is activated)
-                        const totalMultiplier = this.orangePegMultiplier * this.purplePegMultiplier;
-                        const basePoints = peg.pointValue || 300;
-                        const finalPoints = Math.floor(basePoints * totalMultiplier);
-                        this.score += finalPoints;
-                        this.currentShotScore += finalPoints;
-                    }
-                    } catch (error) {
-                    // ERROR in purple check / score calculation
-                    // Re-throw to be caught by outer try-catch
-                    throw error;
-                }
-                // Update UI
-                this.updateScoreUI();
-                this.updateFreeBallMeter();
-                
-                // Check for free ball
-                if (this.currentShotScore >= this.freeBallThreshold) {
-                    const freeBallsAwarded = Math.floor(this.currentShotScore / this.freeBallThreshold);
-                    this.ballsRemaining += freeBallsAwarded;
-                    this.currentShotScore = this.currentShotScore % this.freeBallThreshold;
-                    this.updateBallsRemainingUI();
-                    this.updateFreeBallMeter();
-                }
-            } 
-                
-            // Return early after processing peg collision - don't check walls/bucket
-            return;
-            } catch (error) {
-                // ERROR in peg collision processing
-                // Don't return here - let it fall through to other collision checks
-            }
-        }
-        
-        // Check for ball/bomb-wall collision
-        const wall = this.walls.find(w => w.body === bodyA || w.body === bodyB);
-        if (entity && wall) {
-            // Clamp velocity after wall collision
-            this.clampBallVelocity(entity);
-            // Only track wall hits for balls (not bombs)
-            if (ball) {
-                const wallSide = wall.body.userData?.side || 'unknown';
-                // Only log once per frame to avoid spam
-                if (!ball.lastWallHit || ball.lastWallHit !== wallSide || ball.lastWallHitFrame !== this.frameCount) {
-                    ball.lastWallHit = wallSide;
-                    ball.lastWallHitFrame = this.frameCount;
-                }
-            }
+    
+    /**
+     * Unmute music layers for the current multiplier (MULTIPLIER_CHANGED listener)
+     * Track 1: Always playing (base layer)
+     * Track 2: Unmutes at 2x (40%)
+     * Track 3: Unmutes at 3x (60%)
+     * Track 4: Unmutes at 5x (80%)
+     * Only called when the multiplier actually changes (prevents unnecessary fade-ins)
+     * Track states are managed by multiplier value, not by track existence
+     */
+    updateMusicLayers(multiplier) {
+        if (!this.audioManager || !this.musicStarted) {
             return;
         }
         
-        // Check for ball/bomb-bucket collision (walls only, not catcher)
-        if (entity && this.bucket) {
-            const bucketPart = this.bucket.leftWall.body === bodyA || this.bucket.leftWall.body === bodyB
-                ? this.bucket.leftWall
-                : this.bucket.rightWall.body === bodyA || this.bucket.rightWall.body === bodyB
-                ? this.bucket.rightWall
-                : null;
-            
-            if (bucketPart) {
-                // Clamp velocity after bucket wall collision (not catcher, that's a sensor)
-                this.clampBallVelocity(entity);
-            }
+        // Determine mute states based on current multiplier value
+        // Use clear if/else chain based on multiplier value
+        let track2Muted, track3Muted, track4Muted;
+        
+        if (multiplier >= 5) {
+            // 5x (80%) or 8x (90%): All tracks unmuted
+            track2Muted = false;
+            track3Muted = false;
+            track4Muted = false;
+        } else if (multiplier >= 3) {
+            // 3x (60%): Tracks 2 and 3 unmuted, track 4 muted
+            track2Muted = false;
+            track3Muted = false;
+            track4Muted = true;
+        } else if (multiplier >= 2) {
+            // 2x (40%): Track 2 unmuted, tracks 3 and 4 muted
+            track2Muted = false;
+            track3Muted = true;
+            track4Muted = true;
+        } else {
+            // 1x (below 40%): Tracks 2, 3, and 4 muted (only track 1 playing)
+            track2Muted = true;
+            track3Muted = true;
+            track4Muted = true;
         }
         
-        // Check for ball-bucket catcher collision (sensor, doesn't bounce)
-        if (ball && this.bucket) {
-            const bucketCatcher = this.bucket.topCatcher.body === bodyA || this.bucket.topCatcher.body === bodyB
-                ? this.bucket.topCatcher
-                : null;
-            
-            if (bucketCatcher) {
-                // Ball caught! Destroy ball and increase ball count
-                if (!ball.caught) {
-                    ball.caught = true;
-                    this.ballsRemaining++;
-                    this.updateBallsRemainingUI();
-                    
-                    // Play bucket catch sound
-                    if (this.audioManager) {
-                        this.audioManager.playSound('pegBucket', { volume: 0.8 });
-                    }
-                    
-                    // Mark ball for removal
-                    ball.shouldRemove = true;
-                }
-            }
-        }
+        // Update mute states based on multiplier value (fade-in only happens when transitioning from muted to unmuted)
+        const track2Name = this.audioManager.getTrackName(2);
+        const track3Name = this.audioManager.getTrackName(3);
+        const track4Name = this.audioManager.getTrackName(4);
+        if (track2Name) this.audioManager.setMusicTrackMuted(track2Name, track2Muted);
+        if (track3Name) this.audioManager.setMusicTrackMuted(track3Name, track3Muted);
+        if (track4Name) this.audioManager.setMusicTrackMuted(track4Name, track4Muted);
     }
 
-    checkCollisions() {
-        // Check contacts array - this is the PRIMARY collision detection method
-        // Event listeners can be unreliable, so we rely on checking contacts directly
-        const contacts = this.physicsWorld.world.contacts;
-        
-        // Use a Set to track processed collisions this frame to avoid duplicates
-        if (!this.processedContacts) {
-            this.processedContacts = new Set();
+    /**
+     * Fetch, validate and build a level. A level that can't be played shows the
+     * level error screen instead of leaving an empty board.
+     * @param {string} levelPath
+     * @returns {Promise<boolean>} True if the level was built
+     */
+    async loadLevel(levelPath) {
+        let levelData;
+        try {
+            levelData = await LevelLoader.loadLevel(levelPath);
+        } catch (error) {
+            console.error('[Game] Could not load level:', error);
+            this.showLevelError(levelPath, { errors: [{ path: '', message: error.message }], warnings: [] });
+            return false;
         }
         
-        // Clear processed contacts every frame for fresh detection
-        this.processedContacts.clear();
-        
-        // Log all contacts for debugging - ALWAYS log, even if empty
-        const contactSummary = contacts && contacts.length > 0 ? contacts.map((contact, idx) => {
-            if (!contact) return null;
-            const bodyA = contact.bi;
-            const bodyB = contact.bj;
-            if (!bodyA || !bodyB) return null;
-            
-            // Check what types these bodies are
-            const isBall = this.balls.some(b => b.body === bodyA || b.body === bodyB);
-            const isPeg = this.pegs.some(p => p.body === bodyA || p.body === bodyB);
-            const isWall = this.walls.some(w => w.body === bodyA || w.body === bodyB);
-            const peg = isPeg ? this.pegs.find(p => p.body === bodyA || p.body === bodyB) : null;
-            const ball = isBall ? this.balls.find(b => b.body === bodyA || b.body === bodyB) : null;
-            
-            return {
-                index: idx,
-                bodyAId: bodyA.id,
-                bodyBId: bodyB.id,
-                isBall,
-                isPeg,
-                isWall,
-                pegId: peg?.body?.id,
-                ballId: ball?.body?.id,
-                contactKey: `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`,
-                // Check if this is the ball-peg contact we're looking for
-                isBallPegContact: isBall && isPeg
-            };
-        }).filter(c => c !== null) : [];
+        const report = LevelLoader.validateLevel(levelData);
+        if (report.errors.length > 0) {
+            console.error(`[Game] Invalid level ${levelPath}:\n${LevelReportDialog.toText(report)}`);
+            this.showLevelError(levelPath, report);
+            return false;
+        }
+        if (report.warnings.length > 0) {
+            console.warn(`[Game] Level ${levelPath} has warnings:\n${LevelReportDialog.toText(report)}`);
+        }
         
-        // Process contacts (logging removed)
+        try {
+            this.buildLevel(levelData);
+        } catch (error) {
+            // Valid by the schema but still broke the build - report it the same way
+            console.error('[Game] Could not build level:', error);
+            this.showLevelError(levelPath, { errors: [{ path: '', message: `Level could not be built: ${error.message}` }], warnings: report.warnings });
+            return false;
+        }
         
-        // Process all active contacts
-        for (let i = 0; i < contacts.length; i++) {
-            const contact = contacts[i];
-            if (!contact) continue;
-            
-            const bodyA = contact.bi;
-            const bodyB = contact.bj;
-            
-            if (!bodyA || !bodyB) continue;
-            
-            // Create a unique key for this contact pair
-            const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
+        try {
             
-            // Skip if we've already processed this contact this frame
-            // (could have been processed by beginContact event listener)
-            if (this.processedContacts.has(contactKey)) {
-                // Contact already processed, skipping
-                continue;
+            // Music tracks are loaded on page load, so we don't need to load them here
+            // When pegs are generated, play all tracks (they're already mounted)
+            if (this.audioManager && this.pegs.length > 0) {
+                // Play all music tracks (they're mounted but paused)
+                this.audioManager.playMusicTracks();
+                
+                // Mark as started
+                this.musicStarted = true;
+                
+                // Ensure correct mute states (track 1 unmuted, tracks 2-4 muted)
+                const track1Name = this.audioManager.getTrackName(1);
+                const track2Name = this.audioManager.getTrackName(2);
+                const track3Name = this.audioManager.getTrackName(3);
+                const track4Name = this.audioManager.getTrackName(4);
+                if (track1Name) this.audioManager.setMusicTrackMuted(track1Name, false);
+                if (track2Name) this.audioManager.setMusicTrackMuted(track2Name, true);
+                if (track3Name) this.audioManager.setMusicTrackMuted(track3Name, true);
+                if (track4Name) this.audioManager.setMusicTrackMuted(track4Name, true);
             }
-            this.processedContacts.add(contactKey);
-            
-            // Process contact
-            const isPeg = this.pegs.some(p => p.body === bodyA || p.body === bodyB);
-            const isBall = this.balls.some(b => b.body === bodyA || b.body === bodyB);
             
-            this.handleCollision(bodyA, bodyB);
+            // Initialize orange peg multiplier tracker (this will set correct track states based on multiplier)
+            this.updateOrangePegMultiplier();
+        } catch (error) {
+            console.warn('[Game] Could not start the level music:', error);
+        }
+        return true;
+    }
+    
+    /**
+     * The level error screen - lists what's wrong with the file, then goes back to the level selector
+     * @param {string} levelPath
+     * @param {{errors: Array, warnings: Array}} report - LevelLoader.validateLevel() result
+     */
+    showLevelError(levelPath, report) {
+        this.levelReportDialog.show({
+            title: 'This level can\'t be played',
+            source: levelPath,
+            report,
+            actionLabel: 'Back to Level Select',
+            onAction: () => this.leaveBrokenLevel()
+        });
+    }
+    
+    leaveBrokenLevel() {
+        if (this.stateMachine.is(GameState.LEVEL_SELECT)) {
+            // Continue starts from the level selector without leaving its state, so no hook will show it
+            this.teardownLevel();
+            this.showLevelSelector();
+        } else {
+            this.quitToLevelSelect();
         }
     }
 
     setupResizeHandler() {
+        // init() runs for every level - one listener is enough
+        if (this.resizeHandlerAdded) return;
+        this.resizeHandlerAdded = true;
         window.addEventListener('resize', () => {
             this.handleResize();
         });
@@ -2591,390 +3148,102 @@ export class Game {
         this.renderer.setSize(width, height);
         
         // Update pixel ratio on resize (in case DPI scaling changes)
-        // Lowered to 1.5x for better 4K performance
-        const maxPixelRatio = 1.5;
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.maxPixelRatio) * this.getRenderScale());
         
         // Orthographic camera doesn't need aspect ratio update, but we keep it for consistency
         // The view dimensions stay the same (12x9) regardless of screen resolution
     }
 
     startGameLoop() {
-        // Initialize timing for determinism
-        const now = performance.now();
-        if (!this.lastTime) {
-            this.lastTime = now;
-        }
-        if (!this.lastFrameTime) {
-            this.lastFrameTime = now;
+        // Only one loop at a time (every level start calls this)
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
         }
         
+        // The simulation runs in fixed ticks fed by an accumulator of real time, independent of
+        // how often the browser renders. A 144Hz display renders more frames, a throttled laptop
+        // runs several ticks per frame, and the game plays at the same speed on both
+        this.lastFrameTime = performance.now();
+        this.lastCappedFrameTime = this.lastFrameTime;
+        this.tickAccumulator = 0;
+        this.timeScale = 1;
+        this.finalOrangeFocus = null;
+        
         const animate = (currentTime) => {
             this.animationFrameId = requestAnimationFrame(animate);
             
-            // Skip updates if game is paused
-            if (this.gamePaused) {
-                this.renderer.render(this.scene, this.camera);
-                return;
-            }
-            
-            // FPS cap for determinism - ensure consistent frame timing
             const now = performance.now();
-            const elapsed = now - this.lastFrameTime;
             
-            // Performance monitoring - track FPS and memory
-            if (this.adaptiveSlowdownEnabled) {
-                this.trackPerformance(elapsed, now);
-                
-                // Update FPS display
-                if (this.fpsDisplayElement && this.fpsHistory.length > 0) {
-                    const avgFPS = this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
-                    // Guard against invalid FPS values (Infinity, NaN)
-                    const displayFPS = (isFinite(avgFPS) && avgFPS > 0) ? avgFPS : 0;
-                    this.fpsDisplayElement.textContent = `FPS: ${displayFPS.toFixed(1)}`;
-                }
-                
-                // Check memory usage periodically
-                if (now - this.lastMemoryCheck > this.memoryCheckInterval) {
-                    this.lastMemoryCheck = now;
-                    this.checkMemoryUsage();
+            // Frame rate cap - skip this refresh if the last frame was too recent (ticks catch up next frame)
+            if (this.maxFPS > 0) {
+                const frameInterval = 1000 / this.maxFPS;
+                const sinceLastFrame = now - this.lastCappedFrameTime;
+                if (sinceLastFrame < frameInterval - 1) {
+                    return;
                 }
+                // Carry the remainder so the average rate is the cap, not the first refresh after it
+                this.lastCappedFrameTime = now - (sinceLastFrame % frameInterval);
             }
             
-            // Adaptive slowdown: skip frames if performance is poor
-            const slowdownMultiplier = this.getSlowdownMultiplier();
-            const adjustedTargetFrameTime = this.targetFrameTime * slowdownMultiplier;
-            
-            // If we're ahead of schedule, wait to maintain target FPS (with slowdown adjustment)
-            // But don't skip if we're already behind (prevents sluggishness on slower displays)
-            if (elapsed < adjustedTargetFrameTime * 0.9) {
-                // Only skip if we're significantly ahead (more than 10% early)
-                // This prevents skipping when display can't maintain target FPS
-                return;
-            }
-            
-            // Update last frame time
+            const elapsed = now - this.lastFrameTime;
             this.lastFrameTime = now;
             
-            // Use fixed deltaTime for determinism (target frame time)
-            // Keep deltaTime fixed to maintain consistent physics timing
-            // Slowdown is handled via frame skipping, not by changing physics timestep
-            const deltaTime = this.targetFrameTime;
+            // Gamepad first - Start has to work while paused
+            this.pollGamepad(elapsed);
             
-            // Update lastTime for other timing calculations
-            if (!this.lastTime) {
-                this.lastTime = now;
-            } else {
-                this.lastTime += deltaTime; // Use fixed timestep
+            // Skip updates if game is paused (time spent paused is never simulated)
+            if (this.gamePaused) {
+                this.renderer.render(this.scene, this.camera);
+                return;
             }
             
-            // Round deltaTime to 3 decimals for determinism
-            const roundedDeltaTime = this.roundToDecimals(deltaTime);
-            
-            // Increment frame counter
-            this.frameCount++;
-            
-            // Update physics
-            if (this.physicsWorld) {
-                // Convert to seconds - use fixed rounded deltaTime for determinism
-                this.physicsWorld.update(roundedDeltaTime / 1000);
-                
-                // Check collisions immediately after physics update
-                // This is the PRIMARY collision detection method
-                this.checkCollisions();
-            }
+            // Performance monitoring - track FPS and memory
+            this.trackPerformance(elapsed, now);
             
-            // Round ball positions and velocities to 3 decimals for determinism
-            // Also ensure collisionResponse is always enabled (safety check for collision bugs)
-            this.balls.forEach(ball => {
-                this.roundVec3(ball.body.position);
-                this.roundVec3(ball.body.velocity);
-                
-                // Safety check: Ensure collisionResponse is always enabled
-                // This prevents the ball from phasing through objects after collisions
-                if (ball.body && ball.body.collisionResponse === false) {
-                    ball.body.collisionResponse = true;
-                }
-                
-                // Ensure body is awake (not sleeping)
-                if (ball.body && ball.body.sleepState !== 0) {
-                    ball.body.wakeUp();
-                }
-            });
-
-            if (this.activePower.powerActive){
-                this.activePower.update(currentTime, roundedDeltaTime / 1000); // Convert to seconds
+            // Update FPS display
+            if (this.fpsDisplayElement && this.fpsHistory.length > 0) {
+                const avgFPS = this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
+                // Guard against invalid FPS values (Infinity, NaN)
+                const displayFPS = (isFinite(avgFPS) && avgFPS > 0) ? avgFPS : 0;
+                this.fpsDisplayElement.textContent = `FPS: ${displayFPS.toFixed(1)}`;
             }
             
-            // Update emoji effects
-            this.activePower.onAnimate(currentTime, roundedDeltaTime);
-            
-            // Update bucket
-            if (this.bucket) {
-                this.bucket.update(deltaTime / 1000); // Convert to seconds
+            // Check memory usage periodically
+            if (now - this.lastMemoryCheck > this.memoryCheckInterval) {
+                this.lastMemoryCheck = now;
+                this.checkMemoryUsage();
             }
             
-            // Update all balls
-            // Get current time once for all ball updates (in seconds)
-            const currentTimeSeconds = performance.now() / 1000;
-            
-            // Update all balls
-            this.balls.forEach(ball => {
-                ball.update();
-            });
-            
-            this.balls.forEach(ball => {
-                ball.update();
-                
-                // Stuck check: peg pattern detection (primary) + fallback checks
-                // Initialize tracking if missing
-                if (!ball.lastNewPegHitTime) {
-                    ball.lastNewPegHitTime = ball.spawnTime || currentTimeSeconds;
-                }
-                if (ball.lastVelocity === undefined) {
-                    ball.lastVelocity = 0;
-                    ball.lastHighVelocityTime = ball.spawnTime || currentTimeSeconds;
-                }
-                if (!ball.recentHitPegs) {
-                    ball.recentHitPegs = [];
-                    ball.recentHitTimes = [];
-                }
-                if (!ball.stuckPatternCheckTime) {
-                    ball.stuckPatternCheckTime = ball.spawnTime || currentTimeSeconds;
-                }
-                
-                const ballVelocity = Math.sqrt(
-                    ball.body.velocity.x * ball.body.velocity.x + 
-                    ball.body.velocity.y * ball.body.velocity.y
-                );
-                
-                // Update lastVelocity continuously for comparison
-                ball.lastVelocity = ballVelocity;
-                
-                // Only reset the timer if velocity is above a high threshold (ball is actively moving)
-                // Small bounces when stuck won't reset the timer
-                const highVelocityThreshold = 0.5;
-                if (ballVelocity > highVelocityThreshold) {
-                    ball.lastHighVelocityTime = currentTimeSeconds;
-                }
-                
-                // PEG PATTERN CHECK: Check every 0.6 seconds if ball is bouncing between same 2 pegs
-                const patternCheckInterval = 1.6;
-                const timeSincePatternCheck = currentTimeSeconds - ball.stuckPatternCheckTime;
-                let stuckPatternDetected = false;
-                let patternCheckDetails = null;
-                
-                if (timeSincePatternCheck >= patternCheckInterval) {
-                    ball.stuckPatternCheckTime = currentTimeSeconds;
-                    
-                    // Check if we have 2 recent peg hits
-                    if (ball.recentHitPegs.length === 2 && ball.recentHitTimes.length === 2) {
-                        const [peg1, peg2] = ball.recentHitPegs;
-                        const [time1, time2] = ball.recentHitTimes;
-                        
-                        // Check if hits are within 0.2s of each other (rapid bouncing)
-                        const timeBetweenHits = Math.abs(time2 - time1);
-                        
-                        // If the last 2 pegs are being hit rapidly (< 0.2s apart), it's a stuck pattern
-                        // The pegs can be the same (bouncing on one peg) or different (bouncing between two)
-                        // Either way, rapid hits indicate being stuck
-                        if (timeBetweenHits < 0.2 && timeBetweenHits > 0) {
-                            stuckPatternDetected = true;
-                            ball.stuckPatternCount++;
-                            patternCheckDetails = {
-                                detected: true,
-                                timeBetweenHits: timeBetweenHits.toFixed(3),
-                                consecutiveCount: ball.stuckPatternCount,
-                                peg1SameAsPeg2: peg1 === peg2
-                            };
-                        } else {
-                            // Pattern broken - reset counter
-                            ball.stuckPatternCount = 0;
-                            patternCheckDetails = {
-                                detected: false,
-                                reason: timeBetweenHits >= 0.2 ? 'timeBetweenHits too large' : 'timeBetweenHits is 0',
-                                timeBetweenHits: timeBetweenHits.toFixed(3),
-                                consecutiveCount: 0
-                            };
-                        }
-                    } else {
-                        // Not enough pegs tracked yet - reset counter
-                        ball.stuckPatternCount = 0;
-                        patternCheckDetails = {
-                            detected: false,
-                            reason: 'not enough pegs tracked',
-                            recentPegsCount: ball.recentHitPegs.length,
-                            recentTimesCount: ball.recentHitTimes.length,
-                            consecutiveCount: 0
-                        };
-                    }
-                } else {
-                    // If pattern was detected in previous check, continue counting
-                    // (we check this outside the interval to avoid resetting the counter)
-                    if (ball.stuckPatternCount > 0 && ball.recentHitPegs.length === 2 && ball.recentHitTimes.length === 2) {
-                        const [time1, time2] = ball.recentHitTimes;
-                        const timeBetweenHits = Math.abs(time2 - time1);
-                        if (timeBetweenHits < 0.2 && timeBetweenHits > 0) {
-                            stuckPatternDetected = true;
-                        }
-                    }
-                    patternCheckDetails = {
-                        intervalNotReached: true,
-                        timeSincePatternCheck: timeSincePatternCheck.toFixed(3),
-                        consecutiveCount: ball.stuckPatternCount
-                    };
-                }
-                
-                // Calculate times for fallback checks
-                const timeSinceHighVelocity = currentTimeSeconds - ball.lastHighVelocityTime;
-                const timeSinceSpawn = currentTimeSeconds - ball.spawnTime;
-                
-                // Minimum number of pegs hit before any stuck check can trigger (prevent early false positives)
-                const minPegsHitForStuckCheck = 3;
-                const hasEnoughPegsHit = ball.hitPegs && ball.hitPegs.length >= minPegsHitForStuckCheck;
-                
-                // Check each condition (only if enough pegs have been hit)
-                const patternCheckPassed = hasEnoughPegsHit && stuckPatternDetected && ball.stuckPatternCount >= 2;
-                const velocityCheckPassed = hasEnoughPegsHit && timeSinceHighVelocity >= 1.0;
-                // 5-second check: If ball hasn't hit a NEW peg in 5 seconds, it's stuck (or 2 seconds if Arkanoid active)
-                const stuckTimerDuration = this.ballResetTime;
-                const spawnCheckPassed = timeSinceSpawn >= stuckTimerDuration;
-                
-                // Stuck check logging removed - checks run silently
-                
-                // Check if ball should trigger peg removal (any of these conditions):
-                // 1. Stuck pattern detected for 2 consecutive intervals (primary check - bouncing between same pegs)
-                // 2. Velocity hasn't been high (above 0.5) in 1 second (velocity-based check)
-                // 3. Ball hasn't hit a NEW peg in 5 seconds (5-second check - only resets on new peg hits)
-                const shouldRemovePegs = (
-                    patternCheckPassed ||
-                    velocityCheckPassed ||
-                    spawnCheckPassed
-                ) && ball.hitPegs && ball.hitPegs.length > 0;
-                
-                if (shouldRemovePegs && ball.hitPegs.length > 0) {
-                    // Start removing hit pegs in order with 0.15 second stagger
-                    if (!ball.removingPegs) {
-                        ball.removingPegs = true;
-                        ball.pegRemoveStartTime = currentTimeSeconds;
-                        ball.pegRemoveIndex = 0;
-                        // Snapshot the hit pegs at the moment removal starts
-                        // This ensures we only remove pegs that were hit up to this point
-                        ball.pegsToRemove = [...ball.hitPegs];
-                    }
-                    
-                    // Remove pegs one by one from the snapshot
-                    const timeSinceRemoveStart = currentTimeSeconds - ball.pegRemoveStartTime;
-                    const expectedIndex = Math.floor(timeSinceRemoveStart / 0.15);
-                    
-                    while (ball.pegRemoveIndex <= expectedIndex && ball.pegRemoveIndex < ball.pegsToRemove.length) {
-                        const pegToRemove = ball.pegsToRemove[ball.pegRemoveIndex];
-                        const pegIndex = this.pegs.indexOf(pegToRemove);
-                        if (pegIndex !== -1) {
-                            pegToRemove.remove();
-                            this.pegs.splice(pegIndex, 1);
-                        }
-                        ball.pegRemoveIndex++;
-                    }
-                } else {
-                    // Reset removal state if ball moves away or hits new peg
-                    ball.removingPegs = false;
-                    ball.pegsToRemove = null;
-                }
-            });
-            
-            // Hide trajectory guide if ball is active
-            if (this.balls.length > 0) {
-                this.hideTrajectoryGuide();
-            } else if (this.ballsRemaining > 0) {
-                // Show trajectory guide when no ball is active
-                this.updateTrajectoryGuide();
+            // Run every fixed tick the elapsed time covers
+            // Long stalls (debugger, blocked main thread) are clamped so we don't replay seconds of game at once
+            // Slow motion feeds in less time, so fewer (identical) ticks run per second
+            this.tickAccumulator += Math.min(elapsed, this.maxFrameTime) * this.timeScale;
+            let ticks = 0;
+            while (this.tickAccumulator >= this.targetFrameTime && ticks < this.maxTicksPerFrame) {
+                this.savePreviousRenderState();
+                this.step();
+                this.tickAccumulator -= this.targetFrameTime;
+                ticks++;
             }
             
-            // Collision detection is already called immediately after physics update (above)
-            
-            // Check for ball-bucket catcher collision (manual check for sensors)
-            if (this.bucket) {
-                this.balls.forEach(ball => {
-                    if (!ball.caught && !ball.shouldRemove) {
-                        const ballPos = ball.body.position;
-                        const catcherPos = this.bucket.topCatcher.body.position;
-                        const catcherHalfWidth = this.bucket.width / 2;
-                        const catcherHalfHeight = this.bucket.wallThickness / 2;
-                        
-                        // Check if ball is within catcher bounds
-                        const withinX = Math.abs(ballPos.x - catcherPos.x) < catcherHalfWidth + 0.1; // Ball radius is 0.1
-                        const withinY = Math.abs(ballPos.y - catcherPos.y) < catcherHalfHeight + 0.1;
-                        
-                        if (withinX && withinY) {
-                            // Ball caught!
-                            ball.caught = true;
-                            ball.shouldRemove = true;
-                            this.ballsRemaining++;
-                            this.updateBallsRemainingUI();
-                            
-                            // Play bucket catch sound
-                            if (this.audioManager) {
-                                this.audioManager.playSound('pegBucket', { volume: 0.8 });
-                            }
-                        }
-                    }
-                });
+            // Still behind after the tick budget - drop the backlog instead of spiralling
+            if (this.tickAccumulator >= this.targetFrameTime) {
+                this.tickAccumulator = 0;
             }
             
-            // Clean up balls that are out of bounds or caught
-            const ballsBeforeCleanup = this.balls.length;
-            const ballsToRemove = [];
-            this.balls = this.balls.filter(ball => {
-                if (ball.shouldRemove || ball.isOutOfBounds()) {
-                    ballsToRemove.push(ball);
-                    return false;
-                }
-                return true;
-            });
+            // Slow down and zoom in when the last orange peg is about to be hit
+            this.updateFinalOrangeSlowMotion(elapsed, now);
             
-            // Only remove pegs if ALL balls are removed (wait until no balls remain)
-            // This allows rapid shot/spread shot to continue with remaining balls
-            if (ballsToRemove.length > 0 && this.balls.length === 0) {
-                // All balls are gone - clean up removed balls
-                ballsToRemove.forEach(ball => {
-                    ball.remove();
-                });
-                
-                // Remove ALL hit pegs when all balls are removed (end of turn)
-                // Iterate backwards to safely remove items from array
-                for (let i = this.pegs.length - 1; i >= 0; i--) {
-                    const peg = this.pegs[i];
-                    if (peg.hit) {
-                        peg.remove();
-                        this.pegs.splice(i, 1);
-                    }
-                }
-            } else if (ballsToRemove.length > 0) {
-                // Some balls were removed but others remain - just clean up visuals, don't remove pegs
-                ballsToRemove.forEach(ball => {
-                    ball.remove();
-                });
+            // Show trajectory guide only while the player is aiming
+            if (this.stateMachine.is(GameState.AIMING) && !this.replayPlayback) {
+                this.updateTrajectoryGuide();
+            } else {
+                this.hideTrajectoryGuide();
             }
             
-            // Reset free ball counter and reassign purple peg when all active balls are destroyed
-            // (This handles cases where powers might add multiple balls)
-            if (ballsBeforeCleanup > 0 && this.balls.length === 0) {
-                this.currentShotScore = 0;
-                this.updateFreeBallMeter();
-                
-                // Reset purple peg multiplier (only lasts for the shot where it was hit)
-                this.purplePegMultiplier = 1.0;
-                this.updateOrangePegMultiplier(); // Update display
-                
-                // Reassign purple peg (previous one will turn blue if not hit)
-                this.assignPurplePeg();
-                
-                // Check if game is over (no balls left or all orange pegs cleared)
-                this.checkGameOver();
-
-                this.activePower.onBallOutOfPlay();
-            }
+            // Draw moving objects part way between the last two ticks so motion stays smooth
+            // when the refresh rate isn't a multiple of the tick rate
+            this.interpolateRender(this.tickAccumulator / this.targetFrameTime);
             
             // Render
             this.renderer.render(this.scene, this.camera);
@@ -2983,8 +3252,220 @@ export class Game {
         // Initial resize to set correct dimensions
         this.handleResize();
         
-        this.lastTime = performance.now();
-        animate(this.lastTime);
+        animate(performance.now());
+    }
+    
+    /**
+     * Read the gamepad once per frame - menus get navigation, a level in play
+     * gets the same aim state and actions as the mouse and keyboard
+     * @param {number} elapsed - Milliseconds since the last frame
+     */
+    pollGamepad(elapsed) {
+        const input = this.gamepad.poll();
+        if (!input) {
+            return;
+        }
+        
+        const menu = this.getGamepadMenu();
+        if (menu) {
+            this.handleGamepadMenu(menu, input);
+            return;
+        }
+        this.menuNavigator.clear();
+        
+        // The level editor takes the mouse while editing
+        if (this.levelEditor && this.levelEditor.isActive && !this.levelEditor.testingMode) {
+            return;
+        }
+        
+        input.actions.forEach(action => this.performAction(action));
+        
+        if (this.stateMachine.is(GameState.AIMING) && !this.replayPlayback) {
+            // Left stick aims like the touch stick, measured from the launcher
+            if (input.stickX !== 0 || input.stickY !== 0) {
+                this.aimFromStick(input.stickX * 6, -input.stickY * 4.5);
+            }
+            // Triggers turn the aim slowly, faster the further they're pressed
+            if (input.trigger !== 0) {
+                this.nudgeKeyboardAim(input.trigger * this.gamepadFineAimRate * Math.min(elapsed, this.maxFrameTime) / 1000);
+            }
+        } else if (this.stateMachine.is(GameState.BALL_IN_FLIGHT) && (input.stickX !== 0 || input.stickY !== 0)) {
+            // Powers that follow the mouse in flight (Buzz steering, the Arkanoid paddle)
+            // follow the stick as if it were the mouse, measured from the middle of the screen
+            const rect = this.canvas.getBoundingClientRect();
+            this.mouseX = rect.width / 2 * (1 + input.stickX);
+            this.mouseY = rect.height / 2 * (1 + input.stickY);
+        }
+    }
+    
+    /**
+     * The menu the gamepad should drive - the topmost one that's open
+     * @returns {{root: Element, items: Element[], back: Function|null}|null}
+     */
+    getGamepadMenu() {
+        const menus = [
+            { root: this.levelReportDialog.root },
+            { root: this.settingsOverlay },
+            { root: this.pauseOverlay, back: () => this.togglePause() },
+            // Editor dialogs sit above everything else
+            { root: document.querySelector('#peg-settings-overlay') },
+            { root: document.querySelector('#shape-settings-overlay') },
+            { root: document.querySelector('#characteristic-settings-overlay') },
+            { root: document.querySelector('#file-operations-overlay.active') },
+            { root: document.querySelector('#objects-overlay.active') },
+            { root: this.levelResultsPanel },
+            {
+                root: document.querySelector('#character-selector'),
+                back: () => this.stateMachine.transition(GameState.LEVEL_SELECT)
+            },
+            {
+                root: document.querySelector('#level-selector'),
+                extra: [this.levelEditor && this.levelEditor.editorButton]
+            }
+        ];
+        
+        // Play again buttons after a level ends
+        if (this.stateMachine.is(GameState.LEVEL_WON, GameState.LEVEL_LOST)) {
+            menus.push({ root: this.container, only: [this.playAgainButton, this.playAgainNewSeedButton] });
+        }
+        
+        for (const menu of menus) {
+            if (!menu.root) continue;
+            const items = menu.only
+                ? menu.only.filter(element => MenuNavigator.isVisible(element))
+                : [...MenuNavigator.getItems(menu.root), ...(menu.extra || []).filter(element => MenuNavigator.isVisible(element))];
+            if (items.length > 0 && menu.root.getClientRects().length > 0) {
+                return { root: menu.root, items, back: menu.back || null };
+            }
+        }
+        return null;
+    }
+    
+    handleGamepadMenu(menu, input) {
+        // Start closes the pause menu the way it opened it
+        if (menu.root === this.pauseOverlay && input.actions.includes(KeyAction.PAUSE)) {
+            this.menuNavigator.clear();
+            this.togglePause();
+            return;
+        }
+        if (input.direction) {
+            this.menuNavigator.move(menu.items, input.direction);
+        }
+        if (input.pressed.includes('A')) {
+            this.menuNavigator.activate(menu.items);
+        }
+        if (input.pressed.includes('B') && !this.menuNavigator.back(menu.root) && menu.back) {
+            this.menuNavigator.clear();
+            menu.back();
+        }
+    }
+    
+    /**
+     * Ease game speed and the camera toward the last orange peg while it's about to be hit,
+     * then back to normal once the hit has played out (or the ball missed)
+     * @param {number} elapsed - Real milliseconds since the last frame
+     * @param {number} now - performance.now() of this frame
+     */
+    updateFinalOrangeSlowMotion(elapsed, now) {
+        if (!this.stateMachine.is(GameState.BALL_IN_FLIGHT)) {
+            this.finalOrangeFocus = null;
+        } else {
+            const prediction = this.predictFinalOrangeHit();
+            if (prediction) {
+                const position = prediction.peg.body.position;
+                this.finalOrangeFocus = { peg: prediction.peg, x: position.x, y: position.y, releaseAt: null };
+            } else if (this.finalOrangeFocus && this.finalOrangeFocus.releaseAt === null) {
+                // Linger on the hit, let go straight away on a miss
+                const held = this.finalOrangeFocus.peg.hit ? this.slowMotionHoldTime : 0;
+                this.finalOrangeFocus.releaseAt = now + held;
+            }
+            
+            if (this.finalOrangeFocus && this.finalOrangeFocus.releaseAt !== null && now >= this.finalOrangeFocus.releaseAt) {
+                this.finalOrangeFocus = null;
+            }
+        }
+        
+        // Aiming maps the pointer through the default view, so snap back instead of easing
+        if (this.stateMachine.is(GameState.AIMING)) {
+            this.timeScale = 1;
+            this.setCameraFocus(0, 0, 1);
+            return;
+        }
+        
+        const focus = this.finalOrangeFocus;
+        const targetScale = focus ? this.slowMotionTimeScale : 1;
+        const targetZoom = focus ? this.slowMotionZoom : 1;
+        const targetX = focus ? focus.x : 0;
+        const targetY = focus ? focus.y : 0;
+        
+        // Exponential ease - same feel at any frame rate
+        const blend = 1 - Math.exp(-this.slowMotionEaseRate * elapsed / 1000);
+        const ease = (value, target) => Math.abs(target - value) < 0.001 ? target : value + (target - value) * blend;
+        
+        this.timeScale = ease(this.timeScale, targetScale);
+        this.setCameraFocus(
+            ease(this.camera.position.x, targetX),
+            ease(this.camera.position.y, targetY),
+            ease(this.camera.zoom, targetZoom)
+        );
+    }
+    
+    /**
+     * Zoom the camera and center it on a point, keeping the view inside the 12x9 play area
+     */
+    setCameraFocus(x, y, zoom) {
+        if (!this.camera) return;
+        
+        const halfWidth = 6 - 6 / zoom;
+        const halfHeight = 4.5 - 4.5 / zoom;
+        const clampedX = Math.max(-halfWidth, Math.min(halfWidth, x));
+        const clampedY = Math.max(-halfHeight, Math.min(halfHeight, y));
+        
+        if (this.camera.zoom === zoom && this.camera.position.x === clampedX && this.camera.position.y === clampedY) {
+            return;
+        }
+        this.camera.zoom = zoom;
+        this.camera.position.x = clampedX;
+        this.camera.position.y = clampedY;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * One game tick - the shared simulation step plus replay playback
+     */
+    step() {
+        // Feed a watched replay's inputs in at the frame they were recorded on
+        if (this.replayPlayback) {
+            this.applyReplayInputs();
+        }
+        
+        super.step();
+        
+        // Fire the next recorded shot when watching a replay
+        if (this.replayPlayback) {
+            this.updateReplayPlayback();
+        }
+    }
+    
+    /**
+     * Remember where moving objects were before a tick (start point for render interpolation)
+     */
+    savePreviousRenderState() {
+        this.balls.forEach(ball => ball.savePreviousPosition());
+        if (this.bucket) {
+            this.bucket.savePreviousPosition();
+        }
+    }
+    
+    /**
+     * Position meshes between the previous and current tick
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     */
+    interpolateRender(alpha) {
+        this.balls.forEach(ball => ball.syncVisualInterpolated(alpha));
+        if (this.bucket) {
+            this.bucket.syncVisualInterpolated(alpha);
+        }
     }
 
     /**
@@ -3018,38 +3499,47 @@ export class Game {
                 const avgFPS = this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
                 
                 // Update performance mode based on average FPS
+                // Only step back up once FPS has clearly recovered, so the resolution doesn't flip every second
+                const previousMode = this.performanceMode;
                 if (avgFPS < 30) {
                     this.performanceMode = 'heavy_slowdown';
                 } else if (avgFPS < 45) {
                     this.performanceMode = 'slowdown';
-                } else {
+                } else if (avgFPS >= 55) {
                     this.performanceMode = 'normal';
                 }
                 
                 // Optional: Log performance warnings
                 if (avgFPS < 30 && this.fpsHistory.length === this.fpsHistorySize) {
-                    console.warn(`Performance warning: Average FPS is ${avgFPS.toFixed(1)}. Enabling heavy slowdown.`);
+                    console.warn(`Performance warning: Average FPS is ${avgFPS.toFixed(1)}.`);
+                }
+                
+                // Apply the new render resolution
+                if (this.adaptiveSlowdownEnabled && this.performanceMode !== previousMode && this.renderer) {
+                    this.handleResize();
                 }
             }
         }
     }
     
     /**
-     * Get slowdown multiplier based on current performance mode
+     * Render resolution scale - the player's setting times the one for the current
+     * performance mode (adaptive quality)
+     * Only affects how sharp the game looks - the simulation always runs at full speed
      */
-    getSlowdownMultiplier() {
+    getRenderScale() {
         if (!this.adaptiveSlowdownEnabled) {
-            return 1.0;
+            return this.renderScale;
         }
         
         switch (this.performanceMode) {
             case 'heavy_slowdown':
-                return 2.0; // Run physics at half speed (skip every other frame effectively)
+                return this.renderScale * 0.5; // Half resolution
             case 'slowdown':
-                return 1.5; // Run physics at 2/3 speed
+                return this.renderScale * 0.75; // Three quarter resolution
             case 'normal':
             default:
-                return 1.0; // Normal speed
+                return this.renderScale; // Full resolution
         }
     }
     
@@ -3465,25 +3955,12 @@ export class Game {
     }
 
     dispose() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-        }
-        
-        // Clean up all balls
-        this.balls.forEach(ball => ball.remove());
-        this.balls = [];
-        
-        // Clean up all pegs
-        this.pegs.forEach(peg => peg.remove());
-        this.pegs = [];
-        
-        // Clean up all walls
-        this.walls.forEach(wall => wall.remove());
-        this.walls = [];
+        this.unloadLevel();
         
-        // Clean up Three.js resources
+        // Clean up Three.js resources (the one thing a level never frees)
         if (this.renderer) {
             this.renderer.dispose();
+            this.renderer = null;
         }
     }
 }
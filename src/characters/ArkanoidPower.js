@@ -18,7 +18,7 @@ export class ArkanoidPower {
         this.timerActive = false;
         this.baseTimerValue = 15; // Base timer duration
         this.timerSeconds = this.baseTimerValue; // Default timer duration (can be changed in activatePad)
-        this.timerInterval = null;
+        this.timerTickRemaining = 0; // Milliseconds of game time left of the current second
         this.timerUI = null;
         this.baseTargetSpeed = 4;
         this.targetSpeed = this.baseTargetSpeed; // Target speed - updated on pad bounces, maintained on peg bounces
@@ -78,7 +78,9 @@ export class ArkanoidPower {
     }
 
     onBallOutOfPlay(){
-        return;
+        // The shot is over - put the bucket back now rather than on the next update,
+        // so the turn has settled by the time the game autosaves
+        this.deactivatePad();
     }
 
     onLevelComplete(){
@@ -87,11 +89,45 @@ export class ArkanoidPower {
 
     onReset(){
         this.game.powerTurnsElement.style = 'display: block;'; // Show power turns UI
+        
+        // Leaving the level - stop the countdown and take the pad and timer off the screen
+        this.stopTimer();
+        this.removePad();
+        this.padActive = false;
+        this.powerActive = false;
+        this.game.arkanoidActive = false;
+        this.game.ballResetTime = this.game.ballBaseResetTime;
     }
 
-    onAnimate(currentTime, deltaTime){
+    onPause(){
         return;
     }
+
+    onResume(){
+        return;
+    }
+
+    getState(){
+        // The pad only lives for one shot, only its speed carries over to the next activation
+        return {
+            targetSpeed: this.targetSpeed
+        };
+    }
+
+    setState(state){
+        this.targetSpeed = state.targetSpeed;
+    }
+
+    onAnimate(currentTime, deltaTime){
+        // The countdown runs on game time - no ticks run while paused, so it stops with them
+        if (!this.timerActive) {
+            return;
+        }
+        this.timerTickRemaining -= deltaTime;
+        if (this.timerTickRemaining <= 0) {
+            this.tickTimer();
+        }
+    }
     
 
     /*
@@ -217,8 +253,16 @@ export class ArkanoidPower {
 
     /**
      * Get the X position for the pad based on mouse position
+     * (a shot input, so a replay moves the pad the way the player did)
      */
     getPadXPosition() {
+        return this.game.readShotInput('padX', () => this.readMousePadX());
+    }
+
+    /**
+     * The pad X the mouse points at right now
+     */
+    readMousePadX() {
         if (!this.game.canvas) {
             return 0;
         }
@@ -286,7 +330,7 @@ export class ArkanoidPower {
             if (ball.lastPadBounceTime === undefined) {
                 ball.lastPadBounceTime = 0;
             }
-            const currentTime = performance.now() / 1000;
+            const currentTime = this.game.now();
             if (currentTime - ball.lastPadBounceTime < 0.1) {
                 return false; // Too soon since last bounce
             }
@@ -383,36 +427,41 @@ export class ArkanoidPower {
             this.game.audioManager.playSound('pegRoulette', { volume: 0.6 });
         }
         
-        // Countdown timer
-        this.timerInterval = setInterval(() => {
-            this.timerSeconds--;
-            
-            // Play sound for each second
-            if (this.game.audioManager && this.timerSeconds > 0) {
-                this.game.audioManager.playSound('pegRoulette', { volume: 0.6 });
-            }
-            
-            // Update UI
-            if (this.timerUI) {
-                this.timerUI.textContent = this.timerSeconds;
-            }
-            
-            // Timer finished
-            if (this.timerSeconds <= 0) {
-                this.stopTimer();
-                this.deactivatePad(); // This will reset the flag
-            }
-        }, 1000);
+        // Countdown timer (counted down in onAnimate)
+        this.timerTickRemaining = 1000;
+    }
+
+    /**
+     * Count down one second (called from onAnimate when a second of game time has passed)
+     */
+    tickTimer() {
+        this.timerSeconds--;
+        
+        // Play sound for each second
+        if (this.game.audioManager && this.timerSeconds > 0) {
+            this.game.audioManager.playSound('pegRoulette', { volume: 0.6 });
+        }
+        
+        // Update UI
+        if (this.timerUI) {
+            this.timerUI.textContent = this.timerSeconds;
+        }
+        
+        // Timer finished
+        if (this.timerSeconds <= 0) {
+            this.stopTimer();
+            this.deactivatePad(); // This will reset the flag
+        } else {
+            // Carry the overshoot so seconds don't drift by a tick each
+            this.timerTickRemaining += 1000;
+        }
     }
 
     /**
      * Stop timer
      */
     stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.timerTickRemaining = 0;
         
         this.timerActive = false;
         
@@ -510,6 +559,9 @@ export class ArkanoidPower {
             const startTime = performance.now();
             
             const animatePadDrop = () => {
+                // Already removed (the level was left mid-drop)
+                if (!this.pad) return;
+                
                 const elapsed = (performance.now() - startTime) / 1000;
                 const progress = Math.min(elapsed / duration, 1);
                 
@@ -524,16 +576,7 @@ export class ArkanoidPower {
                     requestAnimationFrame(animatePadDrop);
                 } else {
                     // Remove pad after animation
-                    if (this.pad) {
-                        this.game.scene.remove(this.pad);
-                        this.pad.geometry.dispose();
-                        this.pad.material.dispose();
-                        this.pad = null;
-                    }
-                    if (this.padBody) {
-                        this.game.physicsWorld.removeBody(this.padBody);
-                        this.padBody = null;
-                    }
+                    this.removePad();
                 }
             };
             
@@ -541,6 +584,22 @@ export class ArkanoidPower {
         }
     }
 
+    /**
+     * Take the pad out of the scene and physics world
+     */
+    removePad() {
+        if (this.pad) {
+            this.game.scene.remove(this.pad);
+            this.pad.geometry.dispose();
+            this.pad.material.dispose();
+            this.pad = null;
+        }
+        if (this.padBody) {
+            this.game.physicsWorld.removeBody(this.padBody);
+            this.padBody = null;
+        }
+    }
+
     /**
      * Update ball speed on peg bounce
      * Corrects ball speed to match target speed (maintains speed, doesn't increase)
@@ -83,7 +83,6 @@ export class BuzzPower {
         if (!ball.isRocket || !ball.rocketMesh) return;
         
         const ballPos = ball.body.position;
-        const currentTime = performance.now() / 1000;
         
         // Update rocket fuel
         if (ball.rocketThrustActive && ball.rocketFuelRemaining > 0) {
@@ -108,11 +107,10 @@ export class BuzzPower {
             
             // Apply thrust velocity towards cursor
             if (this.game.mouseX !== undefined && this.game.mouseY !== undefined) {
+                // A shot input, so a replay steers the way the player did
                 const rect = this.game.canvas.getBoundingClientRect();
-                const normalizedX = (this.game.mouseX / rect.width) * 2 - 1;
-                const normalizedY = 1 - (this.game.mouseY / rect.height) * 2;
-                const targetX = normalizedX * 6;
-                const targetY = normalizedY * 4.5;
+                const targetX = this.game.readShotInput('rocketTargetX', () => ((this.game.mouseX / rect.width) * 2 - 1) * 6);
+                const targetY = this.game.readShotInput('rocketTargetY', () => (1 - (this.game.mouseY / rect.height) * 2) * 4.5);
                 
                 // Direction from ball to cursor
                 const dx = targetX - ballPos.x;
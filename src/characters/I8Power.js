@@ -123,6 +123,25 @@ export class I8Power {
         return;
     }
 
+    onPause() {
+        return;
+    }
+
+    onResume() {
+        return;
+    }
+
+    getState() {
+        return {
+            powerCount: this.powerCount
+        };
+    }
+
+    setState(state) {
+        this.powerCount = state.powerCount;
+        this.updatePowerTurnsUI();
+    }
+
     update() {
         return;
     }
@@ -285,22 +304,19 @@ export class I8Power {
         this.ballTargetScale = Math.round(originalRadius * 1000) / 1000;
         this.updateBallSize(ball, this.ballCurrentScale);
         
-        // Resume after brief pause
+        // Resume after brief pause (unless the player paused the game in the meantime)
         setTimeout(() => {
-            this.game.gamePaused = false;
+            if (!this.game.userPaused && !this.game.visibilityPaused) {
+                this.game.gamePaused = false;
+            }
         }, pauseDuration * 1000);
         
         // Set explosion velocity (preserve x direction)
         const xDirection = ball.body.velocity.x >= 0 ? 1 : -1;
         ball.body.velocity.set(xDirection * this.explosionXVelocity, this.explosionYVelocity, 0);
         
-        // Reset explosion flag after a short delay to allow ball to reset below threshold
-        // This ensures the explosion can trigger again if the ball grows past threshold again
-        setTimeout(() => {
-            if (this.ballCurrentScale < this.ballScaleThreshold && this.ballTargetScale < this.ballScaleThreshold) {
-                this.explosionTriggered = false;
-            }
-        }, 100);
+        // explosionTriggered clears in update() on the next tick the ball is back below the
+        // threshold, so the explosion can trigger again if the ball grows past it again
     }
     
     updatePowerTurnsUI() {
@@ -60,7 +60,7 @@ export class JohnPower {
                 targetX, targetY,
                 originalVelocity
             });
-            this.game.lastRapidShotTime = performance.now() / 1000;
+            this.game.lastRapidShotTime = this.game.now();
             this.game.consumePower(); // Consume power from queue
             return true;
         } else if (this.game.selectedPower === 'explosion') {
@@ -106,6 +106,27 @@ export class MaddamPower {
         return;
     }
 
+    onPause(){
+        return;
+    }
+
+    onResume(){
+        return;
+    }
+
+    getState(){
+        return {
+            powerCount: this.powerCount,
+            magnetsActive: this.magnetsActive
+        };
+    }
+
+    setState(state){
+        this.powerCount = state.powerCount;
+        this.magnetsActive = state.magnetsActive;
+        this.updatePowerTurnsUI();
+    }
+
     update(){
         return;
     }
@@ -48,6 +48,25 @@ export class MikeyPower {
         return;
     }
 
+    onPause(){
+        return;
+    }
+
+    onResume(){
+        return;
+    }
+
+    getState(){
+        return {
+            powerCount: this.powerCount
+        };
+    }
+
+    setState(state){
+        this.powerCount = state.powerCount;
+        this.updatePowerTurnsUI();
+    }
+
     update(){
         return;
     }
@@ -0,0 +1,73 @@
+/**
+ * No Power - placeholder character power
+ * Implements the standard power events as no-ops so the game rules can run
+ * without a character (headless simulation, CLI shot testing)
+ */
+export class NoPower {
+    constructor(game) {
+        this.game = game;
+        this.powerActive = false;
+        this.overrideSpawnBall = false;
+        this.extendedAimGuide = false; // True shows the physics-accurate aim guide (see TrajectoryPreview)
+    }
+
+    /*
+        * Standard Event list for all Power classes:
+    */
+
+    onInit(){
+        return;
+    }
+
+    onBallShot(){
+        return;
+    }
+
+    ballInPlay(){
+        return;
+    }
+
+    onPegHit(peg, ball){
+        return;
+    }
+
+    onGreenPegHit(peg) {
+        return;
+    }
+
+    onBallOutOfPlay(){
+        return;
+    }
+
+    onLevelComplete(){
+        return;
+    }
+
+    onReset(){
+        return;
+    }
+
+    onPause(){
+        return;
+    }
+
+    onResume(){
+        return;
+    }
+
+    getState(){
+        return null;
+    }
+
+    setState(state){
+        return;
+    }
+
+    update(){
+        return;
+    }
+
+    onAnimate(currentTime, deltaTime){
+        return;
+    }
+}
@@ -1,3 +1,4 @@
+import { PEG_COLORS } from '../utils/PegPalette.js';
 import { EmojiEffect } from '../utils/EmojiEffect.js';
 
 /**
@@ -25,7 +26,7 @@ export class PeterPower {
     */
 
     onInit(){
-        this.emojiEffect = new EmojiEffect(this.game.scene, this.game.camera, this.game.renderer);
+        this.emojiEffect = new EmojiEffect(this.game.scene, this.game.camera, this.game.renderer, () => this.game.now() * 1000);
     }
 
     onBallShot(){
@@ -74,26 +75,10 @@ export class PeterPower {
 
             this.temporaryPurplePegs.forEach(tempPeg => {
                 if (!tempPeg.hit) {
-                    // Reset to blue color if not hit - update shader uniforms (not material.color)
-                    tempPeg.color = 0x4a90e2;  // Reset stored color to standard blue
+                    // Reset to standard blue if not hit
+                    tempPeg.setColor(PEG_COLORS.blue);
                     tempPeg.isPurple = false;
                     tempPeg.pointValue = 300;  // Reset to base value (blue peg value)
-                    
-                    if (tempPeg.mesh.material && tempPeg.mesh.material.uniforms) {
-                        // Lighten color to compensate for shader darkening (same as purple setting)
-                        const lightenColor = (hexColor, factor) => {
-                            const r = ((hexColor >> 16) & 0xFF) * factor;
-                            const g = ((hexColor >> 8) & 0xFF) * factor;
-                            const b = (hexColor & 0xFF) * factor;
-                            return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-                        };
-                        const lightenedBlue = lightenColor(0x4a90e2, 1.3);  // Lighten standard blue
-                        tempPeg.mesh.material.uniforms.pegColor.value.setHex(lightenedBlue);
-                        // Also update bounce color if it's normal (since normal uses peg color)
-                        if (tempPeg.bounceType === 'normal') {
-                            tempPeg.mesh.material.uniforms.bounceColor.value.setHex(lightenedBlue);
-                        }
-                    }
                 }
             });
         }
@@ -109,6 +94,30 @@ export class PeterPower {
         return;
     }
 
+    onPause(){
+        return;
+    }
+
+    onResume(){
+        return;
+    }
+
+    getState(){
+        // Blue pegs this turn's lucky bounces turned purple (kept so they're reset like in the original game)
+        return {
+            powerCount: this.powerCount,
+            temporaryPurplePegs: this.temporaryPurplePegs
+                .filter(peg => this.game.pegs.includes(peg))
+                .map(peg => peg.levelIndex)
+        };
+    }
+
+    setState(state){
+        this.powerCount = state.powerCount;
+        this.temporaryPurplePegs = this.game.pegs.filter(peg => state.temporaryPurplePegs.includes(peg.levelIndex));
+        this.updatePowerTurnsUI();
+    }
+
     update(){
         return;
     }
@@ -169,23 +178,8 @@ export class PeterPower {
         newPurplePeg.isPurple = true;
         newPurplePeg.pointValue = this.tempPurpleValue; // Purple peg value
         
-        // Change color to purple (lighter purple for default state) - update shader uniforms
-        newPurplePeg.color = 0xba55d3; // Update stored color
-        if (newPurplePeg.mesh.material && newPurplePeg.mesh.material.uniforms) {
-            // Lighten color to compensate for shader darkening
-            const lightenColor = (hexColor, factor) => {
-                const r = ((hexColor >> 16) & 0xFF) * factor;
-                const g = ((hexColor >> 8) & 0xFF) * factor;
-                const b = (hexColor & 0xFF) * factor;
-                return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-            };
-            const lightenedColor = lightenColor(0xba55d3, 1.3);
-            newPurplePeg.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-            // Also update bounce color if it's normal (since normal uses peg color)
-            if (newPurplePeg.bounceType === 'normal') {
-                newPurplePeg.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-            }
-        }
+        // Change color to purple (lighter purple for default state)
+        newPurplePeg.setColor(PEG_COLORS.purple);
         
         // Add to temporary purple pegs array
         this.temporaryPurplePegs.push(newPurplePeg);
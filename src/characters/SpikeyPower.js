@@ -51,7 +51,7 @@ export class SpikeyPower {
             const startPos = new THREE.Vector3(pegPos.x, pegPos.y, pegPos.z);
             // Pass isGreenPegSpike=true to indicate this is a green peg spike (for half-speed growth)
             // Increased lifetime to 2.0 seconds so spikes stay alive longer
-            const spike = new Spike(this.game.scene, this.game.physicsWorld, startPos, direction, spikeLength, 2.0, null, true);
+            const spike = new Spike(this.game.scene, this.game.physicsWorld, startPos, direction, spikeLength, 2.0, null, true, this.game.now());
 
             if (!this.game.spikes) {
                 this.game.spikes = [];
@@ -100,7 +100,7 @@ export class SpikeyPower {
             0
         );
 
-        const spike = new Spike(this.game.scene, this.game.physicsWorld, startPos, direction, spikeLength, spikeLifetime, velocity);
+        const spike = new Spike(this.game.scene, this.game.physicsWorld, startPos, direction, spikeLength, spikeLifetime, velocity, false, this.game.now());
 
         // Link spike to ball for tracking
         spike.parentBall = ball;
@@ -136,7 +136,7 @@ export class SpikeyPower {
             // Total interval per cycle (all 8 spikes) is 0.55 seconds
             // So each spike fires every 0.55 / 8 = 0.06875 seconds
             const spikeInterval = 0.55 / 8; // ~0.06875 seconds per spike
-            const currentTimeSeconds = performance.now() / 1000;
+            const currentTimeSeconds = this.game.now();
             
             if (currentTimeSeconds - ball.lastQuillShotTime >= spikeInterval) {
                 this.shootQuillShotSpike(ball);
@@ -7,6 +7,7 @@ export class Ball {
         this.scene = scene;
         this.physicsWorldWrapper = physicsWorldWrapper;
         this.ballRadius = this.game.ballRadius;
+        this.previousPosition = null; // Physics position before the last tick (render interpolation)
 
         // Visual representation (Three.js)
         this.createMesh(position);
@@ -88,6 +89,35 @@ export class Ball {
         );
     }
 
+    /**
+     * Remember the physics position before a tick (render interpolation start point)
+     */
+    savePreviousPosition() {
+        this.previousPosition = {
+            x: this.body.position.x,
+            y: this.body.position.y
+        };
+    }
+
+    /**
+     * Place the mesh between the previous and current physics position
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     */
+    syncVisualInterpolated(alpha) {
+        // Balls spawned this tick have nothing to interpolate from
+        if (!this.previousPosition) {
+            this.syncVisualToPhysics();
+            return;
+        }
+
+        const p = this.body.position;
+        this.mesh.position.set(
+            this.previousPosition.x + (p.x - this.previousPosition.x) * alpha,
+            this.previousPosition.y + (p.y - this.previousPosition.y) * alpha,
+            0
+        );
+    }
+
     update() {
         // Safety: if something ever goes invalid, prevent “ghost forever”
         // (rare, but this is a cheap tripwire)
@@ -2,12 +2,12 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
 export class Bomb {
-    constructor(scene, physicsWorldWrapper, position = { x: 0, y: 5, z: 0 }, velocity = null, ballMaterial = null) {
+    constructor(scene, physicsWorldWrapper, position = { x: 0, y: 5, z: 0 }, velocity = null, ballMaterial = null, spawnTime = 0) {
         this.scene = scene;
         this.physicsWorldWrapper = physicsWorldWrapper;
         this.explosionRadius = 1.5;
         this.explodeTime = 2.0; // 2 seconds
-        this.spawnTime = performance.now() / 1000;
+        this.spawnTime = spawnTime; // Game time in seconds (game.now())
         this.exploded = false;
         
         // Visual representation (Three.js)
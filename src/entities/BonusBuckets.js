@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+/**
+ * End-of-level bonus buckets - once the last orange peg is hit the moving bucket
+ * is replaced by a row of fixed-value slots across the whole floor.
+ * A ball that drops out of the bottom scores the slot it falls through.
+ */
+export class BonusBuckets {
+    static DEFAULT_VALUES = [10000, 50000, 100000, 50000, 10000];
+
+    constructor(scene, physicsWorldWrapper, values = BonusBuckets.DEFAULT_VALUES, wallMaterial = null) {
+        this.scene = scene;
+        this.physicsWorldWrapper = physicsWorldWrapper;
+        this.values = values;
+
+        // Camera view is 12 units wide (-6 to 6), bottom of screen at -4.5
+        this.left = -6;
+        this.right = 6;
+        this.floorY = -4.5;
+        this.slotWidth = (this.right - this.left) / values.length;
+        this.dividerHeight = 0.6;
+        this.dividerThickness = 0.1;
+        this.catchY = this.floorY; // A ball below this line has fallen into a slot
+
+        this.dividers = [];
+        this.slots = [];
+        this.labels = [];
+
+        this.createSlots();
+        this.createDividers(wallMaterial);
+    }
+
+    createSlots() {
+        const maxValue = Math.max(...this.values);
+        this.values.forEach((value, index) => {
+            // Brighter slots are worth more
+            const color = new THREE.Color(0x2a6f3a).lerp(new THREE.Color(0xffd700), value / maxValue);
+            const geometry = new THREE.PlaneGeometry(this.slotWidth, this.dividerHeight);
+            const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6 });
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(this.getSlotCenterX(index), this.floorY + this.dividerHeight / 2, -0.05);
+            this.scene.add(mesh);
+            this.slots.push({ mesh, value });
+        });
+    }
+
+    createDividers(wallMaterial) {
+        // One divider between each pair of neighbouring slots (the side walls close the outer ones)
+        for (let i = 1; i < this.values.length; i++) {
+            const x = this.left + i * this.slotWidth;
+            const y = this.floorY + this.dividerHeight / 2;
+
+            const geometry = new THREE.BoxGeometry(this.dividerThickness, this.dividerHeight, 0.1);
+            const material = new THREE.MeshBasicMaterial({ color: 0x888888 });
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(x, y, 0);
+            this.scene.add(mesh);
+
+            const shape = new CANNON.Box(new CANNON.Vec3(this.dividerThickness / 2, this.dividerHeight / 2, 0.05));
+            const body = new CANNON.Body({
+                mass: 0, // Static
+                shape: shape,
+                material: wallMaterial
+            });
+            body.position.set(x, y, 0);
+            body.userData = { type: 'bonusBucket', part: 'divider' };
+            this.physicsWorldWrapper.addBody(body);
+
+            this.dividers.push({ mesh, body });
+        }
+    }
+
+    /**
+     * Value labels drawn on canvas textures (browser only - headless runs have no canvas)
+     */
+    addLabels() {
+        this.values.forEach((value, index) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 64;
+            const context = canvas.getContext('2d');
+            context.font = 'bold 40px Arial';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.lineWidth = 6;
+            context.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+            context.fillStyle = '#ffffff';
+            const text = value.toLocaleString();
+            context.strokeText(text, canvas.width / 2, canvas.height / 2);
+            context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+            const geometry = new THREE.PlaneGeometry(this.slotWidth * 0.8, this.slotWidth * 0.2);
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(this.getSlotCenterX(index), this.floorY + this.dividerHeight / 2, 0.05);
+            this.scene.add(mesh);
+            this.labels.push(mesh);
+        });
+    }
+
+    getSlotCenterX(index) {
+        return this.left + (index + 0.5) * this.slotWidth;
+    }
+
+    /**
+     * @param {number} x - World X position
+     * @returns {number} Index of the slot under x
+     */
+    getSlotIndex(x) {
+        const index = Math.floor((x - this.left) / this.slotWidth);
+        return Math.max(0, Math.min(this.values.length - 1, index));
+    }
+
+    /**
+     * @param {Ball} ball
+     * @returns {boolean} True once the ball has dropped into a slot
+     */
+    hasCaught(ball) {
+        return ball.body.position.y < this.catchY;
+    }
+
+    ownsBody(body) {
+        return this.dividers.some(divider => divider.body === body);
+    }
+
+    remove() {
+        this.dividers.forEach(divider => {
+            this.scene.remove(divider.mesh);
+            this.physicsWorldWrapper.removeBody(divider.body);
+            divider.mesh.geometry.dispose();
+            divider.mesh.material.dispose();
+        });
+        this.slots.forEach(slot => {
+            this.scene.remove(slot.mesh);
+            slot.mesh.geometry.dispose();
+            slot.mesh.material.dispose();
+        });
+        this.labels.forEach(label => {
+            this.scene.remove(label);
+            label.geometry.dispose();
+            label.material.map.dispose();
+            label.material.dispose();
+        });
+        this.dividers = [];
+        this.slots = [];
+        this.labels = [];
+    }
+}
@@ -23,6 +23,7 @@ export class Bucket {
         this.direction = 1; // 1 for right, -1 for left
         this.currentX = position.x;
         this.tripProgress = 0; // 0 to 1, tracks progress along the trip
+        this.previousX = this.currentX; // Position before the last tick (render interpolation)
         
         // Set initial position
         this.updatePosition(this.currentX);
@@ -154,6 +155,45 @@ export class Bucket {
         this.updatePosition(this.currentX);
     }
 
+    /**
+     * Remember the position before a tick (render interpolation start point)
+     */
+    savePreviousPosition() {
+        this.previousX = this.currentX;
+    }
+
+    /**
+     * Move the meshes between the previous and current position (physics bodies stay put)
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     */
+    syncVisualInterpolated(alpha) {
+        const x = this.previousX + (this.currentX - this.previousX) * alpha;
+        const halfWidth = this.width / 2;
+        this.leftWall.mesh.position.x = x - halfWidth;
+        this.rightWall.mesh.position.x = x + halfWidth;
+        this.topCatcher.mesh.position.x = x;
+    }
+
+    /**
+     * Snapshot of the movement state (used by replays to reproduce a shot)
+     */
+    getState() {
+        return {
+            currentX: this.currentX,
+            tripProgress: this.tripProgress,
+            direction: this.direction
+        };
+    }
+
+    /**
+     * Restore a movement state captured with getState()
+     */
+    setState(state) {
+        this.tripProgress = state.tripProgress;
+        this.direction = state.direction;
+        this.updatePosition(state.currentX);
+    }
+
     remove() {
         // Remove all parts
         [this.leftWall, this.rightWall, this.topCatcher].forEach(part => {
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { GameEvent } from '../utils/EventBus.js';
+import { PEG_COLORS, getPegDisplayColor, getPegGlyph } from '../utils/PegPalette.js';
 
 export class Peg {
     constructor(game, scene, physicsWorldWrapper, position = { x: 0, y: 0, z: 0 }, color = 0xff6b6b, pegMaterial = null, type = 'round', size = 'base', bounceType = 'normal') {
@@ -7,10 +9,12 @@ export class Peg {
         this.scene = scene;
         this.physicsWorldWrapper = physicsWorldWrapper;
         this.color = color;
+        this.displayedColor = color; // Canonical color the shader is showing (differs from color once lit)
         this.hit = false;
         this.type = type; // 'round', 'rect', or 'dome'
         this.size = size; // 'small', 'base', or 'large'
         this.bounceType = bounceType; // 'normal', 'dampened', 'no-bounce', 'super-bouncy'
+        this.role = 'random'; // Level designer's role: 'random', 'orange', 'green' or 'blue-locked' (see LevelLoader.PEG_ROLES)
         
         // Calculate actual size based on base size (0.09) and size multiplier
         const baseSize = 0.09;
@@ -84,19 +88,11 @@ export class Peg {
         }
         // Get peg color (50% inside)
         const pegColor = this.color;
+        this.displayedColor = pegColor;
         
-        // Lighten colors to compensate for shader darkening
-        // Convert to RGB, lighten, then back to hex
-        const lightenColor = (hexColor, factor) => {
-            const r = ((hexColor >> 16) & 0xFF) * factor;
-            const g = ((hexColor >> 8) & 0xFF) * factor;
-            const b = (hexColor & 0xFF) * factor;
-            return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-        };
-        
-        // Lighten both colors by ~30% to compensate for shader darkening
-        const lightenedBounceColor = lightenColor(bounceColor, 1.3);
-        const lightenedPegColor = lightenColor(pegColor, 1.3);
+        // Active palette applied and lightened to compensate for shader darkening
+        const lightenedBounceColor = getPegDisplayColor(bounceColor);
+        const lightenedPegColor = getPegDisplayColor(pegColor);
         
         // Determine max distance based on peg type
         // For round pegs: maxDist = 0.5 (radius)
@@ -115,12 +111,16 @@ export class Peg {
                 bounceColor: { value: bounceColorObj },
                 pegColor: { value: pegColorObj },
                 transitionPoint: { value: 0.5 }, // 50% = outside, 50% = inside
-                maxDist: { value: maxDist } // Max distance for this peg type
+                maxDist: { value: maxDist }, // Max distance for this peg type
+                glyph: { value: getPegGlyph(pegColor) }, // PegGlyph drawn in the middle (0 = none)
+                glyphRadius: { value: this.actualSize } // Local units that make a glyph coordinate of 1 (peg radius / half height)
             },
             vertexShader: `
                 varying vec2 vUv;
+                varying vec2 vPos;
                 void main() {
                     vUv = uv;
+                    vPos = position.xy;
                     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
                 }
             `,
@@ -129,7 +129,43 @@ export class Peg {
                 uniform vec3 pegColor;
                 uniform float transitionPoint;
                 uniform float maxDist;
+                uniform float glyph;
+                uniform float glyphRadius;
                 varying vec2 vUv;
+                varying vec2 vPos;
+                
+                // Signed distance to a 5 point star (outer radius r, inner radius r * rf)
+                float starDistance(vec2 p, float r, float rf) {
+                    const vec2 k1 = vec2(0.809016994375, -0.587785252292);
+                    const vec2 k2 = vec2(-0.809016994375, -0.587785252292);
+                    p.x = abs(p.x);
+                    p -= 2.0 * max(dot(k1, p), 0.0) * k1;
+                    p -= 2.0 * max(dot(k2, p), 0.0) * k2;
+                    p.x = abs(p.x);
+                    p.y -= r;
+                    vec2 ba = rf * vec2(-k1.y, k1.x) - vec2(0.0, 1.0);
+                    float h = clamp(dot(p, ba) / dot(ba, ba), 0.0, r);
+                    return length(p - ba * h) * sign(p.y * ba.x - p.x * ba.y);
+                }
+                
+                // 1.0 inside the glyph, 0.0 outside
+                float glyphMask(vec2 p) {
+                    if (glyph > 0.5 && glyph < 1.5) {
+                        return step(starDistance(p, 0.62, 0.45), 0.0);
+                    }
+                    if (glyph > 1.5 && glyph < 2.5) {
+                        // Plus - two bars
+                        vec2 a = abs(p);
+                        float horizontal = step(a.x, 0.55) * step(a.y, 0.16);
+                        float vertical = step(a.y, 0.55) * step(a.x, 0.16);
+                        return max(horizontal, vertical);
+                    }
+                    if (glyph > 2.5) {
+                        // Diamond
+                        return step(abs(p.x) + abs(p.y), 0.5);
+                    }
+                    return 0.0;
+                }
                 
                 void main() {
                     // Calculate distance from center (0.5, 0.5) to current UV coordinate
@@ -147,6 +183,9 @@ export class Peg {
                     // Inside (normalizedDist <= 0.5): pegColor (50% of radius)
                     vec3 finalColor = normalizedDist > transitionPoint ? bounceColor : pegColor;
                     
+                    // Shape marker in a dark shade of the peg color
+                    finalColor = mix(finalColor, pegColor * 0.25, glyphMask(vPos / glyphRadius));
+                    
                     gl_FragColor = vec4(finalColor, 1.0);
                 }
             `,
@@ -170,31 +209,52 @@ export class Peg {
         }
     }
     
+    /**
+     * Change the peg color (the normal bounce ring follows it)
+     * @param {number} color - Hex color before shader lightening
+     */
+    setColor(color) {
+        this.color = color;
+        this.showColor(color);
+    }
+    
+    /**
+     * Show a color without changing the stored one (lit shades) - the normal
+     * bounce ring and the glyph follow it
+     * @param {number} color - Canonical hex color (see PEG_COLORS)
+     */
+    showColor(color) {
+        this.displayedColor = color;
+        if (!this.mesh || !this.mesh.material) {
+            return;
+        }
+        const uniforms = this.mesh.material.uniforms;
+        if (!uniforms) {
+            // Fallback for non-shader materials
+            this.mesh.material.color.setHex(color);
+            return;
+        }
+        const bounceColor = this.bounceType === 'normal' ? color : this.getColorForBounceType(this.bounceType);
+        uniforms.pegColor.value.setHex(getPegDisplayColor(color));
+        uniforms.bounceColor.value.setHex(getPegDisplayColor(bounceColor));
+        uniforms.glyph.value = getPegGlyph(color);
+    }
+    
+    /**
+     * Redraw with the active palette and glyph setting (after they change)
+     */
+    refreshColors() {
+        this.showColor(this.displayedColor);
+    }
+    
     setBounceType(bounceType) {
         this.bounceType = bounceType;
         
         // Update visual material
         if (this.mesh && this.mesh.material) {
-            // Lighten color function
-            const lightenColor = (hexColor, factor) => {
-                const r = ((hexColor >> 16) & 0xFF) * factor;
-                const g = ((hexColor >> 8) & 0xFF) * factor;
-                const b = (hexColor & 0xFF) * factor;
-                return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-            };
-            
             if (this.mesh.material.uniforms) {
-                // For 'normal' bounce type, use peg color instead of gray
-                let bounceColor = this.getColorForBounceType(bounceType);
-                if (bounceType === 'normal') {
-                    bounceColor = this.color; // Use peg color for normal bounce type
-                }
-                // Lighten colors to compensate for shader darkening
-                const lightenedBounceColor = lightenColor(bounceColor, 1.3);
-                const lightenedPegColor = lightenColor(this.color, 1.3);
-                
-                this.mesh.material.uniforms.bounceColor.value.setHex(lightenedBounceColor);
-                this.mesh.material.uniforms.pegColor.value.setHex(lightenedPegColor);
+                // Ring in the bounce type's color (the peg color for 'normal')
+                this.showColor(this.color);
             } else {
                 // If material doesn't have uniforms, recreate it as shader
                 const oldMaterial = this.mesh.material;
@@ -411,38 +471,20 @@ export class Peg {
             let newColor;
             if (this.isOrange) {
                 // Orange pegs turn to a lighter shade of orange when hit
-                newColor = 0xffb347; // Lighter orange
+                newColor = PEG_COLORS.orangeHit;
             } else if (this.isGreen) {
                 // Green pegs turn to a lighter shade of green when hit
-                newColor = 0x90ee90; // Lighter green
+                newColor = PEG_COLORS.greenHit;
             } else if (this.isPurple) {
                 // Purple pegs turn to a lighter shade of purple when hit
-                newColor = 0x9370db; // Medium purple (darker when hit)
+                newColor = PEG_COLORS.purpleHit; // Darker when hit
             } else {
                 // Blue pegs turn to a lighter shade of blue when hit
-                newColor = 0x87ceeb; // Light blue
+                newColor = PEG_COLORS.blueHit;
             }
             
-            // Update material color
-            if (this.mesh.material && this.mesh.material.uniforms) {
-                // Shader material - lighten and update the peg color (inside 50%)
-                const lightenColor = (hexColor, factor) => {
-                    const r = ((hexColor >> 16) & 0xFF) * factor;
-                    const g = ((hexColor >> 8) & 0xFF) * factor;
-                    const b = (hexColor & 0xFF) * factor;
-                    return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-                };
-                const lightenedColor = lightenColor(newColor, 1.3);
-                this.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-                
-                // Also update bounce color if it's normal (since normal uses peg color)
-                if (this.bounceType === 'normal') {
-                    this.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-                }
-            } else {
-                // Fallback for non-shader materials
-                this.mesh.material.color.setHex(newColor);
-            }
+            // Update material color (inside 50%, and the ring for normal bounce pegs)
+            this.showColor(newColor);
 
             // Play peg hit sound
             if (this.game.audioManager) {
@@ -456,7 +498,7 @@ export class Peg {
                 this.game.updateOrangePegMultiplier();
             }
             if (this.isGreen) {
-                this.game.activePower.onGreenPegHit(this);
+                this.game.events.emit(GameEvent.GREEN_PEG_HIT, { peg: this });
             }
 
             // if(this.isPurple) {
@@ -477,8 +519,6 @@ export class Peg {
                     return;
                 }
             }
-
-            this.game.activePower.onPegHit(this, null);
         } 
     }
 
@@ -488,34 +528,16 @@ export class Peg {
         // Restore original color based on peg type
         let originalColor;
         if (this.isOrange) {
-            originalColor = 0xff8c00; // Orange
+            originalColor = PEG_COLORS.orange;
         } else if (this.isGreen) {
-            originalColor = 0x32cd32; // Green
+            originalColor = PEG_COLORS.green;
         } else if (this.isPurple) {
-            originalColor = 0x8b00ff; // Purple
+            originalColor = PEG_COLORS.purple;
         } else {
             originalColor = this.color; // Blue (use stored color)
         }
         // Update material color
-        if (this.mesh.material && this.mesh.material.uniforms) {
-            // Shader material - lighten and update the peg color (inside 50%)
-            const lightenColor = (hexColor, factor) => {
-                const r = ((hexColor >> 16) & 0xFF) * factor;
-                const g = ((hexColor >> 8) & 0xFF) * factor;
-                const b = (hexColor & 0xFF) * factor;
-                return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
-            };
-            const lightenedColor = lightenColor(originalColor, 1.3);
-            this.mesh.material.uniforms.pegColor.value.setHex(lightenedColor);
-            
-            // Also update bounce color if it's normal (since normal uses peg color)
-            if (this.bounceType === 'normal') {
-                this.mesh.material.uniforms.bounceColor.value.setHex(lightenedColor);
-            }
-        } else {
-            // Fallback for non-shader materials
-            this.mesh.material.color.setHex(originalColor);
-        }
+        this.showColor(originalColor);
     }
 
     remove() {
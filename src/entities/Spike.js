@@ -2,13 +2,13 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
 export class Spike {
-    constructor(scene, physicsWorldWrapper, startPosition, direction, length = 0.2, lifetime = 0.1, velocity = null, isGreenPegSpike = false) {
+    constructor(scene, physicsWorldWrapper, startPosition, direction, length = 0.2, lifetime = 0.1, velocity = null, isGreenPegSpike = false, spawnTime = 0) {
         this.scene = scene;
         this.physicsWorldWrapper = physicsWorldWrapper;
         this.fullLength = length; // Target length
         this.length = isGreenPegSpike ? 0 : length; // Start at 0 for green peg spikes (animated growth)
         this.lifetime = lifetime;
-        this.spawnTime = performance.now() / 1000;
+        this.spawnTime = spawnTime; // Game time in seconds (game.now())
         this.isProjectile = velocity !== null; // If velocity provided, it's a projectile
         this.isGreenPegSpike = isGreenPegSpike; // Green peg spikes grow at half speed
         this.startPosition = startPosition instanceof THREE.Vector3 ? startPosition.clone() : new THREE.Vector3(startPosition.x, startPosition.y, startPosition.z || 0);
@@ -239,8 +239,7 @@ export class Spike {
         }
     }
 
-    update() {
-        const currentTime = performance.now() / 1000;
+    update(currentTime) { // currentTime: game time in seconds (game.now())
         const elapsed = currentTime - this.spawnTime;
         
         // Animate growth for green peg spikes (grow at half speed)
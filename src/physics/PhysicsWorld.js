@@ -287,5 +287,17 @@ export class PhysicsWorld {
     removeBody(body) {
         this.world.removeBody(body);
     }
+
+    /**
+     * Empty the world when its level is unloaded (entities remove their own bodies first,
+     * this catches anything they missed)
+     */
+    dispose() {
+        while (this.world.bodies.length > 0) {
+            this.world.removeBody(this.world.bodies[this.world.bodies.length - 1]);
+        }
+        this.world.contacts.length = 0;
+        this.accumulator = 0;
+    }
 }
 
@@ -0,0 +1,177 @@
+/**
+ * Orange peg distribution strategies - how the orange pegs are picked from the
+ * pegs left over after the green ones
+ *
+ * Every strategy gets the candidates already shuffled by the seeded RNG and a
+ * random() that draws from the same RNG, so a seed always gives the same layout.
+ * Strategies return `count` pegs and never touch the pegs themselves.
+ */
+export const DEFAULT_ORANGE_DISTRIBUTION = 'uniform';
+
+const STRATIFIED_COLUMNS = 3;
+const STRATIFIED_ROWS = 2;
+const MIN_DISTANCE_FALLOFF = 0.75; // Shrink the spacing by this much whenever a pass can't place every peg
+const REACHABILITY_CLEARANCE = 0.25; // Ball radius plus a peg radius - pegs closer than this to the line of sight block it
+
+function getPosition(peg) {
+    return peg.body.position;
+}
+
+function getBounds(pegs) {
+    const xs = pegs.map(peg => getPosition(peg).x);
+    const ys = pegs.map(peg => getPosition(peg).y);
+    return {
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minY: Math.min(...ys),
+        maxY: Math.max(...ys)
+    };
+}
+
+/**
+ * Uniform random - the first pegs of the shuffle (the original behavior)
+ */
+function uniform(candidates, count) {
+    return candidates.slice(0, count);
+}
+
+/**
+ * Stratified - split the board into a grid of regions and give each region
+ * its share of orange pegs, in proportion to how many pegs it has
+ */
+function stratified(candidates, count) {
+    if (candidates.length === 0 || count === 0) {
+        return [];
+    }
+
+    const bounds = getBounds(candidates);
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const regions = Array.from({ length: STRATIFIED_COLUMNS * STRATIFIED_ROWS }, () => []);
+
+    // Candidates keep their shuffled order inside each region
+    candidates.forEach(peg => {
+        const pos = getPosition(peg);
+        const column = width > 0 ? Math.min(STRATIFIED_COLUMNS - 1, Math.floor((pos.x - bounds.minX) / width * STRATIFIED_COLUMNS)) : 0;
+        const row = height > 0 ? Math.min(STRATIFIED_ROWS - 1, Math.floor((pos.y - bounds.minY) / height * STRATIFIED_ROWS)) : 0;
+        regions[row * STRATIFIED_COLUMNS + column].push(peg);
+    });
+
+    // Largest remainder - whole shares first, then the leftovers go to the biggest fractions
+    const shares = regions.map((region, index) => {
+        const exact = region.length * count / candidates.length;
+        return { index, quota: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+    let leftover = count - shares.reduce((sum, share) => sum + share.quota, 0);
+    [...shares]
+        .sort((a, b) => (b.remainder - a.remainder) || (a.index - b.index))
+        .forEach(share => {
+            if (leftover > 0 && share.remainder > 0) {
+                share.quota++;
+                leftover--;
+            }
+        });
+
+    const picked = [];
+    shares.forEach(share => {
+        picked.push(...regions[share.index].slice(0, share.quota));
+    });
+    return picked;
+}
+
+/**
+ * Minimum distance (Poisson-style dart throwing) - walk the shuffle and keep a
+ * peg only if it's far enough from every orange peg so far, shrinking the
+ * spacing until all of them fit
+ */
+function minDistance(candidates, count) {
+    if (candidates.length === 0 || count === 0) {
+        return [];
+    }
+
+    // Start from the spacing that would fill the board evenly
+    const bounds = getBounds(candidates);
+    const area = Math.max(1, (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY));
+    let spacing = Math.sqrt(area / count);
+
+    const picked = [];
+    const remaining = [...candidates];
+    while (picked.length < count && remaining.length > 0) {
+        for (let i = 0; i < remaining.length && picked.length < count; i++) {
+            const pos = getPosition(remaining[i]);
+            const farEnough = picked.every(peg => {
+                const other = getPosition(peg);
+                const dx = pos.x - other.x;
+                const dy = pos.y - other.y;
+                return Math.sqrt(dx * dx + dy * dy) >= spacing;
+            });
+            if (farEnough) {
+                picked.push(remaining[i]);
+                remaining.splice(i, 1);
+                i--;
+            }
+        }
+        spacing *= MIN_DISTANCE_FALLOFF;
+    }
+    return picked;
+}
+
+/**
+ * Weighted by reachability - pegs with a clear line of sight from the launcher
+ * are more likely to be orange than pegs buried behind others
+ */
+function reachability(candidates, count, { random, pegs, launcher }) {
+    const weights = candidates.map(peg => {
+        const target = getPosition(peg);
+        const dx = target.x - launcher.x;
+        const dy = target.y - launcher.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        // Count the pegs between the launcher and this one
+        let blockers = 0;
+        pegs.forEach(other => {
+            if (other === peg || lengthSquared === 0) return;
+            const pos = getPosition(other);
+            const t = ((pos.x - launcher.x) * dx + (pos.y - launcher.y) * dy) / lengthSquared;
+            if (t <= 0 || t >= 1) return;
+            const closestX = launcher.x + t * dx;
+            const closestY = launcher.y + t * dy;
+            const distance = Math.sqrt((pos.x - closestX) ** 2 + (pos.y - closestY) ** 2);
+            if (distance < REACHABILITY_CLEARANCE) {
+                blockers++;
+            }
+        });
+        return 1 / (1 + blockers);
+    });
+
+    // Weighted sampling without replacement (Efraimidis-Spirakis): highest random^(1/weight) wins
+    return candidates
+        .map((peg, index) => ({ peg, index, key: Math.pow(random(), 1 / weights[index]) }))
+        .sort((a, b) => (b.key - a.key) || (a.index - b.index))
+        .slice(0, count)
+        .map(entry => entry.peg);
+}
+
+export const ORANGE_DISTRIBUTIONS = Object.freeze({
+    uniform,
+    stratified,
+    minDistance,
+    reachability
+});
+
+/**
+ * Pick the orange pegs with a named strategy
+ * @param {string} name - Key of ORANGE_DISTRIBUTIONS (unknown names fall back to uniform)
+ * @param {Peg[]} candidates - Pegs that may become orange, in seeded shuffle order
+ * @param {number} count - How many to pick (at most candidates.length)
+ * @param {{random: Function, pegs: Peg[], launcher: {x: number, y: number}}} context
+ * @returns {Peg[]}
+ */
+export function pickOrangePegs(name, candidates, count, context) {
+    let strategy = ORANGE_DISTRIBUTIONS[name];
+    if (!strategy) {
+        console.warn(`[OrangeDistribution] Unknown strategy "${name}", using ${DEFAULT_ORANGE_DISTRIBUTION}`);
+        strategy = ORANGE_DISTRIBUTIONS[DEFAULT_ORANGE_DISTRIBUTION];
+    }
+    return strategy(candidates, count, context);
+}
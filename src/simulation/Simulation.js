@@ -0,0 +1,1789 @@
+import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+import { Ball } from '../entities/Ball.js';
+import { Peg } from '../entities/Peg.js';
+import { Wall } from '../entities/Wall.js';
+import { Bucket } from '../entities/Bucket.js';
+import { BonusBuckets } from '../entities/BonusBuckets.js';
+import { Characteristic } from '../entities/Characteristic.js';
+import { LevelLoader, LevelValidationError } from '../utils/LevelLoader.js';
+import { SeededRNG } from '../utils/SeededRNG.js';
+import { NoPower } from '../characters/NoPower.js';
+import { GameStateMachine, GameState } from '../utils/GameStateMachine.js';
+import { EventBus, GameEvent } from '../utils/EventBus.js';
+import { PEG_COLORS } from '../utils/PegPalette.js';
+import { StyleShotTracker } from './StyleShots.js';
+import { pickOrangePegs } from './OrangeDistribution.js';
+
+/**
+ * Headless game simulation - physics, collisions, scoring and turn flow with no
+ * renderer, DOM or audio. Game extends this and layers rendering, input, audio
+ * and UI on top, so a shot simulated here plays out exactly like it does in the browser.
+ *
+ * Entities still import three and build their meshes, but the scene is a stub that never
+ * renders - headless runs need the three package, not WebGL or a DOM.
+ */
+export class Simulation {
+    constructor() {
+        this.scene = null;
+        this.physicsWorld = null;
+        this.collisionListeners = null; // Listeners on physicsWorld.world, removed with the level
+
+        // Game state
+        this.ballRadius = 0.1; // Default ball radius
+        this.balls = [];
+        this.pegs = [];
+        this.characteristics = []; // Array of characteristic objects
+        this.walls = [];
+        this.bucket = null;
+        this.frameCount = 0;
+        this.simTime = 0; // Simulated seconds (game time, independent of the wall clock)
+        this.tickRate = 60; // Game ticks per second (physics substeps at PhysicsWorld.fixedTimeStep inside each tick)
+        this.levelRules = LevelLoader.resolveRules(); // Counts, points and balls - a level's `rules` block overrides these
+        this.ballsRemaining = this.levelRules.startingBalls;
+        this.score = 0;
+        this.goalProgress = 0;
+        this.goalTarget = this.levelRules.orangePegs;
+        this.powerTurnsRemaining = 0; // Number of turns with lucky clover active
+
+        // Free ball system - track score accumulated during current shot
+        this.currentShotScore = 0; // Score accumulated during current ball's flight
+        this.freeBallThreshold = this.levelRules.freeBallThreshold; // Score needed for a free ball
+
+        // Purple peg system
+        this.purplePegMultiplier = 1.0; // Multiplier from purple peg (1.5x after hitting purple peg)
+        this.purplePeg = null; // Reference to the current purple peg
+
+        // Orange peg multiplier system
+        this.orangePegMultiplier = 1.0; // Base multiplier from orange peg progress (thresholds in levelRules.multiplierThresholds)
+
+        // Level complete sequence - bonus buckets replace the bucket after the last orange peg
+        this.bonusBuckets = null;
+        this.bonusBucketValues = BonusBuckets.DEFAULT_VALUES;
+        this.bonusBucketScore = 0; // Points scored in bonus buckets this level
+        this.remainingBallBonus = 10000; // Points per unused ball when the level is won
+        this.levelResults = null; // Score breakdown once the level is won
+        this.finalOrangeLookahead = 0.3; // Seconds ahead predictFinalOrangeHit() looks for the winning hit
+
+        // Maximum rebound speed for collisions with pegs, walls, and bucket
+        this.maxReboundSpeed = 7.5;
+
+        // Ball shot speed constant (reduced by 15%, 30%, 10%, and 30%)
+        this.ballShotSpeed = 10;
+        this.ballSpawnX = 0;
+        this.ballSpawnY = 3.7;
+        this.ballSpawnZ = 0;
+
+        // Ball reset timer
+        this.ballBaseResetTime = 5; // seconds
+        this.ballResetTime = 5; // seconds
+
+        // Character power - headless runs have no character, so the hooks are no-ops
+        this.activePower = new NoPower(this);
+
+        // Game events - powers, audio, UI and stats subscribe here (see GameEvent for the list)
+        this.events = new EventBus();
+        this.subscribeActivePower();
+
+        // Style shot bonuses (long shot, off the wall, ...) - see StyleShots.js for the rules
+        this.styleShots = new StyleShotTracker(this);
+
+        // Turn flow - headless runs start aiming once a level is loaded (Game starts at level select)
+        this.stateMachine = new GameStateMachine(GameState.AIMING);
+
+        // Seeded RNG system
+        this.rng = null;
+        this.currentSeed = null;
+        this.orangeDistribution = null; // Game setting - overrides the level's rules.orangeDistribution when set
+
+        // Determinism checking - set stateHashLog to a StateHashLog to record a hash stream
+        this.stateHashLog = null;
+        this.shotCount = 0; // Shots fired this game
+        this.shotFrame = null; // Frames since the current shot was fired (null between shots)
+    }
+
+    /**
+     * Current game time in seconds. Stuck detection and hit timing read this.
+     */
+    now() {
+        return this.simTime;
+    }
+
+    /**
+     * A value a power reads from the player during a shot, such as the Arkanoid pad
+     * following the mouse. Headless there's no player, so this is just the live read.
+     * Game records it into the replay and feeds it back when watching one
+     * @param {string} type - Input name, e.g. 'padX'
+     * @param {() => number} read - Reads the live value
+     * @returns {number}
+     */
+    readShotInput(type, read) {
+        return read();
+    }
+
+    /**
+     * The active power hears game events like any other subscriber
+     * (it always forwards to whichever power is active, so swapping characters needs no resubscribe)
+     */
+    subscribeActivePower() {
+        this.events.on(GameEvent.SHOT_FIRED, (shot) => this.activePower.onBallShot(shot));
+        this.events.on(GameEvent.PEG_HIT, ({ peg, ball }) => this.activePower.onPegHit(peg, ball));
+        this.events.on(GameEvent.GREEN_PEG_HIT, ({ peg }) => this.activePower.onGreenPegHit(peg));
+        this.events.on(GameEvent.BALL_OUT_OF_PLAY, () => this.activePower.onBallOutOfPlay());
+        this.events.on(GameEvent.LEVEL_COMPLETE, () => this.activePower.onLevelComplete());
+    }
+
+    setSeed(seed) {
+        this.currentSeed = seed;
+        this.rng = new SeededRNG(seed);
+    }
+
+    /**
+     * Build the world for a level (headless entry point)
+     * @param {Object} levelData - Parsed level JSON, any format version
+     * @throws {LevelValidationError} If the level has schema errors (warnings don't stop it)
+     */
+    load(levelData) {
+        levelData = LevelLoader.migrateLevel(levelData);
+        const report = LevelLoader.validateLevel(levelData);
+        if (report.errors.length > 0) {
+            throw new LevelValidationError(report);
+        }
+        this.unloadLevel();
+        this.resetGameState();
+        this.setupScene();
+        this.setupPhysics();
+        this.setupCollisionDetection();
+        this.buildLevel(levelData);
+        // A previous level may have ended won or lost
+        this.stateMachine.transition(GameState.AIMING);
+    }
+
+    /**
+     * Score and turn state back to the start of a game - a new level, or the same one again.
+     * The frame counter restarts too, so hash logs and timers line up with a fresh run.
+     */
+    resetGameState() {
+        this.ballsRemaining = this.levelRules.startingBalls;
+        this.score = 0;
+        this.goalProgress = 0;
+        this.powerTurnsRemaining = 0;
+        this.currentShotScore = 0;
+        this.purplePegMultiplier = 1.0;
+        this.orangePegMultiplier = 1.0;
+        this.purplePeg = null;
+        this.bonusBucketScore = 0;
+        this.levelResults = null;
+        this.frameCount = 0;
+        this.simTime = 0;
+        this.shotCount = 0;
+        this.shotFrame = null;
+    }
+
+    setupScene() {
+        // Entities add and remove their meshes, nothing ever draws them
+        this.scene = {
+            add() {},
+            remove() {}
+        };
+    }
+
+    setupPhysics() {
+        this.physicsWorld = new PhysicsWorld();
+        this.bonusBuckets = null; // Belonged to the previous world
+        this.createWalls();
+        this.createBucket();
+    }
+
+    createWalls() {
+        // Camera view is 12 units wide (-6 to 6) and 9 units tall (-4.5 to 4.5)
+        const left = -6;
+        const right = 6;
+        const top = 4.5;
+        const wallThickness = 0.2; // Make walls thicker for better collision
+        const wallHeight = 9;
+        const wallWidth = 12;
+        
+        const wallMaterial = this.physicsWorld.wallMaterial;
+        
+        // Left wall - positioned at x = -6, extends from -4.5 to 4.5 in Y
+        const leftWall = new Wall(
+            this.scene,
+            this.physicsWorld,
+            { x: left, y: 0, z: 0 },
+            { width: wallThickness, height: wallHeight },
+            'left',
+            wallMaterial
+        );
+        this.walls.push(leftWall);
+        
+        // Right wall - positioned at x = 6
+        const rightWall = new Wall(
+            this.scene,
+            this.physicsWorld,
+            { x: right, y: 0, z: 0 },
+            { width: wallThickness, height: wallHeight },
+            'right',
+            wallMaterial
+        );
+        this.walls.push(rightWall);
+        
+        // Ceiling - positioned at y = 4.5, extends from -6 to 6 in X
+        const ceiling = new Wall(
+            this.scene,
+            this.physicsWorld,
+            { x: 0, y: top, z: 0 },
+            { width: wallWidth, height: wallThickness },
+            'ceiling',
+            wallMaterial
+        );
+        this.walls.push(ceiling);
+    }
+
+    createBucket() {
+        // Bucket sticks out from bottom by 0.4 units
+        // Bottom of screen is at -4.5, so bucket center should be at -4.5 + 0.2 = -4.3
+        // (half of 0.4 height)
+        const bucketY = -4.5 + 0.2; // -4.3
+        const wallMaterial = this.physicsWorld.wallMaterial;
+        
+        this.bucket = new Bucket(
+            this.scene,
+            this.physicsWorld,
+            { x: 0, y: bucketY, z: 0 },
+            wallMaterial
+        );
+    }
+
+    /**
+     * Create pegs and characteristics from level data and assign special pegs
+     * @param {Object} levelData - Validated level data
+     */
+    buildLevel(levelData) {
+        // Level rules - defaults for anything the level doesn't set
+        this.levelRules = LevelLoader.resolveRules(levelData.rules);
+        const rules = this.levelRules;
+        this.ballsRemaining = rules.startingBalls;
+        this.freeBallThreshold = rules.freeBallThreshold;
+        this.goalTarget = 0; // Set to the number of orange pegs actually placed
+        
+        // Create pegs from level data
+        const pegMaterial = this.physicsWorld.getPegMaterial();
+        
+        // First, create all pegs as blue (base color from JSON)
+        levelData.pegs.forEach((pegData, levelIndex) => {
+            // Handle color - can be hex string (#4a90e2) or number (4886754)
+            let baseColor;
+            if (pegData.color) {
+                if (typeof pegData.color === 'string') {
+                    baseColor = LevelLoader.hexToNumber(pegData.color);
+                } else {
+                    baseColor = pegData.color; // Already a number
+                }
+            } else {
+                baseColor = PEG_COLORS.blue; // Default blue color
+            }
+            
+            // Round peg positions to 3 decimals for determinism (match ball position precision)
+            const roundedX = this.roundToDecimals(pegData.x);
+            const roundedY = this.roundToDecimals(pegData.y);
+            
+            // Get type, size, and bounceType from level data, default to round base normal if not specified
+            const pegType = pegData.type || 'round';
+            const pegSize = pegData.size || 'base';
+            const pegBounceType = pegData.bounceType || 'normal';
+            
+            const peg = new Peg(
+                this,
+                this.scene,
+                this.physicsWorld,
+                { x: roundedX, y: roundedY, z: 0 },
+                baseColor,
+                pegMaterial,
+                pegType,
+                pegSize,
+                pegBounceType
+            );
+            
+            // Set base point value (will be updated for special pegs)
+            peg.pointValue = rules.pointValues.blue;
+            peg.isOrange = false;
+            peg.isGreen = false;
+            peg.isPurple = false;
+            
+            peg.role = pegData.role || 'random';
+            peg.levelIndex = levelIndex; // Position in the level file - how saved games refer to the peg
+            
+            // Apply rotation if specified
+            if (pegData.rotation !== undefined && pegData.rotation !== 0) {
+                peg.mesh.rotation.z = pegData.rotation;
+                // Update physics body rotation to match
+                peg.body.quaternion.setFromEuler(0, 0, pegData.rotation);
+            }
+            
+            this.pegs.push(peg);
+        });
+        
+        // Create characteristics from level data
+        if (levelData.characteristics && Array.isArray(levelData.characteristics) && levelData.characteristics.length > 0) {
+            levelData.characteristics.forEach(charData => {
+                const roundedX = this.roundToDecimals(charData.x);
+                const roundedY = this.roundToDecimals(charData.y);
+                const shapeType = charData.shape || 'rect'; // 'rect' or 'circle'
+                const size = charData.size || (shapeType === 'circle' ? { radius: 0.5 } : { width: 1, height: 1 });
+                const rotation = charData.rotation || 0;
+                const bounceType = charData.bounceType || 'normal';
+                
+                const characteristic = new Characteristic(
+                    this.scene,
+                    this.physicsWorld,
+                    { x: roundedX, y: roundedY, z: charData.z || 0 },
+                    shapeType,
+                    size,
+                    bounceType
+                );
+                
+                if (rotation !== 0) {
+                    characteristic.setRotation(rotation);
+                }
+                
+                this.characteristics.push(characteristic);
+            });
+        }
+        
+        // Shapes and spacers are editor-only tools and should NOT load in the game
+        // They are saved separately in *_dev.json files for editing purposes
+        
+        // Designer-fixed roles first - these pegs are special on every seed
+        this.pegs.forEach(peg => {
+            if (peg.role === 'green') {
+                this.makeGreenPeg(peg);
+            } else if (peg.role === 'orange') {
+                this.makeOrangePeg(peg);
+            }
+        });
+        const fixedGreenCount = this.pegs.filter(peg => peg.isGreen).length;
+        const fixedOrangeCount = this.pegs.filter(peg => peg.isOrange).length;
+        this.goalTarget = fixedOrangeCount;
+        
+        // Skip random special peg assignment only for "Test Level" specifically (only blue pegs)
+        // Other test levels like "test6" should still get special pegs
+        const isTestLevel = levelData.name && (
+            levelData.name.toLowerCase() === 'test level' || 
+            levelData.name.toLowerCase() === 'test-level'
+        );
+        
+        if (!isTestLevel) {
+            // Randomly fill the rest of the quotas from pegs without a fixed role
+            const indices = [];
+            this.pegs.forEach((peg, i) => {
+                if (peg.role === 'random') {
+                    indices.push(i);
+                }
+            });
+            // Fisher-Yates shuffle - use RNG if available, otherwise Math.random
+            for (let i = indices.length - 1; i > 0; i--) {
+                let j;
+                if (this.rng && this.rng.randomInt) {
+                    j = this.rng.randomInt(0, i + 1);
+                } else {
+                    // Fallback to Math.random if RNG is not initialized
+                    j = Math.floor(Math.random() * (i + 1));
+                }
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+            
+            // Small levels get as many as fit - green first, then orange
+            const greenCount = Math.min(Math.max(0, rules.greenPegs - fixedGreenCount), indices.length);
+            const orangeCount = Math.min(Math.max(0, rules.orangePegs - fixedOrangeCount), indices.length - greenCount);
+            this.goalTarget += orangeCount;
+            
+            // Select green pegs (power pegs) first
+            indices.slice(0, greenCount).forEach(i => this.makeGreenPeg(this.pegs[i]));
+            
+            // Select orange pegs from remaining indices (skip the green ones) with the chosen strategy
+            const orangeCandidates = indices.slice(greenCount).map(i => this.pegs[i]);
+            const orangePegs = pickOrangePegs(this.orangeDistribution || rules.orangeDistribution, orangeCandidates, orangeCount, {
+                random: () => (this.rng ? this.rng.next() : Math.random()),
+                pegs: this.pegs,
+                launcher: { x: this.ballSpawnX, y: this.ballSpawnY }
+            });
+            orangePegs.forEach(peg => this.makeOrangePeg(peg));
+            
+            // Assign initial purple peg
+            if (rules.purplePeg !== 'none') {
+                this.assignPurplePeg();
+            }
+        }
+
+        // Initialize orange peg multiplier tracker
+        this.updateOrangePegMultiplier();
+    }
+
+    makeGreenPeg(peg) {
+        peg.isGreen = true;
+        peg.pointValue = this.levelRules.pointValues.green;
+        peg.setColor(PEG_COLORS.green);
+    }
+
+    makeOrangePeg(peg) {
+        peg.isOrange = true;
+        peg.pointValue = this.levelRules.pointValues.orange;
+        peg.setColor(PEG_COLORS.orange);
+    }
+
+    assignPurplePeg() {
+        // Remove purple status from previous purple peg (if any)
+        if (this.purplePeg && !this.purplePeg.hit) {
+            // Reset to blue color if not hit
+            this.purplePeg.setColor(PEG_COLORS.blue);
+            this.purplePeg.isPurple = false;
+            this.purplePeg.pointValue = this.levelRules.pointValues.blue; // Reset to base value (blue peg value)
+        }
+        
+        // Find all blue pegs (not orange, not green, not hit, not locked to blue by the level)
+        const bluePegs = this.pegs.filter(peg => 
+            !peg.isOrange && 
+            !peg.isGreen && 
+            !peg.hit &&
+            !peg.isPurple &&
+            peg.role !== 'blue-locked'
+        );
+        
+        if (bluePegs.length === 0) {
+            // No blue pegs available
+            this.purplePeg = null;
+            return;
+        }
+        
+        // Randomly select one blue peg to be purple (using seeded RNG if available, otherwise Math.random)
+        let randomIndex;
+        if (this.rng && this.rng.randomInt) {
+            randomIndex = this.rng.randomInt(0, bluePegs.length);
+        } else {
+            // Fallback to Math.random if RNG is not initialized (e.g., in level editor test mode)
+            randomIndex = Math.floor(Math.random() * bluePegs.length);
+        }
+        this.purplePeg = bluePegs[randomIndex];
+        this.purplePeg.isPurple = true;
+        this.purplePeg.pointValue = this.levelRules.pointValues.purple; // Purple peg value
+        
+        // Change color to purple (lighter purple for default state)
+        this.purplePeg.setColor(PEG_COLORS.purple);
+    }
+
+    spawnBall(x, y, z, velocity = null, originalVelocity = null, isYellow = false, isQuillShot = false, isRocket = false, isI8 = false) {
+        if(this.activePower.onBallShot.overrideSpawnBall) {
+            return;
+        }
+        const ballMaterial = this.physicsWorld.getBallMaterial();
+        const ball = new Ball(this, this.scene, this.physicsWorld, { x, y, z }, velocity, ballMaterial, isYellow);
+        // Store original velocity for lucky clover perk
+        ball.originalVelocity = originalVelocity || velocity;
+        // Track which pegs this ball has hit
+        ball.hitPegs = [];
+        // Track initial position for radius check
+        ball.initialPosition = { x, y, z };
+        // Track time since last new peg hit for stuck detection
+        ball.lastNewPegHitTime = this.now();
+        // Track velocity for stuck detection
+        ball.lastVelocity = 0;
+        ball.lastHighVelocityTime = this.now();
+        // Track spawn time for 5-second airtime check
+        ball.spawnTime = this.now();
+        // Track recent peg hits for stuck pattern detection (bouncing between same 2 pegs)
+        ball.recentHitPegs = []; // Last 2 pegs hit
+        ball.recentHitTimes = []; // Times of those hits
+        ball.stuckPatternCheckTime = this.now(); // Last time we checked for stuck pattern
+        ball.stuckPatternCount = 0; // Consecutive intervals with stuck pattern detected
+        // Track if this ball used power (so we know to decrement when destroyed)
+        ball.usedPower = this.powerTurnsRemaining > 0;
+        // Track if this is a quill shot ball
+        ball.isQuillShot = isQuillShot;
+        ball.lastQuillShotTime = isQuillShot ? this.now() : 0;
+        
+        this.balls.push(ball);
+        return ball; // Return ball reference for mirror ball pairing
+    }
+
+    executeShot(spawnX, spawnY, spawnZ, targetX, targetY, originalVelocity) {
+        // Play shoot sound
+        if (this.audioManager) {
+            this.audioManager.playSound('pegShoot', { volume: 1 });
+        }
+        
+        // Check if power is available for this shot BEFORE decrementing
+        const hasPower = this.powerTurnsRemaining > 0;
+
+        // Decrement balls remaining and update UI (unless in editor testing mode - unlimited balls)
+        if (!this.hasUnlimitedBalls()) {
+            this.ballsRemaining--;
+            this.updateBallsRemainingUI();
+        }
+
+        // Spawn the ball (unless power overrides)
+        if (!this.activePower?.overrideSpawnBall) {
+            this.spawnBall(spawnX, spawnY, spawnZ, originalVelocity, originalVelocity);
+            this.activePower.ballInPlay();
+        }
+    }
+
+    /**
+     * Clamp a shot angle out of the blocked upward cone
+     * @param {number} angle - Angle in degrees (0° = right, 90° = up, 270° = down)
+     * @returns {number} Angle in the 0-360 range, outside 10°-170°
+     */
+    clampAimAngle(angle) {
+        // Convert from -180 to 180 range to 0 to 360 range
+        if (angle < 0) {
+            angle += 360;
+        }
+
+        // Clamp angle to block 160° cone looking straight up (80° on each side of 90°)
+        // Block from 10° to 170° (160° total), allow 170° to 10° (wrapping around)
+        // This means we allow: 170° to 360° and 0° to 10°, which is the same as blocking 10° to 170°
+        const blockedStart = 10;  // Start of blocked cone
+        const blockedEnd = 170;   // End of blocked cone
+
+        if (angle > blockedStart && angle < blockedEnd) {
+            // Clamp to nearest boundary
+            if (angle < 90) {
+                // Closer to start boundary
+                angle = blockedStart;
+            } else {
+                // Closer to end boundary
+                angle = blockedEnd;
+            }
+        }
+        return angle;
+    }
+
+    /**
+     * Launch velocity for a shot angle, rounded for determinism
+     * @param {number} angle - Angle in degrees (already rounded by the caller)
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getShotVelocity(angle) {
+        angle = this.clampAimAngle(angle);
+
+        // Convert back to radians and calculate velocity
+        // Round angleRad for determinism
+        const angleRad = this.roundToDecimals(angle * (Math.PI / 180));
+        const clampedDx = this.roundToDecimals(Math.cos(angleRad));
+        const clampedDy = this.roundToDecimals(Math.sin(angleRad));
+
+        // Normalize direction and apply speed
+        const speed = this.ballShotSpeed;
+
+        // Round initial velocity to 3 decimals for determinism
+        const velocityX = this.roundToDecimals(clampedDx * speed);
+        const velocityY = this.roundToDecimals(clampedDy * speed);
+
+        return { x: velocityX, y: velocityY, z: 0 };
+    }
+
+    /**
+     * Fire a ball at the given angle
+     * @param {number} angle - Angle in degrees (0° = right, 270° = straight down)
+     * @param {number} targetX - Aim target, passed through to the power hooks
+     * @param {number} targetY - Aim target, passed through to the power hooks
+     */
+    shoot(angle, targetX = null, targetY = null) {
+        const originalVelocity = this.getShotVelocity(angle);
+
+        this.stateMachine.transition(GameState.BALL_IN_FLIGHT);
+
+        // Reset purple peg multiplier
+        this.purplePegMultiplier = 1.0;
+
+        // Reset peg hit sound scale for new shot
+        if (this.audioManager) {
+            this.audioManager.resetPegHitScale();
+        }
+
+        this.executeShot(this.ballSpawnX, this.ballSpawnY, this.ballSpawnZ, targetX, targetY, originalVelocity);
+
+        this.events.emit(GameEvent.SHOT_FIRED, {
+            angle: this.clampAimAngle(angle),
+            spawnX: this.ballSpawnX,
+            spawnY: this.ballSpawnY,
+            spawnZ: this.ballSpawnZ,
+            originalVelocity,
+            targetX,
+            targetY
+        });
+
+        // Start hashing this shot (frame 0 is the state right after firing)
+        this.shotCount++;
+        this.shotFrame = 0;
+        if (this.stateHashLog) {
+            this.stateHashLog.record(this.shotCount, this.shotFrame, this, true);
+        }
+    }
+
+    /**
+     * Add this frame to the state hash stream (called once per frame, after the turn logic)
+     */
+    recordStateHash() {
+        if (this.shotFrame === null) {
+            return;
+        }
+        this.shotFrame++;
+
+        // Always hash the frame the turn ends on so every shot's last state is compared
+        const turnEnded = this.balls.length === 0;
+        if (this.stateHashLog) {
+            this.stateHashLog.record(this.shotCount, this.shotFrame, this, turnEnded);
+        }
+        if (turnEnded) {
+            this.shotFrame = null;
+        }
+    }
+
+    /**
+     * Whether shots are free (overridden by Game for editor testing mode)
+     */
+    hasUnlimitedBalls() {
+        return false;
+    }
+
+    setupCollisionDetection() {
+        // Use checkCollisions() as PRIMARY method (checks contacts array every frame)
+        // beginContact event listener is a fallback for edge cases
+        // postStep event listener checks contacts immediately after each physics substep
+        // Both use processedContacts Set to prevent duplicate processing in the same frame
+        this.processedContacts = new Set(); // Track contacts processed this frame
+        
+        // postStep fires after each physics substep - check contacts here for fast-moving objects
+        // This catches contacts that are resolved within a single substep
+        const onPostStep = () => {
+            // Check contacts immediately after physics step
+            const contacts = this.physicsWorld.world.contacts;
+            if (contacts && contacts.length > 0) {
+                for (let i = 0; i < contacts.length; i++) {
+                    const contact = contacts[i];
+                    if (!contact) continue;
+                    
+                    const bodyA = contact.bi;
+                    const bodyB = contact.bj;
+                    if (!bodyA || !bodyB) continue;
+                    
+                    const isBall = this.balls.some(b => b.body === bodyA || b.body === bodyB);
+                    
+                    if (isBall) {
+                        const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
+                        
+                        if (!this.processedContacts.has(contactKey)) {
+                            this.processedContacts.add(contactKey);
+                            this.handleCollision(bodyA, bodyB);
+                        }
+                    }
+                }
+            }
+        };
+        
+        // Event listener for immediate collision detection (fallback)
+        const onBeginContact = (event) => {
+            try {
+                // Try different event structures
+                const contact = event.contact || event;
+                if (!contact) return;
+                
+                const bodyA = contact.bi;
+                const bodyB = contact.bj;
+                
+                if (!bodyA || !bodyB) return;
+                
+                // Create a unique key for this contact pair
+                const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
+                
+                // Only process if not already processed this frame (prevents race condition with checkCollisions)
+                if (!this.processedContacts.has(contactKey)) {
+                    this.processedContacts.add(contactKey);
+                    this.handleCollision(bodyA, bodyB);
+                }
+            } catch (error) {
+                // Fallback to contacts array if event structure is wrong
+                // Event listener error, using contacts array
+            }
+        };
+        
+        // Kept so unloadLevel() can take them off the world again
+        this.collisionListeners = { postStep: onPostStep, beginContact: onBeginContact };
+        Object.entries(this.collisionListeners).forEach(([type, listener]) => {
+            this.physicsWorld.world.addEventListener(type, listener);
+        });
+    }
+
+    roundToDecimals(value, decimals = 3) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    roundVec3(vec, decimals = 3) {
+        vec.x = this.roundToDecimals(vec.x, decimals);
+        vec.y = this.roundToDecimals(vec.y, decimals);
+        vec.z = this.roundToDecimals(vec.z, decimals);
+    }
+
+    clampBallVelocity(ball) {
+        // Clamp ball velocity to max rebound speed (only for rebounds, not initial shot)
+        const velocity = ball.body.velocity;
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+        
+        if (speed > this.maxReboundSpeed) {
+            // Normalize and scale to max rebound speed
+            // Round scale factor for determinism
+            const scale = this.roundToDecimals(this.maxReboundSpeed / speed);
+            velocity.x = this.roundToDecimals(velocity.x * scale);
+            velocity.y = this.roundToDecimals(velocity.y * scale);
+            velocity.z = this.roundToDecimals(velocity.z * scale);
+            ball.body.velocity = velocity;
+        }
+        
+        // Round velocity to 3 decimals for determinism
+        this.roundVec3(ball.body.velocity);
+    }
+    
+    handleCollision(bodyA, bodyB) {
+        // Find the ball or bomb involved - try reference match first, then ID match as fallback
+        let ball = this.balls.find(b => b.body === bodyA || b.body === bodyB);
+        
+        // Fallback: if not found by reference, try by ID (for timing/race condition issues)
+        if (!ball && bodyA && bodyB) {
+            const ballById = this.balls.find(b => b.body.id === bodyA.id || b.body.id === bodyB.id);
+            if (ballById) {
+                ball = ballById;
+            }
+        }
+        
+        // Powers can add bombs (this.bombs) - they bounce off walls and buckets like balls but don't score
+        const bomb = ball ? null : (this.bombs || []).find(b => b.body === bodyA || b.body === bodyB);
+        const entity = ball || bomb; // Use ball if found, otherwise bomb
+        
+        if (!entity) {
+            return;
+        }
+        
+        // Check for ball/bomb-peg collision FIRST - this is the most important
+        const peg = this.pegs.find(p => p.body === bodyA || p.body === bodyB);
+        
+        // Check for ball-characteristic collision
+        const characteristic = this.characteristics.find(c => c.body === bodyA || c.body === bodyB);
+        
+        // Process characteristic collision logic BEFORE peg collision (if both exist, peg takes priority)
+        if (characteristic && ball && !peg) {
+            try {
+                // Fix collisions for rectangular/circular characteristics to prevent collision loss
+                // For rectangular: normalize corner collisions to use only one face
+                // For circular: handle large ball overlap to prevent physics confusion
+                // This must be done BEFORE clampBallVelocity to override physics response
+                // DISABLED: Testing behavior without normalizers
+                let collisionNormalized = false;
+                // if (ball.body) {
+                //     if (characteristic.shape === 'rect') {
+                //         collisionNormalized = this.normalizeCornerCollisionCharacteristic(ball, characteristic);
+                //     } else if (characteristic.shape === 'circle') {
+                //         collisionNormalized = this.normalizeRoundCharacteristicCollision(ball, characteristic);
+                //     }
+                // }
+                
+                // Clamp velocity after characteristic collision (unless collision was normalized, which already handled velocity)
+                // if (!collisionNormalized) {
+                    this.clampBallVelocity(ball);
+                // }
+            } catch (error) {
+                console.error('[Game] Error handling characteristic collision:', error);
+            }
+        }
+        
+        // Process peg collision logic IMMEDIATELY if it's a ball-peg collision
+        if (peg && ball) {
+            try {
+                // Fix collisions for rectangular/dome/round pegs to prevent collision loss
+                // For rectangular/dome: normalize corner collisions to use only one face
+                // For round: handle large ball overlap to prevent physics confusion
+                // This must be done BEFORE clampBallVelocity to override physics response
+                // DISABLED: Testing behavior without normalizers
+                let collisionNormalized = false;
+                // if (ball.body) {
+                //     if (peg.type === 'rect' || peg.type === 'dome') {
+                //         collisionNormalized = this.normalizeCornerCollision(ball, peg);
+                //     } else if (peg.type === 'round') {
+                //         collisionNormalized = this.normalizeRoundPegCollision(ball, peg);
+                //     }
+                // }
+                
+                // Clamp velocity after peg collision (unless collision was normalized, which already handled velocity)
+                // if (!collisionNormalized) {
+                    this.clampBallVelocity(ball);
+                // }
+
+                // Check if this is a new hit (peg not already hit)
+                const isNewHit = !peg.hit;
+                const wasAlreadyTracked = ball.hitPegs.includes(peg);
+                
+                this.events.emit(GameEvent.PEG_HIT, { peg, ball, isNewHit });
+            
+            // ALWAYS handle peg hit if it's new (even if already tracked, we need to ensure onHit is called)
+            // The onHit() method itself checks if already hit, so it's safe to call
+            if (isNewHit) {
+                try {
+                    peg.onHit(ball);
+                } catch (error) {
+                    // ERROR in peg.onHit()
+                }
+            }
+            
+            // Track this peg as hit by this ball (only if not already tracked)
+            // IMPORTANT: Only reset 5-second timer on NEW peg hits
+            // If ball is bouncing between already-hit pegs, timer keeps running - triggers removal after 5 seconds
+            const currentTime = this.now();
+            
+            if (isNewHit) {
+                // Reset all timers when hitting a truly NEW peg (not already hit)
+                ball.lastNewPegHitTime = currentTime;
+                // Reset 5-second timer on new peg hit (ball is making progress)
+                ball.spawnTime = currentTime;
+                // Reset velocity tracking when a new peg is hit (ball is moving/active)
+                const ballVelocity = Math.sqrt(
+                    ball.body.velocity.x * ball.body.velocity.x + 
+                    ball.body.velocity.y * ball.body.velocity.y
+                );
+                ball.lastVelocity = ballVelocity;
+                // Reset high velocity timer on new peg hit (ball is actively moving)
+                ball.lastHighVelocityTime = currentTime;
+            }
+            // If hitting already-hit peg, DON'T reset spawnTime - this allows 5-second check to trigger
+            
+            // Track peg hit for stuck pattern detection (even if already hit by another ball)
+            // This helps detect when ball is bouncing between same 2 pegs
+            if (!ball.recentHitPegs) {
+                ball.recentHitPegs = [];
+                ball.recentHitTimes = [];
+            }
+            
+            // Add this peg hit to recent hits
+            ball.recentHitPegs.push(peg);
+            ball.recentHitTimes.push(currentTime);
+            
+            // Keep only last 2 peg hits
+            if (ball.recentHitPegs.length > 2) {
+                ball.recentHitPegs.shift();
+                ball.recentHitTimes.shift();
+            }
+            
+            if (!wasAlreadyTracked) {
+                try {
+                    if (!ball.hitPegs) {
+                        ball.hitPegs = [];
+                    }
+                    
+                    ball.hitPegs.push(peg);
+                } catch (error) {
+                    // Continue anyway - don't let tracking errors stop processing
+                }
+                
+                // Check if this is the level's purple peg. Peter's temporary purple pegs aren't -
+                // they score below like any other peg, with the multiplier on their pointValue
+                const isPurplePeg = peg === this.purplePeg;
+
+                try {
+                    if (isPurplePeg) {
+                        // Activate 1.25x multiplier for following pegs
+                        this.purplePegMultiplier = 1.25;
+                        
+                        // Update multiplier display
+                        this.updateOrangePegMultiplier();
+                        
+                        // The purple peg is flat (no multiplier)
+                        const finalPoints = this.levelRules.pointValues.purple;
+                        this.score += finalPoints;
+                        this.currentShotScore += finalPoints;
+                        // Peg.onHit() has already switched it to the palette's purpleHit color
+                    } else {
+                        // Add score for regular pegs (after multiplier is activated)
+                        const totalMultiplier = this.orangePegMultiplier * this.purplePegMultiplier;
+                        const basePoints = peg.pointValue || this.levelRules.pointValues.blue;
+                        const finalPoints = Math.floor(basePoints * totalMultiplier);
+                        this.score += finalPoints;
+                        this.currentShotScore += finalPoints;
+                    }
+                    } catch (error) {
+                    // ERROR in purple check / score calculation
+                    // Re-throw to be caught by outer try-catch
+                    throw error;
+                }
+                // Update UI
+                this.updateScoreUI();
+                this.updateFreeBallMeter();
+                
+                // Check for free ball
+                if (this.currentShotScore >= this.freeBallThreshold) {
+                    const freeBallsAwarded = Math.floor(this.currentShotScore / this.freeBallThreshold);
+                    this.ballsRemaining += freeBallsAwarded;
+                    this.currentShotScore = this.currentShotScore % this.freeBallThreshold;
+                    this.updateBallsRemainingUI();
+                    this.updateFreeBallMeter();
+                    this.events.emit(GameEvent.FREE_BALL_AWARDED, {
+                        count: freeBallsAwarded,
+                        reason: 'score',
+                        ballsRemaining: this.ballsRemaining
+                    });
+                }
+            } 
+                
+            // Return early after processing peg collision - don't check walls/bucket
+            return;
+            } catch (error) {
+                // ERROR in peg collision processing
+                // Don't return here - let it fall through to other collision checks
+            }
+        }
+        
+        // Check for ball/bomb-wall collision
+        const wall = this.walls.find(w => w.body === bodyA || w.body === bodyB);
+        if (entity && wall) {
+            // Clamp velocity after wall collision
+            this.clampBallVelocity(entity);
+            // Only track wall hits for balls (not bombs)
+            if (ball) {
+                const wallSide = wall.body.userData?.side || 'unknown';
+                // Only log once per frame to avoid spam
+                if (!ball.lastWallHit || ball.lastWallHit !== wallSide || ball.lastWallHitFrame !== this.frameCount) {
+                    ball.lastWallHit = wallSide;
+                    ball.lastWallHitFrame = this.frameCount;
+                    this.events.emit(GameEvent.WALL_HIT, { ball, wall, side: wallSide });
+                }
+            }
+            return;
+        }
+        
+        // Check for ball/bomb-bucket collision (walls only, not catcher)
+        if (entity && this.bucket) {
+            const bucketPart = this.bucket.leftWall.body === bodyA || this.bucket.leftWall.body === bodyB
+                ? this.bucket.leftWall
+                : this.bucket.rightWall.body === bodyA || this.bucket.rightWall.body === bodyB
+                ? this.bucket.rightWall
+                : null;
+            
+            if (bucketPart) {
+                // Clamp velocity after bucket wall collision (not catcher, that's a sensor)
+                this.clampBallVelocity(entity);
+            }
+        }
+        
+        // Bonus bucket dividers bounce like bucket walls
+        if (entity && this.bonusBuckets && (this.bonusBuckets.ownsBody(bodyA) || this.bonusBuckets.ownsBody(bodyB))) {
+            this.clampBallVelocity(entity);
+            return;
+        }
+        
+        // Check for ball-bucket catcher collision (sensor, doesn't bounce)
+        if (ball && this.bucket) {
+            const bucketCatcher = this.bucket.topCatcher.body === bodyA || this.bucket.topCatcher.body === bodyB
+                ? this.bucket.topCatcher
+                : null;
+            
+            if (bucketCatcher) {
+                // Ball caught! Destroy ball and increase ball count
+                if (!ball.caught) {
+                    this.catchBall(ball);
+                }
+            }
+        }
+    }
+
+    checkCollisions() {
+        // Check contacts array - this is the PRIMARY collision detection method
+        // Event listeners can be unreliable, so we rely on checking contacts directly
+        const contacts = this.physicsWorld.world.contacts;
+        
+        // Use a Set to track processed collisions this frame to avoid duplicates
+        if (!this.processedContacts) {
+            this.processedContacts = new Set();
+        }
+        
+        // Clear processed contacts every frame for fresh detection
+        this.processedContacts.clear();
+        
+        // Process all active contacts
+        for (let i = 0; i < contacts.length; i++) {
+            const contact = contacts[i];
+            if (!contact) continue;
+            
+            const bodyA = contact.bi;
+            const bodyB = contact.bj;
+            
+            if (!bodyA || !bodyB) continue;
+            
+            // Create a unique key for this contact pair
+            const contactKey = `${Math.min(bodyA.id, bodyB.id)}-${Math.max(bodyA.id, bodyB.id)}`;
+            
+            // Skip if we've already processed this contact this frame
+            // (could have been processed by beginContact event listener)
+            if (this.processedContacts.has(contactKey)) {
+                // Contact already processed, skipping
+                continue;
+            }
+            this.processedContacts.add(contactKey);
+            
+            this.handleCollision(bodyA, bodyB);
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed game tick (1 / tickRate seconds)
+     */
+    step() {
+        const tickTime = 1 / this.tickRate;
+        // Round deltaTime (ms) to 3 decimals for determinism
+        const roundedDeltaTime = this.roundToDecimals(tickTime * 1000);
+
+        this.frameCount++;
+        this.simTime = this.frameCount * tickTime;
+
+        // Physics substeps at its own fixed rate inside the tick
+        this.physicsWorld.update(roundedDeltaTime / 1000);
+
+        // Check collisions immediately after physics update
+        // This is the PRIMARY collision detection method
+        this.checkCollisions();
+
+        // Round ball positions and velocities to 3 decimals for determinism
+        this.roundBallStates();
+
+        this.updatePower(this.now() * 1000, roundedDeltaTime);
+
+        if (this.bucket) {
+            this.bucket.update(tickTime);
+        }
+
+        this.updateBalls(this.now());
+        this.checkBucketCatches();
+        this.checkBonusBuckets();
+        this.removeFinishedBalls();
+        this.recordStateHash();
+    }
+
+    /**
+     * Fire one shot and step until every ball has left play
+     * @param {number} angle - Angle in degrees (0° = right, 270° = straight down)
+     * @param {Object} options
+     * @param {number} options.maxSeconds - Give up after this much simulated time
+     * @returns {{score: number, pegsHit: number, orangePegsHit: number, ballsRemaining: number, goalProgress: number, frames: number, timedOut: boolean, styleShots: Array}}
+     */
+    runShot(angle, { maxSeconds = 120 } = {}) {
+        const pegsBefore = this.pegs.length;
+        const goalBefore = this.goalProgress;
+        const startFrame = this.frameCount;
+        const maxFrames = Math.ceil(maxSeconds * this.tickRate);
+
+        this.shoot(angle);
+
+        while (this.balls.length > 0 && this.frameCount - startFrame < maxFrames) {
+            this.step();
+        }
+
+        return {
+            score: this.score,
+            // Hit pegs are cleared at the end of the turn, so the difference is what this shot hit
+            pegsHit: pegsBefore - this.pegs.length,
+            orangePegsHit: this.goalProgress - goalBefore,
+            ballsRemaining: this.ballsRemaining,
+            goalProgress: this.goalProgress,
+            frames: this.frameCount - startFrame,
+            timedOut: this.balls.length > 0,
+            // The turn's tally, or what was awarded so far if the shot never finished
+            styleShots: this.balls.length > 0 ? [...this.styleShots.turnAwards] : this.styleShots.lastTurnAwards
+        };
+    }
+
+    /**
+     * Per-tick power hooks
+     * @param {number} currentTime - Milliseconds
+     * @param {number} deltaTime - Tick length in milliseconds
+     */
+    updatePower(currentTime, deltaTime) {
+        if (this.activePower.powerActive) {
+            this.activePower.update(currentTime, deltaTime / 1000); // Convert to seconds
+        }
+
+        // Update emoji effects
+        this.activePower.onAnimate(currentTime, deltaTime);
+    }
+
+    roundBallStates() {
+        // Round ball positions and velocities to 3 decimals for determinism
+        // Also ensure collisionResponse is always enabled (safety check for collision bugs)
+        this.balls.forEach(ball => {
+            this.roundVec3(ball.body.position);
+            this.roundVec3(ball.body.velocity);
+            
+            // Safety check: Ensure collisionResponse is always enabled
+            // This prevents the ball from phasing through objects after collisions
+            if (ball.body && ball.body.collisionResponse === false) {
+                ball.body.collisionResponse = true;
+            }
+            
+            // Ensure body is awake (not sleeping)
+            if (ball.body && ball.body.sleepState !== 0) {
+                ball.body.wakeUp();
+            }
+        });
+    }
+
+    updateBalls(currentTimeSeconds) {
+        this.balls.forEach(ball => {
+            ball.update();
+            
+            // Stuck check: peg pattern detection (primary) + fallback checks
+            // Initialize tracking if missing
+            if (!ball.lastNewPegHitTime) {
+                ball.lastNewPegHitTime = ball.spawnTime || currentTimeSeconds;
+            }
+            if (ball.lastVelocity === undefined) {
+                ball.lastVelocity = 0;
+                ball.lastHighVelocityTime = ball.spawnTime || currentTimeSeconds;
+            }
+            if (!ball.recentHitPegs) {
+                ball.recentHitPegs = [];
+                ball.recentHitTimes = [];
+            }
+            if (!ball.stuckPatternCheckTime) {
+                ball.stuckPatternCheckTime = ball.spawnTime || currentTimeSeconds;
+            }
+            
+            const ballVelocity = Math.sqrt(
+                ball.body.velocity.x * ball.body.velocity.x + 
+                ball.body.velocity.y * ball.body.velocity.y
+            );
+            
+            // Update lastVelocity continuously for comparison
+            ball.lastVelocity = ballVelocity;
+            
+            // Only reset the timer if velocity is above a high threshold (ball is actively moving)
+            // Small bounces when stuck won't reset the timer
+            const highVelocityThreshold = 0.5;
+            if (ballVelocity > highVelocityThreshold) {
+                ball.lastHighVelocityTime = currentTimeSeconds;
+            }
+            
+            // PEG PATTERN CHECK: Check every 0.6 seconds if ball is bouncing between same 2 pegs
+            const patternCheckInterval = 1.6;
+            const timeSincePatternCheck = currentTimeSeconds - ball.stuckPatternCheckTime;
+            let stuckPatternDetected = false;
+            let patternCheckDetails = null;
+            
+            if (timeSincePatternCheck >= patternCheckInterval) {
+                ball.stuckPatternCheckTime = currentTimeSeconds;
+                
+                // Check if we have 2 recent peg hits
+                if (ball.recentHitPegs.length === 2 && ball.recentHitTimes.length === 2) {
+                    const [peg1, peg2] = ball.recentHitPegs;
+                    const [time1, time2] = ball.recentHitTimes;
+                    
+                    // Check if hits are within 0.2s of each other (rapid bouncing)
+                    const timeBetweenHits = Math.abs(time2 - time1);
+                    
+                    // If the last 2 pegs are being hit rapidly (< 0.2s apart), it's a stuck pattern
+                    // The pegs can be the same (bouncing on one peg) or different (bouncing between two)
+                    // Either way, rapid hits indicate being stuck
+                    if (timeBetweenHits < 0.2 && timeBetweenHits > 0) {
+                        stuckPatternDetected = true;
+                        ball.stuckPatternCount++;
+                        patternCheckDetails = {
+                            detected: true,
+                            timeBetweenHits: timeBetweenHits.toFixed(3),
+                            consecutiveCount: ball.stuckPatternCount,
+                            peg1SameAsPeg2: peg1 === peg2
+                        };
+                    } else {
+                        // Pattern broken - reset counter
+                        ball.stuckPatternCount = 0;
+                        patternCheckDetails = {
+                            detected: false,
+                            reason: timeBetweenHits >= 0.2 ? 'timeBetweenHits too large' : 'timeBetweenHits is 0',
+                            timeBetweenHits: timeBetweenHits.toFixed(3),
+                            consecutiveCount: 0
+                        };
+                    }
+                } else {
+                    // Not enough pegs tracked yet - reset counter
+                    ball.stuckPatternCount = 0;
+                    patternCheckDetails = {
+                        detected: false,
+                        reason: 'not enough pegs tracked',
+                        recentPegsCount: ball.recentHitPegs.length,
+                        recentTimesCount: ball.recentHitTimes.length,
+                        consecutiveCount: 0
+                    };
+                }
+            } else {
+                // If pattern was detected in previous check, continue counting
+                // (we check this outside the interval to avoid resetting the counter)
+                if (ball.stuckPatternCount > 0 && ball.recentHitPegs.length === 2 && ball.recentHitTimes.length === 2) {
+                    const [time1, time2] = ball.recentHitTimes;
+                    const timeBetweenHits = Math.abs(time2 - time1);
+                    if (timeBetweenHits < 0.2 && timeBetweenHits > 0) {
+                        stuckPatternDetected = true;
+                    }
+                }
+                patternCheckDetails = {
+                    intervalNotReached: true,
+                    timeSincePatternCheck: timeSincePatternCheck.toFixed(3),
+                    consecutiveCount: ball.stuckPatternCount
+                };
+            }
+            
+            // Calculate times for fallback checks
+            const timeSinceHighVelocity = currentTimeSeconds - ball.lastHighVelocityTime;
+            const timeSinceSpawn = currentTimeSeconds - ball.spawnTime;
+            
+            // Minimum number of pegs hit before any stuck check can trigger (prevent early false positives)
+            const minPegsHitForStuckCheck = 3;
+            const hasEnoughPegsHit = ball.hitPegs && ball.hitPegs.length >= minPegsHitForStuckCheck;
+            
+            // Check each condition (only if enough pegs have been hit)
+            const patternCheckPassed = hasEnoughPegsHit && stuckPatternDetected && ball.stuckPatternCount >= 2;
+            const velocityCheckPassed = hasEnoughPegsHit && timeSinceHighVelocity >= 1.0;
+            // 5-second check: If ball hasn't hit a NEW peg in 5 seconds, it's stuck (or 2 seconds if Arkanoid active)
+            const stuckTimerDuration = this.ballResetTime;
+            const spawnCheckPassed = timeSinceSpawn >= stuckTimerDuration;
+            
+            // Stuck check logging removed - checks run silently
+            
+            // Check if ball should trigger peg removal (any of these conditions):
+            // 1. Stuck pattern detected for 2 consecutive intervals (primary check - bouncing between same pegs)
+            // 2. Velocity hasn't been high (above 0.5) in 1 second (velocity-based check)
+            // 3. Ball hasn't hit a NEW peg in 5 seconds (5-second check - only resets on new peg hits)
+            const shouldRemovePegs = (
+                patternCheckPassed ||
+                velocityCheckPassed ||
+                spawnCheckPassed
+            ) && ball.hitPegs && ball.hitPegs.length > 0;
+            
+            if (shouldRemovePegs && ball.hitPegs.length > 0) {
+                // Start removing hit pegs in order with 0.15 second stagger
+                if (!ball.removingPegs) {
+                    ball.removingPegs = true;
+                    ball.pegRemoveStartTime = currentTimeSeconds;
+                    ball.pegRemoveIndex = 0;
+                    // Snapshot the hit pegs at the moment removal starts
+                    // This ensures we only remove pegs that were hit up to this point
+                    ball.pegsToRemove = [...ball.hitPegs];
+                }
+                
+                // Remove pegs one by one from the snapshot
+                const timeSinceRemoveStart = currentTimeSeconds - ball.pegRemoveStartTime;
+                const expectedIndex = Math.floor(timeSinceRemoveStart / 0.15);
+                
+                while (ball.pegRemoveIndex <= expectedIndex && ball.pegRemoveIndex < ball.pegsToRemove.length) {
+                    const pegToRemove = ball.pegsToRemove[ball.pegRemoveIndex];
+                    const pegIndex = this.pegs.indexOf(pegToRemove);
+                    if (pegIndex !== -1) {
+                        pegToRemove.remove();
+                        this.pegs.splice(pegIndex, 1);
+                    }
+                    ball.pegRemoveIndex++;
+                }
+            } else {
+                // Reset removal state if ball moves away or hits new peg
+                ball.removingPegs = false;
+                ball.pegsToRemove = null;
+            }
+        });
+    }
+
+    /**
+     * The bucket caught a ball - free ball, and the ball is removed at the end of the tick
+     */
+    catchBall(ball) {
+        ball.caught = true;
+        ball.shouldRemove = true;
+        this.ballsRemaining++;
+        this.updateBallsRemainingUI();
+
+        this.events.emit(GameEvent.BUCKET_CATCH, { ball });
+        this.events.emit(GameEvent.FREE_BALL_AWARDED, {
+            count: 1,
+            reason: 'bucket',
+            ballsRemaining: this.ballsRemaining
+        });
+    }
+
+    checkBucketCatches() {
+        // Check for ball-bucket catcher collision (manual check for sensors)
+        if (this.bucket) {
+            this.balls.forEach(ball => {
+                if (!ball.caught && !ball.shouldRemove) {
+                    const ballPos = ball.body.position;
+                    const catcherPos = this.bucket.topCatcher.body.position;
+                    const catcherHalfWidth = this.bucket.width / 2;
+                    const catcherHalfHeight = this.bucket.wallThickness / 2;
+                    
+                    // Check if ball is within catcher bounds
+                    const withinX = Math.abs(ballPos.x - catcherPos.x) < catcherHalfWidth + 0.1; // Ball radius is 0.1
+                    const withinY = Math.abs(ballPos.y - catcherPos.y) < catcherHalfHeight + 0.1;
+                    
+                    if (withinX && withinY) {
+                        this.catchBall(ball);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * The only orange peg still unlit
+     * @returns {Peg|null} Null while more than one (or none) is left
+     */
+    getFinalOrangePeg() {
+        let finalPeg = null;
+        for (const peg of this.pegs) {
+            if (peg.isOrange && !peg.hit) {
+                if (finalPeg) {
+                    return null;
+                }
+                finalPeg = peg;
+            }
+        }
+        return finalPeg;
+    }
+
+    /**
+     * Predict a ball hitting the last orange peg within `lookahead` seconds
+     * Sweeps each ball along its current velocity - gravity barely bends the path over
+     * a fraction of a second, and a near miss only means a short slow-down for nothing.
+     * Reads state only, so calling it never changes the simulation.
+     * @param {number} lookahead - Seconds of flight to look ahead
+     * @returns {{peg: Peg, ball: Ball, timeToHit: number}|null}
+     */
+    predictFinalOrangeHit(lookahead = this.finalOrangeLookahead) {
+        const peg = this.getFinalOrangePeg();
+        if (!peg) {
+            return null;
+        }
+
+        // Rect and dome pegs are 2:1 boxes, use the circle around them
+        const pegRadius = peg.type === 'round' ? peg.actualSize : peg.actualSize * Math.sqrt(5);
+        const pegPos = peg.body.position;
+        let prediction = null;
+
+        this.balls.forEach(ball => {
+            if (ball.caught || ball.shouldRemove) return;
+
+            const pos = ball.body.position;
+            const vel = ball.body.velocity;
+            const reach = this.ballRadius + pegRadius;
+            const dx = pegPos.x - pos.x;
+            const dy = pegPos.y - pos.y;
+            const speedSq = vel.x * vel.x + vel.y * vel.y;
+
+            let timeToHit;
+            if (dx * dx + dy * dy <= reach * reach) {
+                timeToHit = 0; // Already touching
+            } else if (speedSq === 0) {
+                return;
+            } else {
+                // Closest approach along the velocity ray
+                const tClosest = (dx * vel.x + dy * vel.y) / speedSq;
+                if (tClosest < 0) return; // Moving away
+
+                const cx = dx - vel.x * tClosest;
+                const cy = dy - vel.y * tClosest;
+                const missSq = cx * cx + cy * cy;
+                if (missSq > reach * reach) return; // Passes by
+
+                // Back off from the closest point to where the edges first touch
+                timeToHit = tClosest - Math.sqrt((reach * reach - missSq) / speedSq);
+            }
+
+            if (timeToHit <= lookahead && (!prediction || timeToHit < prediction.timeToHit)) {
+                prediction = { peg, ball, timeToHit: Math.max(0, timeToHit) };
+            }
+        });
+
+        return prediction;
+    }
+
+    /**
+     * Swap the moving bucket for the bonus buckets once the last orange peg is hit,
+     * then score any ball that drops into a slot
+     */
+    checkBonusBuckets() {
+        if (!this.bonusBuckets) {
+            // Only while a ball is still in play - it's the one that falls into the buckets
+            if (this.balls.length > 0 && this.goalTarget > 0 && this.goalProgress >= this.goalTarget) {
+                this.activateBonusBuckets();
+            }
+            return;
+        }
+
+        this.balls.forEach(ball => {
+            if (!ball.caught && !ball.shouldRemove && this.bonusBuckets.hasCaught(ball)) {
+                this.scoreBonusBucket(ball);
+            }
+        });
+    }
+
+    activateBonusBuckets() {
+        if (this.bucket) {
+            this.bucket.remove();
+            this.bucket = null;
+        }
+        this.bonusBuckets = new BonusBuckets(
+            this.scene,
+            this.physicsWorld,
+            this.bonusBucketValues,
+            this.physicsWorld.wallMaterial
+        );
+        this.events.emit(GameEvent.BONUS_BUCKETS_ACTIVATED, { bonusBuckets: this.bonusBuckets });
+    }
+
+    scoreBonusBucket(ball) {
+        const index = this.bonusBuckets.getSlotIndex(ball.body.position.x);
+        const value = this.bonusBuckets.values[index];
+
+        ball.caught = true;
+        ball.shouldRemove = true;
+        this.bonusBucketScore += value;
+        this.score += value;
+        this.updateScoreUI();
+
+        this.events.emit(GameEvent.BONUS_BUCKET_SCORED, { ball, index, value });
+    }
+
+    /**
+     * Put the level back to normal play (bucket instead of bonus buckets, no results)
+     * Used when the editor keeps testing after a win
+     */
+    resetLevelComplete() {
+        if (this.bonusBuckets) {
+            this.bonusBuckets.remove();
+            this.bonusBuckets = null;
+        }
+        if (!this.bucket && this.physicsWorld) {
+            this.createBucket();
+        }
+        this.bonusBucketScore = 0;
+        this.levelResults = null;
+    }
+
+    /**
+     * Add the unused ball bonus and total up the level
+     * @returns {{levelScore: number, bonusBucketScore: number, ballsRemaining: number, ballBonus: number, totalScore: number}}
+     */
+    tallyLevelResults() {
+        // Editor test runs have unlimited balls, so there's nothing to count
+        const ballsRemaining = this.hasUnlimitedBalls() ? 0 : this.ballsRemaining;
+        const ballBonus = ballsRemaining * this.remainingBallBonus;
+        const results = {
+            levelScore: this.score - this.bonusBucketScore,
+            bonusBucketScore: this.bonusBucketScore,
+            ballsRemaining,
+            ballBonus,
+            totalScore: this.score + ballBonus
+        };
+        results.stars = this.countStars(results.totalScore);
+
+        this.score = results.totalScore;
+        this.updateScoreUI();
+        return results;
+    }
+
+    /**
+     * Stars a cleared level earns for its final score (levelRules.starScores)
+     * @param {number} score - Final score, bonuses included
+     * @returns {number} 0 to 3
+     */
+    countStars(score) {
+        return this.levelRules.starScores.filter(threshold => score >= threshold).length;
+    }
+
+    /**
+     * Remove caught and out-of-bounds balls, ending the turn when the last one is gone
+     */
+    removeFinishedBalls() {
+        // Clean up balls that are out of bounds or caught
+        const ballsBeforeCleanup = this.balls.length;
+        const ballsToRemove = [];
+        this.balls = this.balls.filter(ball => {
+            if (ball.shouldRemove || ball.isOutOfBounds()) {
+                ballsToRemove.push(ball);
+                return false;
+            }
+            return true;
+        });
+        
+        // Only remove pegs if ALL balls are removed (wait until no balls remain)
+        // This allows rapid shot/spread shot to continue with remaining balls
+        if (ballsToRemove.length > 0 && this.balls.length === 0) {
+            // All balls are gone - clean up removed balls
+            ballsToRemove.forEach(ball => {
+                ball.remove();
+            });
+            
+            // Remove ALL hit pegs when all balls are removed (end of turn)
+            // Iterate backwards to safely remove items from array
+            for (let i = this.pegs.length - 1; i >= 0; i--) {
+                const peg = this.pegs[i];
+                if (peg.hit) {
+                    peg.remove();
+                    this.pegs.splice(i, 1);
+                }
+            }
+        } else if (ballsToRemove.length > 0) {
+            // Some balls were removed but others remain - just clean up visuals, don't remove pegs
+            ballsToRemove.forEach(ball => {
+                ball.remove();
+            });
+        }
+
+        // Reset free ball counter and reassign purple peg when all active balls are destroyed
+        // (This handles cases where powers might add multiple balls)
+        if (ballsBeforeCleanup > 0 && this.balls.length === 0) {
+            this.endTurn();
+        }
+    }
+
+    /**
+     * Wrap up a turn once every ball is gone
+     */
+    endTurn() {
+        this.stateMachine.transition(GameState.TURN_RESOLUTION);
+
+        const shotScore = this.currentShotScore;
+        this.currentShotScore = 0;
+        const styleShots = this.styleShots.endTurn();
+        this.updateFreeBallMeter();
+
+        // Reset purple peg multiplier (only lasts for the shot where it was hit)
+        this.purplePegMultiplier = 1.0;
+        this.updateOrangePegMultiplier(); // Update display
+
+        // Reassign purple peg (previous one will turn blue if not hit)
+        if (this.levelRules.purplePeg === 'everyTurn') {
+            this.assignPurplePeg();
+        }
+
+        // Check if game is over (no balls left or all orange pegs cleared)
+        this.checkGameOver();
+
+        this.events.emit(GameEvent.BALL_OUT_OF_PLAY, {
+            shotScore,
+            ballsRemaining: this.ballsRemaining,
+            styleShots
+        });
+
+        // Back to aiming unless the level ended
+        if (this.stateMachine.is(GameState.TURN_RESOLUTION)) {
+            this.stateMachine.transition(GameState.AIMING);
+        }
+    }
+
+    /**
+     * Move to LEVEL_WON / LEVEL_LOST when the level is over
+     * @returns {boolean} True when the level is won or out of balls
+     */
+    checkGameOver() {
+        // In editor testing mode, never consider game over due to no balls (unlimited balls)
+        const noBallsLeft = !this.hasUnlimitedBalls() &&
+                           this.ballsRemaining <= 0 &&
+                           this.balls.length === 0;
+        // Levels without orange pegs can only run out of balls
+        const allOrangePegsCleared = this.goalTarget > 0 && this.goalProgress >= this.goalTarget;
+
+        if (allOrangePegsCleared) {
+            // Tally first so LEVEL_WON hooks can show the results
+            if (!this.levelResults) {
+                this.levelResults = this.tallyLevelResults();
+            }
+            this.stateMachine.transition(GameState.LEVEL_WON);
+        } else if (noBallsLeft) {
+            this.stateMachine.transition(GameState.LEVEL_LOST);
+        }
+
+        const gameOver = noBallsLeft || allOrangePegsCleared;
+        if (gameOver) {
+            this.events.emit(GameEvent.LEVEL_COMPLETE, {
+                won: allOrangePegsCleared,
+                score: this.score,
+                goalProgress: this.goalProgress,
+                goalTarget: this.goalTarget,
+                results: allOrangePegsCleared ? this.levelResults : null
+            });
+        }
+        return gameOver;
+    }
+
+    /**
+     * Recalculate the orange peg multiplier from goal progress
+     * @returns {number} Percentage of orange pegs cleared
+     */
+    updateOrangePegMultiplier() {
+        const previousMultiplier = this.orangePegMultiplier;
+
+        // Calculate percentage of orange pegs cleared
+        // Total orange pegs = goalProgress (hit) + remaining orange pegs
+        const remainingOrangePegs = this.pegs.filter(peg => peg.isOrange && !peg.hit).length;
+        const totalOrangePegs = this.goalProgress + remainingOrangePegs;
+        const percentage = totalOrangePegs > 0 ? (this.goalProgress / totalOrangePegs) * 100 : 0;
+        
+        // Determine multiplier based on percentage
+        // Thresholds come from the level rules (ascending) and are exact - by default 40% = 2x, 60% = 3x, 80% = 5x, 90% = 8x
+        this.orangePegMultiplier = 1.0;
+        this.levelRules.multiplierThresholds.forEach(threshold => {
+            if (percentage >= threshold.percent) {
+                this.orangePegMultiplier = threshold.multiplier;
+            }
+        });
+
+        if (this.orangePegMultiplier !== previousMultiplier) {
+            this.events.emit(GameEvent.MULTIPLIER_CHANGED, {
+                multiplier: this.orangePegMultiplier,
+                previousMultiplier,
+                percentage
+            });
+        }
+
+        return percentage;
+    }
+
+    /**
+     * Snapshot of everything a finished turn leaves behind, for saving a game in
+     * progress. Only valid between shots (no balls in play, hit pegs already cleared).
+     * Pegs are stored by their index in the level file, so restoring needs the same level.
+     * @returns {Object} Plain data, safe for JSON
+     */
+    getSaveState() {
+        return {
+            rngState: this.rng ? this.rng.state : null,
+            frameCount: this.frameCount,
+            physicsAccumulator: this.physicsWorld.accumulator, // Leftover substep time - rounding drift, but it steers the next substep
+            shotCount: this.shotCount,
+            score: this.score,
+            ballsRemaining: this.ballsRemaining,
+            goalProgress: this.goalProgress,
+            goalTarget: this.goalTarget,
+            powerTurnsRemaining: this.powerTurnsRemaining,
+            bonusBucketScore: this.bonusBucketScore,
+            pegs: this.pegs.map(peg => ({
+                index: peg.levelIndex,
+                color: peg.color,
+                pointValue: peg.pointValue,
+                isOrange: peg.isOrange,
+                isGreen: peg.isGreen,
+                isPurple: peg.isPurple
+            })),
+            purplePeg: this.purplePeg && this.pegs.includes(this.purplePeg) ? this.purplePeg.levelIndex : null,
+            bucket: this.bucket ? this.bucket.getState() : null,
+            power: this.activePower.getState()
+        };
+    }
+
+    /**
+     * Put a saved turn back on a freshly loaded board
+     *
+     * The level has to be loaded with the saved seed and orange layout first -
+     * that places the same orange and green pegs. Cleared pegs are removed and
+     * the rest take their saved roles, then the RNG continues where it left off.
+     * @param {Object} state - From getSaveState()
+     */
+    restoreSaveState(state) {
+        const savedPegs = new Map(state.pegs.map(saved => [saved.index, saved]));
+        for (let i = this.pegs.length - 1; i >= 0; i--) {
+            const peg = this.pegs[i];
+            const saved = savedPegs.get(peg.levelIndex);
+            if (!saved) {
+                peg.remove();
+                this.pegs.splice(i, 1);
+                continue;
+            }
+            peg.isOrange = saved.isOrange;
+            peg.isGreen = saved.isGreen;
+            peg.isPurple = saved.isPurple;
+            peg.pointValue = saved.pointValue;
+            if (peg.color !== saved.color) {
+                peg.setColor(saved.color);
+            }
+        }
+        this.purplePeg = this.pegs.find(peg => peg.levelIndex === state.purplePeg) || null;
+
+        if (this.rng && state.rngState !== null) {
+            this.rng.state = state.rngState;
+        }
+        this.frameCount = state.frameCount;
+        this.simTime = this.frameCount * (1 / this.tickRate); // Same expression as step()
+        this.physicsWorld.accumulator = state.physicsAccumulator ?? 0;
+        this.shotCount = state.shotCount;
+        this.score = state.score;
+        this.ballsRemaining = state.ballsRemaining;
+        this.goalProgress = state.goalProgress;
+        this.goalTarget = state.goalTarget;
+        this.powerTurnsRemaining = state.powerTurnsRemaining;
+        this.bonusBucketScore = state.bonusBucketScore;
+        this.currentShotScore = 0;
+        this.purplePegMultiplier = 1.0;
+
+        if (this.bucket && state.bucket) {
+            this.bucket.setState(state.bucket);
+        }
+        if (state.power) {
+            this.activePower.setState(state.power);
+        }
+
+        this.updateBallsRemainingUI();
+        this.updateScoreUI();
+        this.updateGoalUI();
+        this.updateFreeBallMeter();
+        this.updateOrangePegMultiplier();
+    }
+
+    // UI hooks - Game overrides these to update the HUD
+    updateBallsRemainingUI() {}
+    updateScoreUI() {}
+    updateGoalUI() {}
+    updateFreeBallMeter() {}
+
+    /**
+     * Take the loaded level apart - every entity's meshes and bodies, the collision
+     * listeners and the physics world. Safe to call with nothing loaded; load() or
+     * setupPhysics() + buildLevel() start the next level from scratch.
+     */
+    unloadLevel() {
+        this.balls.forEach(ball => ball.remove());
+        this.balls = [];
+        this.pegs.forEach(peg => peg.remove());
+        this.pegs = [];
+        this.characteristics.forEach(characteristic => characteristic.remove());
+        this.characteristics = [];
+        this.walls.forEach(wall => wall.remove());
+        this.walls = [];
+        if (this.bucket) {
+            this.bucket.remove();
+            this.bucket = null;
+        }
+        if (this.bonusBuckets) {
+            this.bonusBuckets.remove();
+            this.bonusBuckets = null;
+        }
+        
+        if (this.physicsWorld) {
+            if (this.collisionListeners) {
+                Object.entries(this.collisionListeners).forEach(([type, listener]) => {
+                    this.physicsWorld.world.removeEventListener(type, listener);
+                });
+            }
+            this.physicsWorld.dispose();
+            this.physicsWorld = null;
+        }
+        this.collisionListeners = null;
+        if (this.processedContacts) {
+            this.processedContacts.clear();
+        }
+    }
+
+    dispose() {
+        this.unloadLevel();
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * State hash stream for checking determinism
+ *
+ * Every N frames of a shot we hash the state that has to match between two runs
+ * of the same seed: ball bodies, peg hit flags, bucket, score and RNG state.
+ * Two logs (two headless runs, or a live game and its replay) can be compared
+ * to find the first frame where they diverge.
+ *
+ * Frames are counted from the moment each shot is fired, so the time spent
+ * aiming between shots doesn't shift the stream.
+ */
+export class StateHashLog {
+    constructor(interval = 1) {
+        this.interval = Math.max(1, Math.floor(interval));
+        this.entries = []; // [shot, frame, hash]
+    }
+
+    /**
+     * Hash the simulation state (FNV-1a, 32 bit)
+     * @param {Simulation} sim
+     * @returns {string} 8 hex digits
+     */
+    static hash(sim) {
+        const parts = [];
+
+        sim.balls.forEach(ball => {
+            const p = ball.body.position;
+            const v = ball.body.velocity;
+            parts.push('b', p.x, p.y, p.z, v.x, v.y, v.z);
+        });
+
+        // Hit pegs are removed at the end of the turn, so the count matters as well as the flags
+        parts.push('p', sim.pegs.length);
+        sim.pegs.forEach(peg => {
+            parts.push(peg.hit ? 1 : 0);
+        });
+
+        if (sim.bucket) {
+            parts.push('k', sim.bucket.currentX, sim.bucket.tripProgress, sim.bucket.direction);
+        }
+
+        parts.push('s', sim.score, sim.goalProgress, sim.ballsRemaining);
+        parts.push('r', sim.rng ? sim.rng.state : 0);
+
+        const text = parts.join(',');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Record the state for a frame of a shot (only every `interval` frames unless forced)
+     * @param {number} shot - Shot number (1 = first shot of the game)
+     * @param {number} frame - Frames since the shot was fired
+     * @param {Simulation} sim
+     * @param {boolean} force - Record regardless of the interval (end of turn)
+     */
+    record(shot, frame, sim, force = false) {
+        if (!force && frame % this.interval !== 0) {
+            return;
+        }
+        this.entries.push([shot, frame, StateHashLog.hash(sim)]);
+    }
+
+    toJSON() {
+        return {
+            interval: this.interval,
+            entries: this.entries
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.entries)) {
+            throw new Error('Invalid state hash log');
+        }
+        const log = new StateHashLog(data.interval);
+        data.entries.forEach((entry, index) => {
+            if (!Array.isArray(entry) || entry.length !== 3 || typeof entry[2] !== 'string') {
+                throw new Error(`Invalid state hash entry ${index}`);
+            }
+            log.entries.push([entry[0], entry[1], entry[2]]);
+        });
+        return log;
+    }
+
+    /**
+     * Find the first frame where two logs disagree
+     * @param {StateHashLog} expected
+     * @param {StateHashLog} actual
+     * @returns {{index: number, shot: number, frame: number, expected: string|null, actual: string|null}|null}
+     *          null when the logs match
+     */
+    static compare(expected, actual) {
+        if (expected.interval !== actual.interval) {
+            throw new Error(`Hash intervals differ (${expected.interval} vs ${actual.interval})`);
+        }
+
+        const length = Math.max(expected.entries.length, actual.entries.length);
+        for (let i = 0; i < length; i++) {
+            const a = expected.entries[i];
+            const b = actual.entries[i];
+            if (a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2]) {
+                continue;
+            }
+
+            // One log ran longer, or the same frame hashed differently
+            const at = a || b;
+            return {
+                index: i,
+                shot: at[0],
+                frame: at[1],
+                expected: a ? a[2] : null,
+                actual: b ? b[2] : null
+            };
+        }
+        return null;
+    }
+}
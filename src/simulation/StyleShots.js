@@ -0,0 +1,199 @@
+import { GameEvent } from '../utils/EventBus.js';
+
+/**
+ * Style shot rules - named bonuses for how a shot was played, not just what it hit
+ *
+ * Every rule has an id, display name, flat point value, enabled flag and
+ * oncePerShot flag, plus its own tuning values. Change them with
+ * StyleShotTracker.configure() (or pass a replacement list to the constructor).
+ */
+export const DEFAULT_STYLE_SHOTS = [
+    {
+        id: 'longShot',
+        name: 'Long Shot',
+        points: 25000,
+        enabled: true,
+        oncePerShot: false,
+        minDistance: 5 // World units between two orange pegs hit one after the other by the same ball
+    },
+    {
+        id: 'offTheWall',
+        name: 'Off the Wall',
+        points: 2000,
+        enabled: true,
+        oncePerShot: true,
+        maxFrames: 30 // Ticks from a wall bounce to the peg hit, with no peg in between
+    },
+    {
+        id: 'skim',
+        name: 'Skim',
+        points: 1000,
+        enabled: true,
+        oncePerShot: true,
+        maxGrazeDot: 0.3, // |velocity · contact normal| below this is a graze (0 = perfectly tangential)
+        minSpeed: 3 // Slow balls rolling over a peg don't count
+    },
+    {
+        id: 'bucketCatch',
+        name: 'Bucket Catch',
+        points: 10000,
+        enabled: true,
+        oncePerShot: false,
+        minPegs: 8 // Pegs the ball must have hit before landing in the bucket
+    },
+    {
+        id: 'specialSweep',
+        name: 'Special Sweep',
+        points: 20000,
+        enabled: true,
+        oncePerShot: true,
+        minSpecialPegs: 2 // Green and purple pegs on the board when the shot was fired
+    }
+];
+
+/**
+ * Watches game events, awards style shots and keeps the tally for the turn
+ *
+ * Only reads the simulation state it's handed in events (plus the ball data
+ * Simulation already tracks), so awards are as deterministic as the shot itself.
+ */
+export class StyleShotTracker {
+    constructor(simulation, rules = DEFAULT_STYLE_SHOTS) {
+        this.simulation = simulation;
+        this.rules = new Map(rules.map(rule => [rule.id, { ...rule }]));
+
+        this.turnAwards = []; // [{ id, name, points }] awarded this turn
+        this.lastTurnAwards = []; // Tally of the turn that just ended
+        this.awardedThisShot = new Set(); // Rule ids already awarded (for oncePerShot rules)
+        this.shotSpecialPegs = null; // Special pegs unlit when the shot was fired
+        this.shotSpecialCount = 0;
+        this.lastOrangeHits = new WeakMap(); // ball -> position of its last orange peg hit
+
+        this.subscribe(simulation.events);
+    }
+
+    /**
+     * Change a rule's settings, e.g. configure('skim', { points: 500 }) or configure('longShot', { enabled: false })
+     */
+    configure(id, changes) {
+        const rule = this.rules.get(id);
+        if (!rule) {
+            console.warn(`[StyleShots] Unknown style shot "${id}"`);
+            return;
+        }
+        Object.assign(rule, changes);
+    }
+
+    subscribe(events) {
+        events.on(GameEvent.SHOT_FIRED, () => this.startShot());
+        events.on(GameEvent.PEG_HIT, ({ peg, ball, isNewHit }) => {
+            if (isNewHit) {
+                this.checkPegHit(peg, ball);
+            }
+        });
+        events.on(GameEvent.BUCKET_CATCH, ({ ball }) => this.checkBucketCatch(ball));
+    }
+
+    startShot() {
+        this.awardedThisShot.clear();
+        this.shotSpecialPegs = new Set(
+            this.simulation.pegs.filter(peg => (peg.isGreen || peg.isPurple) && !peg.hit)
+        );
+        this.shotSpecialCount = this.shotSpecialPegs.size;
+    }
+
+    /**
+     * Take this turn's awards (called once at the end of the turn)
+     * @returns {Array<{id: string, name: string, points: number}>}
+     */
+    endTurn() {
+        this.lastTurnAwards = this.turnAwards;
+        this.turnAwards = [];
+        this.shotSpecialPegs = null;
+        return this.lastTurnAwards;
+    }
+
+    checkPegHit(peg, ball) {
+        const pos = ball.body.position;
+        const pegPos = peg.body.position;
+
+        // Off the wall - the ball's last contact before this peg was a wall
+        const offTheWall = this.rules.get('offTheWall');
+        if (ball.lastWallHitFrame !== undefined) {
+            const framesSinceWall = this.simulation.frameCount - ball.lastWallHitFrame;
+            // recentHitTimes doesn't include this hit yet
+            const lastPegTime = ball.recentHitTimes.length > 0 ? ball.recentHitTimes[ball.recentHitTimes.length - 1] : -Infinity;
+            const wallTime = ball.lastWallHitFrame / this.simulation.tickRate;
+            if (framesSinceWall <= offTheWall.maxFrames && lastPegTime < wallTime) {
+                this.award(offTheWall, ball, peg);
+            }
+        }
+
+        // Skim - the ball only grazed a round peg
+        const skim = this.rules.get('skim');
+        if (peg.type === 'round') {
+            const nx = pos.x - pegPos.x;
+            const ny = pos.y - pegPos.y;
+            const normalLength = Math.sqrt(nx * nx + ny * ny);
+            const vel = ball.body.velocity;
+            const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+            if (normalLength > 0 && speed >= skim.minSpeed) {
+                const dot = Math.abs((vel.x * nx + vel.y * ny) / (speed * normalLength));
+                if (dot < skim.maxGrazeDot) {
+                    this.award(skim, ball, peg);
+                }
+            }
+        }
+
+        // Long shot - far from the previous orange peg this ball hit
+        if (peg.isOrange) {
+            const longShot = this.rules.get('longShot');
+            const previous = this.lastOrangeHits.get(ball);
+            if (previous) {
+                const dx = pegPos.x - previous.x;
+                const dy = pegPos.y - previous.y;
+                if (Math.sqrt(dx * dx + dy * dy) >= longShot.minDistance) {
+                    this.award(longShot, ball, peg);
+                }
+            }
+            this.lastOrangeHits.set(ball, { x: pegPos.x, y: pegPos.y });
+        }
+
+        // Special sweep - every green and purple peg on the board, in one shot
+        if (this.shotSpecialPegs && this.shotSpecialPegs.delete(peg)) {
+            const sweep = this.rules.get('specialSweep');
+            if (this.shotSpecialPegs.size === 0 && this.shotSpecialCount >= sweep.minSpecialPegs) {
+                this.award(sweep, ball, peg);
+            }
+        }
+    }
+
+    checkBucketCatch(ball) {
+        const bucketCatch = this.rules.get('bucketCatch');
+        if (ball.hitPegs && ball.hitPegs.length >= bucketCatch.minPegs) {
+            this.award(bucketCatch, ball, null);
+        }
+    }
+
+    award(rule, ball, peg) {
+        if (!rule || !rule.enabled) return;
+        if (rule.oncePerShot && this.awardedThisShot.has(rule.id)) return;
+        this.awardedThisShot.add(rule.id);
+
+        const simulation = this.simulation;
+        simulation.score += rule.points;
+        simulation.updateScoreUI();
+
+        const award = { id: rule.id, name: rule.name, points: rule.points };
+        this.turnAwards.push(award);
+
+        const position = peg ? peg.body.position : ball.body.position;
+        simulation.events.emit(GameEvent.STYLE_SHOT, {
+            ...award,
+            ball,
+            peg,
+            x: position.x,
+            y: position.y
+        });
+    }
+}
@@ -0,0 +1,251 @@
+import * as CANNON from 'cannon-es';
+import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+
+/**
+ * Broadphase for a world where only the probe moves - pairs the probe with
+ * every body its bounding box overlaps and nothing else
+ */
+class ProbeBroadphase extends CANNON.Broadphase {
+    constructor() {
+        super();
+        this.probe = null;
+    }
+
+    collisionPairs(world, pairs1, pairs2) {
+        const probe = this.probe;
+        if (!probe) return;
+        if (probe.aabbNeedsUpdate) {
+            probe.updateAABB();
+        }
+        world.bodies.forEach(body => {
+            if (body === probe || !this.needBroadphaseCollision(probe, body)) return;
+            if (body.aabbNeedsUpdate) {
+                body.updateAABB();
+            }
+            if (probe.aabb.overlaps(body.aabb)) {
+                pairs1.push(probe);
+                pairs2.push(body);
+            }
+        });
+    }
+}
+
+/**
+ * Physics-accurate aim preview - fires a probe ball through a throwaway copy of
+ * the level and records its path up to (and just past) the first bounces
+ *
+ * The copy is a separate PhysicsWorld, so it has the same contact materials
+ * (restitution per bounce type) as the real one. Pegs, characteristics and walls
+ * are cloned into it once and only rebuilt when the set of bodies changes, so a
+ * prediction is just the probe's steps and is cheap enough for every mouse move.
+ * Nothing here touches the live world, the RNG or the game state.
+ */
+export class TrajectoryPreview {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.maxBounces = 2; // Stop after this many contacts
+        this.maxTime = 2.5; // Seconds of flight to simulate at most
+        this.afterBounceSteps = 12; // Physics steps kept after the last bounce so its direction shows
+        this.sampleEvery = 2; // Record a point every N physics steps (plus every contact)
+        this.bottomY = -5; // Stop once the probe falls out of the board
+
+        this.physics = null;
+        this.materials = new Map(); // Material name -> material in the preview world
+        this.clones = new Map(); // Live body -> cloned body
+        this.layoutKey = null; // Which live bodies the clones were built from
+        this.transformKey = null; // Sum of the live transforms, to notice moved bodies
+        this.lastInputKey = null; // Last prediction, reused while neither the aim nor the level changes
+        this.lastResult = null;
+    }
+
+    /**
+     * Predict a shot
+     * @param {number} startX
+     * @param {number} startY
+     * @param {number} velocityX
+     * @param {number} velocityY
+     * @returns {{points: Array<{x: number, y: number}>, bounces: Array<{x: number, y: number, body: CANNON.Body}>}}
+     *   Path points and each contact (body is the live body that was hit)
+     */
+    predict(startX, startY, velocityX, velocityY) {
+        // Game redraws the guide every frame while aiming, mostly with the same aim
+        const levelChanged = this.syncWorld();
+        const inputKey = `${startX},${startY},${velocityX},${velocityY}`;
+        if (!levelChanged && inputKey === this.lastInputKey) {
+            return this.lastResult;
+        }
+
+        const world = this.physics.world;
+        const fixedTimeStep = this.physics.fixedTimeStep;
+        const probe = this.createProbe(startX, startY, velocityX, velocityY);
+        world.addBody(probe);
+        this.broadphase.probe = probe;
+
+        const points = [{ x: startX, y: startY }];
+        const bounces = [];
+        let touching = new Set(); // Bodies in contact with the probe last step
+        let stepsLeft = Infinity;
+        const maxSteps = Math.ceil(this.maxTime / fixedTimeStep);
+
+        for (let step = 1; step <= maxSteps && stepsLeft > 0; step++) {
+            world.step(fixedTimeStep);
+            stepsLeft--;
+
+            // A bounce is a body the probe wasn't already touching
+            const nowTouching = new Set();
+            let bounced = false;
+            world.contacts.forEach(contact => {
+                const other = contact.bi === probe ? contact.bj : (contact.bj === probe ? contact.bi : null);
+                if (!other) return;
+                nowTouching.add(other);
+                if (!touching.has(other) && bounces.length < this.maxBounces) {
+                    bounces.push({ x: probe.position.x, y: probe.position.y, body: other.userData?.source || other });
+                    bounced = true;
+                }
+            });
+            touching = nowTouching;
+
+            if (bounced && bounces.length === this.maxBounces) {
+                stepsLeft = this.afterBounceSteps;
+            }
+            if (bounced || step % this.sampleEvery === 0 || stepsLeft === 0) {
+                points.push({ x: probe.position.x, y: probe.position.y });
+            }
+            if (probe.position.y < this.bottomY) {
+                break;
+            }
+        }
+
+        world.removeBody(probe);
+        this.broadphase.probe = null;
+
+        this.lastInputKey = inputKey;
+        this.lastResult = { points, bounces };
+        return this.lastResult;
+    }
+
+    createProbe(x, y, velocityX, velocityY) {
+        // Same setup as Ball.createPhysicsBody
+        const probe = new CANNON.Body({
+            mass: 1,
+            shape: new CANNON.Sphere(this.simulation.ballRadius),
+            material: this.physics.getBallMaterial(),
+            type: CANNON.Body.DYNAMIC
+        });
+        probe.allowSleep = false;
+        probe.linearFactor.set(1, 1, 0);
+        probe.angularFactor.set(0, 0, 0);
+        probe.position.set(x, y, 0);
+        probe.velocity.set(velocityX, velocityY, 0);
+        probe.updateMassProperties();
+        return probe;
+    }
+
+    /**
+     * The static bodies the probe can hit (the bucket moves on its own clock and is ignored)
+     */
+    getSourceBodies() {
+        const simulation = this.simulation;
+        return [
+            ...simulation.walls.map(wall => wall.body),
+            ...simulation.pegs.map(peg => peg.body),
+            ...simulation.characteristics.map(characteristic => characteristic.body)
+        ].filter(body => body && body.world);
+    }
+
+    /**
+     * Rebuild the clones when bodies were added or removed, otherwise just copy transforms
+     * @returns {boolean} True if any body was added, removed or moved since the last call
+     */
+    syncWorld() {
+        if (!this.physics) {
+            this.physics = new PhysicsWorld();
+            // Only the probe moves - test it against each body instead of every pair, and keep
+            // the contact history sparse (the default matrix is cleared in full every step)
+            this.broadphase = new ProbeBroadphase();
+            this.physics.world.broadphase = this.broadphase;
+            this.physics.world.collisionMatrix = new CANNON.ObjectCollisionMatrix();
+            this.physics.world.collisionMatrixPrevious = new CANNON.ObjectCollisionMatrix();
+            Object.values(this.physics).forEach(value => {
+                if (value instanceof CANNON.Material) {
+                    this.materials.set(value.name, value);
+                }
+            });
+        }
+
+        const sources = this.getSourceBodies();
+        const layoutKey = sources.map(body => body.id).join(',');
+        const rebuilt = layoutKey !== this.layoutKey;
+        if (rebuilt) {
+            this.clones.forEach(clone => this.physics.removeBody(clone));
+            this.clones.clear();
+            sources.forEach(body => {
+                const clone = this.cloneBody(body);
+                this.physics.addBody(clone);
+                this.clones.set(body, clone);
+            });
+            this.layoutKey = layoutKey;
+        }
+
+        // Characteristics and pegs can be moved or rotated (editor, powers)
+        let transformKey = 0;
+        this.clones.forEach((clone, body) => {
+            transformKey += body.position.x + body.position.y + body.quaternion.z;
+            clone.position.copy(body.position);
+            clone.quaternion.copy(body.quaternion);
+            clone.aabbNeedsUpdate = true;
+            clone.collisionResponse = body.collisionResponse;
+            clone.material = this.getMaterial(body.material);
+        });
+
+        const moved = transformKey !== this.transformKey;
+        this.transformKey = transformKey;
+        return rebuilt || moved;
+    }
+
+    cloneBody(body) {
+        const clone = new CANNON.Body({ mass: 0, material: this.getMaterial(body.material) });
+        body.shapes.forEach((shape, index) => {
+            clone.addShape(this.cloneShape(shape), body.shapeOffsets[index].clone(), body.shapeOrientations[index].clone());
+        });
+        clone.userData = { source: body };
+        return clone;
+    }
+
+    cloneShape(shape) {
+        // Shapes can't be shared between bodies, so build a fresh one of the same size
+        if (shape instanceof CANNON.Sphere) {
+            return new CANNON.Sphere(shape.radius);
+        }
+        if (shape instanceof CANNON.Box) {
+            return new CANNON.Box(shape.halfExtents.clone());
+        }
+        if (shape instanceof CANNON.Plane) {
+            return new CANNON.Plane();
+        }
+        if (shape instanceof CANNON.ConvexPolyhedron) {
+            return new CANNON.ConvexPolyhedron({
+                vertices: shape.vertices.map(vertex => vertex.clone()),
+                faces: shape.faces.map(face => [...face])
+            });
+        }
+        console.warn(`[TrajectoryPreview] Can't clone shape type ${shape.type}, using its bounding sphere`);
+        return new CANNON.Sphere(shape.boundingSphereRadius);
+    }
+
+    getMaterial(material) {
+        return (material && this.materials.get(material.name)) || this.physics.pegMaterial;
+    }
+
+    /**
+     * Drop the clones of an unloaded level (the next prediction clones the new one)
+     */
+    clear() {
+        this.clones.forEach(clone => this.physics.removeBody(clone));
+        this.clones.clear();
+        this.layoutKey = null;
+        this.transformKey = null;
+        this.lastInputKey = null;
+        this.lastResult = null;
+    }
+}
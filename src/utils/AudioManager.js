@@ -688,6 +688,7 @@ export class AudioManager {
      */
     setMasterVolume(volume) {
         this.masterVolume = Math.max(0, Math.min(1, volume));
+        this.applyMusicVolume();
     }
     
     /**
@@ -704,6 +705,7 @@ export class AudioManager {
      */
     setMusicVolume(volume) {
         this.musicVolume = Math.max(0, Math.min(1, volume));
+        this.applyMusicVolume();
     }
     
     /**
@@ -712,6 +714,40 @@ export class AudioManager {
      */
     setEnabled(enabled) {
         this.enabled = enabled;
+        this.applyMusicVolume();
+    }
+    
+    /**
+     * Volume unmuted music tracks play at (silent while audio is disabled)
+     * @returns {number}
+     */
+    getMusicTrackVolume() {
+        return this.enabled ? this.musicVolume * this.masterVolume : 0;
+    }
+    
+    /**
+     * Move the unmuted music tracks that are already playing to the current volume
+     * (sound effects pick up volume changes on their next play)
+     */
+    applyMusicVolume() {
+        if (!this.activeMusic || !this.activeMusic.loaded) return;
+        
+        const volume = this.getMusicTrackVolume();
+        this.activeMusic.tracks.forEach(track => {
+            if (track.muted) return;
+            if (track.type === 'webaudio') {
+                const currentTime = this.audioContext.currentTime;
+                track.gainNode.gain.cancelScheduledValues(currentTime);
+                track.gainNode.gain.setValueAtTime(volume, currentTime);
+            } else if (track.type === 'html5') {
+                // A fade-in in progress would overwrite the new volume
+                if (this.fadeIntervals.has(track.name)) {
+                    clearInterval(this.fadeIntervals.get(track.name));
+                    this.fadeIntervals.delete(track.name);
+                }
+                track.audio.volume = volume;
+            }
+        });
     }
     
     /**
@@ -837,7 +873,7 @@ export class AudioManager {
                 // Web Audio API
                 const { buffer } = this.audioBuffers.get(name);
                 const gainNode = this.audioContext.createGain();
-                const finalVolume = muted ? 0 : (this.musicVolume * this.masterVolume);
+                const finalVolume = muted ? 0 : this.getMusicTrackVolume();
                 gainNode.gain.value = finalVolume;
                 gainNode.connect(this.audioContext.destination);
                 
@@ -846,7 +882,7 @@ export class AudioManager {
                 // HTML5 Audio fallback
                 const { audio } = this.sounds.get(name);
                 const audioClone = audio.cloneNode(true);
-                audioClone.volume = muted ? 0 : (this.musicVolume * this.masterVolume);
+                audioClone.volume = muted ? 0 : this.getMusicTrackVolume();
                 audioClone.loop = true;
                 audioClone.muted = muted;
                 audioClone.pause(); // Start paused
@@ -906,7 +942,7 @@ export class AudioManager {
         const wasMuted = track.muted;
         track.muted = muted;
         
-        const targetVolume = this.musicVolume * this.masterVolume;
+        const targetVolume = this.getMusicTrackVolume();
         const fadeDuration = 0.3;
         const isTransitioningToUnmuted = wasMuted && !muted;
         
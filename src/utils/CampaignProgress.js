@@ -0,0 +1,149 @@
+/**
+ * CampaignProgress - each character's cleared levels, best scores and stars, kept in localStorage
+ *
+ * Levels are keyed by their catalog id (levels/index.json), so moving a level file
+ * keeps its progress. Any won level in the catalog counts, whether it was started
+ * from the campaign or not. The campaign's unlocks are worked out from the clears.
+ */
+export class CampaignProgress {
+    static FORMAT = 'peggle-campaign-progress';
+    static VERSION = 1;
+    static STORAGE_KEY = 'campaignProgress';
+
+    /**
+     * @param {Object} characters - { [characterId]: { [levelId]: { bestScore, stars, clears } } }
+     */
+    constructor(characters = {}) {
+        this.characters = characters;
+    }
+
+    toJSON() {
+        return {
+            format: CampaignProgress.FORMAT,
+            version: CampaignProgress.VERSION,
+            characters: this.characters
+        };
+    }
+
+    /**
+     * Build progress from parsed JSON, dropping any record we can't read
+     * @param {Object} data - Parsed progress
+     * @returns {CampaignProgress}
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== CampaignProgress.FORMAT) {
+            throw new Error('Not campaign progress');
+        }
+        if (data.version !== CampaignProgress.VERSION) {
+            throw new Error(`Unsupported campaign progress version ${data.version} (expected ${CampaignProgress.VERSION})`);
+        }
+
+        const characters = {};
+        Object.entries(data.characters || {}).forEach(([characterId, levels]) => {
+            Object.entries(levels || {}).forEach(([levelId, record]) => {
+                const valid = record &&
+                    typeof record.bestScore === 'number' && Number.isFinite(record.bestScore) &&
+                    Number.isInteger(record.stars) && record.stars >= 0 && record.stars <= 3 &&
+                    Number.isInteger(record.clears) && record.clears > 0;
+                if (!valid) {
+                    console.warn(`[CampaignProgress] Dropping unreadable record for ${characterId} / ${levelId}`);
+                    return;
+                }
+                characters[characterId] = characters[characterId] || {};
+                characters[characterId][levelId] = { bestScore: record.bestScore, stars: record.stars, clears: record.clears };
+            });
+        });
+        return new CampaignProgress(characters);
+    }
+
+    /**
+     * Saved progress, or empty progress if there isn't any (unreadable progress is dropped)
+     * @returns {CampaignProgress}
+     */
+    static load() {
+        if (typeof localStorage === 'undefined') return new CampaignProgress();
+        const text = localStorage.getItem(CampaignProgress.STORAGE_KEY);
+        if (!text) return new CampaignProgress();
+        try {
+            return CampaignProgress.fromJSON(JSON.parse(text));
+        } catch (error) {
+            console.warn('[CampaignProgress] Discarding campaign progress:', error.message);
+            return new CampaignProgress();
+        }
+    }
+
+    store() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(CampaignProgress.STORAGE_KEY, JSON.stringify(this));
+        } catch (error) {
+            console.warn('[CampaignProgress] Could not save campaign progress:', error);
+        }
+    }
+
+    /**
+     * @param {string} characterId
+     * @param {string} levelId - Catalog id
+     * @returns {{bestScore: number, stars: number, clears: number}|null} Null until the level is cleared
+     */
+    getRecord(characterId, levelId) {
+        const levels = this.characters[characterId];
+        return (levels && levels[levelId]) || null;
+    }
+
+    /**
+     * Record a cleared level, keeping the best score and the most stars
+     * @param {string} characterId
+     * @param {string} levelId - Catalog id
+     * @param {{score: number, stars: number}} result - Final score and stars of this clear
+     * @returns {{newBestScore: boolean, newStars: boolean, firstClear: boolean}} What improved
+     */
+    recordWin(characterId, levelId, { score, stars }) {
+        const previous = this.getRecord(characterId, levelId);
+        const record = {
+            bestScore: previous ? Math.max(previous.bestScore, score) : score,
+            stars: previous ? Math.max(previous.stars, stars) : stars,
+            clears: previous ? previous.clears + 1 : 1
+        };
+        this.characters[characterId] = this.characters[characterId] || {};
+        this.characters[characterId][levelId] = record;
+
+        return {
+            newBestScore: !previous || score > previous.bestScore,
+            newStars: !previous || stars > previous.stars,
+            firstClear: !previous
+        };
+    }
+
+    /**
+     * A character's campaign: every chapter with each level's record and whether it's unlocked
+     *
+     * The first campaign level is always open. Each later one opens when the level
+     * before it (across chapters) has been cleared.
+     * @param {LevelCatalog} catalog
+     * @param {string} characterId
+     * @returns {Array<{id: string, name: string, stars: number, maxStars: number, levels: Array<{level: Object, record: Object|null, unlocked: boolean, previous: Object|null}>}>}
+     */
+    getCampaign(catalog, characterId) {
+        let previous = null;
+        return catalog.chapters.map(chapter => {
+            const levels = chapter.levels.map(level => {
+                const entry = {
+                    level,
+                    record: this.getRecord(characterId, level.id),
+                    unlocked: !previous || !!this.getRecord(characterId, previous.id),
+                    previous
+                };
+                previous = level;
+                return entry;
+            });
+            return {
+                id: chapter.id,
+                name: chapter.name,
+                stars: levels.reduce((sum, entry) => sum + (entry.record ? entry.record.stars : 0), 0),
+                maxStars: levels.length * 3,
+                levels
+            };
+        });
+    }
+}
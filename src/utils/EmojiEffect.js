@@ -2,10 +2,12 @@ import * as THREE from 'three';
 
 // Utility for displaying emoji effects that fade out
 export class EmojiEffect {
-    constructor(scene, camera, renderer) {
+    // clock returns the time (ms) that update() is called with - game time, so effects freeze while paused
+    constructor(scene, camera, renderer, clock = () => performance.now()) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
+        this.clock = clock;
         this.activeEffects = [];
     }
 
@@ -48,7 +50,7 @@ export class EmojiEffect {
         const effect = {
             sprite: sprite,
             material: spriteMaterial,
-            startTime: performance.now() / 1000, // Convert to seconds
+            startTime: this.clock() / 1000, // Convert to seconds
             duration: duration,
             startOpacity: 1.0
         };
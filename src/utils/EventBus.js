@@ -0,0 +1,91 @@
+/**
+ * Game events and their payloads
+ *
+ * @typedef {{angle: number, spawnX: number, spawnY: number, spawnZ: number, originalVelocity: {x: number, y: number, z: number}, targetX: number|null, targetY: number|null}} ShotFiredEvent
+ * @typedef {{peg: Peg, ball: Ball, isNewHit: boolean}} PegHitEvent
+ * @typedef {{peg: Peg}} GreenPegHitEvent
+ * @typedef {{ball: Ball}} BucketCatchEvent
+ * @typedef {{ball: Ball, wall: Wall, side: string}} WallHitEvent
+ * @typedef {{shotScore: number, ballsRemaining: number, styleShots: Array<{id: string, name: string, points: number}>}} BallOutOfPlayEvent
+ * @typedef {{count: number, reason: 'score'|'bucket', ballsRemaining: number}} FreeBallAwardedEvent
+ * @typedef {{multiplier: number, previousMultiplier: number, percentage: number}} MultiplierChangedEvent
+ * @typedef {{bonusBuckets: BonusBuckets}} BonusBucketsActivatedEvent
+ * @typedef {{id: string, name: string, points: number, ball: Ball, peg: Peg|null, x: number, y: number}} StyleShotEvent
+ * @typedef {{ball: Ball, index: number, value: number}} BonusBucketScoredEvent
+ * @typedef {{won: boolean, score: number, goalProgress: number, goalTarget: number, results: Object|null}} LevelCompleteEvent
+ */
+export const GameEvent = Object.freeze({
+    SHOT_FIRED: 'shotFired',               // ShotFiredEvent - a shot left the launcher
+    PEG_HIT: 'pegHit',                     // PegHitEvent - every ball/peg contact, isNewHit false for already lit pegs
+    GREEN_PEG_HIT: 'greenPegHit',          // GreenPegHitEvent - a green peg was lit
+    BUCKET_CATCH: 'bucketCatch',           // BucketCatchEvent - the bucket caught a ball
+    WALL_HIT: 'wallHit',                   // WallHitEvent - a ball bounced off a side wall or the ceiling
+    BALL_OUT_OF_PLAY: 'ballOutOfPlay',     // BallOutOfPlayEvent - the last ball of a shot left play (end of turn)
+    FREE_BALL_AWARDED: 'freeBallAwarded',  // FreeBallAwardedEvent - ballsRemaining went up
+    MULTIPLIER_CHANGED: 'multiplierChanged', // MultiplierChangedEvent - the orange peg multiplier changed
+    BONUS_BUCKETS_ACTIVATED: 'bonusBucketsActivated', // BonusBucketsActivatedEvent - last orange peg hit, the floor turned into bonus buckets
+    BONUS_BUCKET_SCORED: 'bonusBucketScored', // BonusBucketScoredEvent - a ball fell into a bonus bucket
+    STYLE_SHOT: 'styleShot',               // StyleShotEvent - a style shot bonus was awarded
+    LEVEL_COMPLETE: 'levelComplete'        // LevelCompleteEvent - the level was won or lost
+});
+
+/**
+ * Minimal event emitter - any number of listeners per event
+ *
+ * Listeners run in subscription order. A listener that throws is logged and
+ * doesn't stop the others (or the game logic that emitted the event).
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // event -> Set of callbacks
+    }
+
+    /**
+     * @param {string} event - GameEvent value
+     * @param {Function} callback - Receives the event payload
+     * @returns {Function} Unsubscribe
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Listen for the next occurrence only
+     */
+    once(event, callback) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            callback(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.delete(callback);
+        }
+    }
+
+    emit(event, payload = {}) {
+        const callbacks = this.listeners.get(event);
+        if (!callbacks) return;
+
+        // Copy so listeners can unsubscribe while running
+        [...callbacks].forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`[EventBus] Listener for ${event} failed:`, error);
+            }
+        });
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * GameSave - a game in progress, saved between shots so it can be continued later
+ *
+ * The level is rebuilt from its file with the saved seed and orange layout, which
+ * places the same special pegs, then Simulation.restoreSaveState() removes the
+ * cleared pegs and puts back the score, balls, RNG, bucket and power state.
+ * Game autosaves one of these to localStorage at the end of every turn.
+ */
+export class GameSave {
+    static FORMAT = 'peggle-save';
+    static VERSION = 1;
+    static STORAGE_KEY = 'savedGame';
+
+    constructor({ levelPath = null, characterId = null, seed = null, orangeDistribution = null, state = null, replay = null, savedAt = null } = {}) {
+        this.levelPath = levelPath;
+        this.characterId = characterId;
+        this.seed = seed;
+        this.orangeDistribution = orangeDistribution; // Orange layout override the game used (null = level default)
+        this.state = state; // Simulation.getSaveState()
+        this.replay = replay; // Replay JSON recorded so far, so a continued game can still be saved as one replay
+        this.savedAt = savedAt || new Date().toISOString();
+    }
+
+    toJSON() {
+        return {
+            format: GameSave.FORMAT,
+            version: GameSave.VERSION,
+            levelPath: this.levelPath,
+            characterId: this.characterId,
+            seed: this.seed,
+            orangeDistribution: this.orangeDistribution,
+            savedAt: this.savedAt,
+            state: this.state,
+            replay: this.replay
+        };
+    }
+
+    /**
+     * Build a save from parsed JSON, rejecting anything we can't restore
+     * @param {Object} data - Parsed save
+     * @returns {GameSave}
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== GameSave.FORMAT) {
+            throw new Error('Not a saved game');
+        }
+        if (data.version !== GameSave.VERSION) {
+            throw new Error(`Unsupported save version ${data.version} (expected ${GameSave.VERSION})`);
+        }
+        if (typeof data.seed !== 'number' || !Number.isFinite(data.seed)) {
+            throw new Error('Save is missing a seed');
+        }
+        if (typeof data.levelPath !== 'string' || data.levelPath === '') {
+            throw new Error('Save is missing a level path');
+        }
+        const state = data.state;
+        if (!state || typeof state !== 'object' || !Array.isArray(state.pegs)) {
+            throw new Error('Save is missing the board');
+        }
+        const numbers = ['frameCount', 'shotCount', 'score', 'ballsRemaining', 'goalProgress', 'goalTarget', 'powerTurnsRemaining', 'bonusBucketScore'];
+        numbers.forEach(key => {
+            if (typeof state[key] !== 'number' || !Number.isFinite(state[key])) {
+                throw new Error(`Save has an invalid ${key}`);
+            }
+        });
+        state.pegs.forEach((peg, index) => {
+            if (!peg || !Number.isInteger(peg.index) || typeof peg.color !== 'number' || typeof peg.pointValue !== 'number') {
+                throw new Error(`Save peg ${index} is invalid`);
+            }
+        });
+
+        return new GameSave({
+            levelPath: data.levelPath,
+            characterId: data.characterId ?? null,
+            seed: data.seed,
+            orangeDistribution: data.orangeDistribution ?? null,
+            state,
+            replay: data.replay ?? null,
+            savedAt: data.savedAt ?? null
+        });
+    }
+
+    /**
+     * The autosaved game, or null if there isn't one (an unreadable save is dropped)
+     * @returns {GameSave|null}
+     */
+    static load() {
+        if (typeof localStorage === 'undefined') return null;
+        const text = localStorage.getItem(GameSave.STORAGE_KEY);
+        if (!text) return null;
+        try {
+            return GameSave.fromJSON(JSON.parse(text));
+        } catch (error) {
+            console.warn('[GameSave] Discarding saved game:', error.message);
+            GameSave.clear();
+            return null;
+        }
+    }
+
+    store() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(GameSave.STORAGE_KEY, JSON.stringify(this));
+        } catch (error) {
+            console.warn('[GameSave] Could not save the game:', error);
+        }
+    }
+
+    static clear() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.removeItem(GameSave.STORAGE_KEY);
+    }
+}
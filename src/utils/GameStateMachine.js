@@ -0,0 +1,143 @@
+/**
+ * Game states - one place that says what the game is doing right now
+ */
+export const GameState = Object.freeze({
+    LEVEL_SELECT: 'levelSelect',
+    CHARACTER_SELECT: 'characterSelect',
+    AIMING: 'aiming',
+    BALL_IN_FLIGHT: 'ballInFlight',
+    TURN_RESOLUTION: 'turnResolution',
+    LEVEL_WON: 'levelWon',
+    LEVEL_LOST: 'levelLost',
+    PAUSED: 'paused'
+});
+
+// Allowed transitions (from -> [to])
+const TRANSITIONS = {
+    [GameState.LEVEL_SELECT]: [GameState.CHARACTER_SELECT, GameState.AIMING], // AIMING: editor and replays skip character select
+    [GameState.CHARACTER_SELECT]: [GameState.AIMING, GameState.LEVEL_SELECT],
+    [GameState.AIMING]: [GameState.BALL_IN_FLIGHT, GameState.PAUSED, GameState.CHARACTER_SELECT, GameState.LEVEL_SELECT],
+    [GameState.BALL_IN_FLIGHT]: [GameState.TURN_RESOLUTION, GameState.AIMING, GameState.PAUSED], // AIMING: shot cancelled (editor)
+    [GameState.TURN_RESOLUTION]: [GameState.AIMING, GameState.LEVEL_WON, GameState.LEVEL_LOST, GameState.PAUSED],
+    [GameState.LEVEL_WON]: [GameState.CHARACTER_SELECT, GameState.LEVEL_SELECT, GameState.AIMING, GameState.PAUSED],
+    [GameState.LEVEL_LOST]: [GameState.CHARACTER_SELECT, GameState.LEVEL_SELECT, GameState.AIMING, GameState.PAUSED],
+    [GameState.PAUSED]: [
+        GameState.AIMING, GameState.BALL_IN_FLIGHT, GameState.TURN_RESOLUTION,
+        GameState.LEVEL_WON, GameState.LEVEL_LOST,
+        GameState.LEVEL_SELECT, GameState.CHARACTER_SELECT
+    ]
+};
+
+/**
+ * Game flow state machine with enter/exit hooks
+ *
+ * Powers, UI and audio subscribe with onEnter/onExit instead of checking flags.
+ * Hooks receive { from, to, data }. Use '*' to hear every state.
+ */
+export class GameStateMachine {
+    constructor(initialState = GameState.LEVEL_SELECT) {
+        this.state = initialState;
+        this.previousState = null;
+        this.resumeState = null; // State to return to when unpaused
+        this.enterHooks = new Map(); // state -> Set of callbacks
+        this.exitHooks = new Map();
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        return to === this.state || TRANSITIONS[this.state].includes(to);
+    }
+
+    /**
+     * Move to another state, running exit hooks for the old one and enter hooks for the new one
+     * @param {string} to - GameState value
+     * @param {Object} data - Passed through to the hooks
+     * @returns {boolean} False if the transition isn't allowed
+     */
+    transition(to, data = null) {
+        if (to === this.state) {
+            return true;
+        }
+        if (!this.can(to)) {
+            console.warn(`[GameStateMachine] Ignoring transition ${this.state} -> ${to}`);
+            return false;
+        }
+
+        const from = this.state;
+        const event = { from, to, data };
+        this.runHooks(this.exitHooks, from, event);
+
+        this.previousState = from;
+        this.state = to;
+        this.runHooks(this.enterHooks, to, event);
+        return true;
+    }
+
+    /**
+     * Pause from any in-game state, remembering where to resume
+     * @returns {boolean} False if the current state can't be paused (menus)
+     */
+    pause(data = null) {
+        if (this.state === GameState.PAUSED || !this.can(GameState.PAUSED)) {
+            return false;
+        }
+        this.resumeState = this.state;
+        return this.transition(GameState.PAUSED, data);
+    }
+
+    /**
+     * Return to the state we paused from
+     */
+    resume(data = null) {
+        if (this.state !== GameState.PAUSED) {
+            return false;
+        }
+        const to = this.resumeState;
+        this.resumeState = null;
+        return this.transition(to, data);
+    }
+
+    /**
+     * @param {string} state - GameState value or '*'
+     * @param {Function} callback - ({ from, to, data }) => void
+     * @returns {Function} Unsubscribe
+     */
+    onEnter(state, callback) {
+        return this.addHook(this.enterHooks, state, callback);
+    }
+
+    /**
+     * @param {string} state - GameState value or '*'
+     * @param {Function} callback - ({ from, to, data }) => void
+     * @returns {Function} Unsubscribe
+     */
+    onExit(state, callback) {
+        return this.addHook(this.exitHooks, state, callback);
+    }
+
+    addHook(hooks, state, callback) {
+        if (!hooks.has(state)) {
+            hooks.set(state, new Set());
+        }
+        hooks.get(state).add(callback);
+        return () => hooks.get(state).delete(callback);
+    }
+
+    runHooks(hooks, state, event) {
+        [state, '*'].forEach(key => {
+            const callbacks = hooks.get(key);
+            if (!callbacks) return;
+            // Copy so hooks can unsubscribe while running
+            [...callbacks].forEach(callback => {
+                try {
+                    callback(event);
+                } catch (error) {
+                    console.error(`[GameStateMachine] Hook for ${key} failed:`, error);
+                }
+            });
+        });
+    }
+}
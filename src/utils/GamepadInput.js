@@ -0,0 +1,135 @@
+import { KeyAction, KeyBindings } from './KeyBindings.js';
+
+/**
+ * Button names for the standard gamepad layout (index = Gamepad.buttons index)
+ * https://w3c.github.io/gamepad/#remapping
+ */
+export const GAMEPAD_BUTTONS = Object.freeze([
+    'A', 'B', 'X', 'Y',
+    'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start',
+    'LeftStick', 'RightStick',
+    'DpadUp', 'DpadDown', 'DpadLeft', 'DpadRight'
+]);
+
+/**
+ * Default gamepad binding table - action -> button names
+ *
+ * The triggers (LT/RT) aren't in here: they're analogue and always turn the aim
+ * by how far they're pressed. The left stick always aims.
+ */
+export const DEFAULT_GAMEPAD_BINDINGS = Object.freeze({
+    [KeyAction.FIRE]: ['A'],
+    [KeyAction.POWER]: ['X', 'RB'],
+    [KeyAction.TOGGLE_GUIDE]: ['Y'],
+    [KeyAction.PAUSE]: ['Start'],
+    [KeyAction.AIM_LEFT_FINE]: ['DpadLeft'],
+    [KeyAction.AIM_RIGHT_FINE]: ['DpadRight'],
+    [KeyAction.AIM_DOWN]: ['DpadDown']
+});
+
+const TRIGGER_LEFT = 6;
+const TRIGGER_RIGHT = 7;
+
+/**
+ * Reads the first connected gamepad once per frame (the Gamepad API has no
+ * button events, only snapshots) and turns it into presses, stick and triggers
+ */
+export class GamepadInput {
+    constructor(bindings = DEFAULT_GAMEPAD_BINDINGS) {
+        this.bindings = new KeyBindings(bindings, DEFAULT_GAMEPAD_BINDINGS);
+        this.stickDeadzone = 0.2; // Stick travel ignored around the centre (worn sticks drift)
+        this.triggerDeadzone = 0.05;
+        this.stickPressThreshold = 0.6; // Stick travel that counts as a direction press in menus
+        this.connected = false;
+        this.previousButtons = new Set(); // Button names held last poll
+        this.previousStickDirection = null;
+    }
+
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return null;
+        }
+        return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    /**
+     * Take a snapshot of the gamepad
+     * @returns {{pressed: string[], actions: string[], direction: string|null, stickX: number, stickY: number, trigger: number}|null}
+     *   Buttons pressed since the last poll, their KeyActions, a menu direction
+     *   pressed since the last poll ('up', 'down', 'left', 'right' from the D-pad or stick),
+     *   the left stick past the deadzone (-1 to 1, +Y is down) and right minus left
+     *   trigger (-1 to 1). Null when no gamepad is connected.
+     */
+    poll() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) {
+            this.connected = false;
+            this.previousButtons.clear();
+            this.previousStickDirection = null;
+            return null;
+        }
+        this.connected = true;
+
+        const held = new Set();
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed && GAMEPAD_BUTTONS[index]) {
+                held.add(GAMEPAD_BUTTONS[index]);
+            }
+        });
+        const pressed = [...held].filter(name => !this.previousButtons.has(name));
+        this.previousButtons = held;
+
+        // Rescale past the deadzone so the stick still reaches the full range
+        let stickX = gamepad.axes[0] || 0;
+        let stickY = gamepad.axes[1] || 0;
+        const magnitude = Math.sqrt(stickX * stickX + stickY * stickY);
+        if (magnitude < this.stickDeadzone) {
+            stickX = 0;
+            stickY = 0;
+        } else {
+            const scale = Math.min(1, (magnitude - this.stickDeadzone) / (1 - this.stickDeadzone)) / magnitude;
+            stickX *= scale;
+            stickY *= scale;
+        }
+
+        const readTrigger = (index) => {
+            const value = gamepad.buttons[index] ? gamepad.buttons[index].value : 0;
+            return value > this.triggerDeadzone ? value : 0;
+        };
+        const trigger = readTrigger(TRIGGER_RIGHT) - readTrigger(TRIGGER_LEFT);
+
+        // Menu direction - D-pad presses, or the stick pushed past the threshold
+        const dpadDirection = {
+            DpadUp: 'up',
+            DpadDown: 'down',
+            DpadLeft: 'left',
+            DpadRight: 'right'
+        };
+        let direction = pressed.map(name => dpadDirection[name]).find(Boolean) || null;
+        const stickDirection = this.getStickDirection(stickX, stickY);
+        if (!direction && stickDirection !== this.previousStickDirection) {
+            direction = stickDirection;
+        }
+        this.previousStickDirection = stickDirection;
+
+        return {
+            pressed,
+            actions: pressed.map(name => this.bindings.getComboAction(name)).filter(Boolean),
+            direction,
+            stickX,
+            stickY,
+            trigger
+        };
+    }
+
+    getStickDirection(stickX, stickY) {
+        if (Math.max(Math.abs(stickX), Math.abs(stickY)) < this.stickPressThreshold) {
+            return null;
+        }
+        if (Math.abs(stickX) > Math.abs(stickY)) {
+            return stickX > 0 ? 'right' : 'left';
+        }
+        return stickY > 0 ? 'down' : 'up';
+    }
+}
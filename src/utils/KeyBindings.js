@@ -0,0 +1,137 @@
+/**
+ * Keyboard actions the game responds to
+ */
+export const KeyAction = Object.freeze({
+    AIM_LEFT: 'aimLeft',             // Coarse aim step toward the left wall
+    AIM_RIGHT: 'aimRight',           // Coarse aim step toward the right wall
+    AIM_LEFT_FINE: 'aimLeftFine',    // Fine aim step toward the left wall
+    AIM_RIGHT_FINE: 'aimRightFine',  // Fine aim step toward the right wall
+    FIRE: 'fire',                    // Shoot (same path as a click)
+    TOGGLE_GUIDE: 'toggleGuide',     // Show/hide the trajectory guide
+    POWER: 'power',                  // Power action - detonate a bomb, fire rocket thrust (same as a mouse press)
+    PAUSE: 'pause',                  // Pause or unpause
+    AIM_DOWN: 'aimDown',             // Aim straight down
+    AIM_PRESET_1: 'aimPreset1',      // Preset angles (Game.keyboardAimPresets)
+    AIM_PRESET_2: 'aimPreset2',
+    AIM_PRESET_3: 'aimPreset3',
+    AIM_PRESET_4: 'aimPreset4',
+    AIM_PRESET_5: 'aimPreset5',
+    AIM_PRESET_6: 'aimPreset6'
+});
+
+/**
+ * Default binding table - action -> key combos
+ *
+ * A combo is KeyboardEvent.code (physical key, so it works on any layout) with
+ * optional 'Ctrl+', 'Alt+' and 'Shift+' prefixes in that order, e.g. 'Shift+ArrowLeft'.
+ */
+export const DEFAULT_KEY_BINDINGS = Object.freeze({
+    [KeyAction.AIM_LEFT]: ['ArrowLeft', 'KeyA'],
+    [KeyAction.AIM_RIGHT]: ['ArrowRight', 'KeyD'],
+    [KeyAction.AIM_LEFT_FINE]: ['Shift+ArrowLeft', 'Shift+KeyA'],
+    [KeyAction.AIM_RIGHT_FINE]: ['Shift+ArrowRight', 'Shift+KeyD'],
+    [KeyAction.FIRE]: ['Space', 'Enter', 'NumpadEnter'],
+    [KeyAction.TOGGLE_GUIDE]: ['KeyG'],
+    [KeyAction.POWER]: ['KeyE'],
+    [KeyAction.PAUSE]: ['Escape', 'KeyP'],
+    [KeyAction.AIM_DOWN]: ['Digit9', 'Numpad9', 'ArrowDown'],
+    [KeyAction.AIM_PRESET_1]: ['Digit1', 'Numpad1'],
+    [KeyAction.AIM_PRESET_2]: ['Digit2', 'Numpad2'],
+    [KeyAction.AIM_PRESET_3]: ['Digit3', 'Numpad3'],
+    [KeyAction.AIM_PRESET_4]: ['Digit4', 'Numpad4'],
+    [KeyAction.AIM_PRESET_5]: ['Digit5', 'Numpad5'],
+    [KeyAction.AIM_PRESET_6]: ['Digit6', 'Numpad6']
+});
+
+/**
+ * Remappable key binding table
+ *
+ * Each combo triggers at most one action - binding a combo to an action takes it
+ * away from whatever action had it before. The gamepad uses the same table with
+ * button names as combos (see GamepadInput).
+ */
+export class KeyBindings {
+    constructor(bindings = DEFAULT_KEY_BINDINGS, defaults = DEFAULT_KEY_BINDINGS) {
+        this.defaults = defaults; // Table reset() falls back to
+        this.actions = new Map(); // action -> [combo]
+        this.lookup = new Map(); // combo -> action
+        this.reset(bindings);
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     * @returns {string} Combo string for the event, e.g. 'Shift+ArrowLeft'
+     */
+    static comboFromEvent(event) {
+        let combo = '';
+        if (event.ctrlKey || event.metaKey) combo += 'Ctrl+';
+        if (event.altKey) combo += 'Alt+';
+        if (event.shiftKey) combo += 'Shift+';
+        return combo + event.code;
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     * @returns {string|null} KeyAction bound to the event's combo
+     */
+    getAction(event) {
+        return this.getComboAction(KeyBindings.comboFromEvent(event));
+    }
+
+    /**
+     * @param {string} combo
+     * @returns {string|null} KeyAction bound to the combo
+     */
+    getComboAction(combo) {
+        return this.lookup.get(combo) || null;
+    }
+
+    /**
+     * @param {string} action - KeyAction value
+     * @returns {string[]} Combos bound to the action
+     */
+    getKeys(action) {
+        return [...(this.actions.get(action) || [])];
+    }
+
+    /**
+     * Replace the combos of one action
+     * @param {string} action - KeyAction value
+     * @param {string[]} combos
+     */
+    bind(action, combos) {
+        if (!Object.values(KeyAction).includes(action)) {
+            console.warn(`[KeyBindings] Unknown action "${action}"`);
+            return;
+        }
+        (this.actions.get(action) || []).forEach(combo => this.lookup.delete(combo));
+        this.actions.set(action, []);
+        combos.forEach(combo => {
+            const previous = this.lookup.get(combo);
+            if (previous && previous !== action) {
+                this.actions.set(previous, this.actions.get(previous).filter(c => c !== combo));
+            }
+            this.lookup.set(combo, action);
+            this.actions.get(action).push(combo);
+        });
+    }
+
+    /**
+     * Start over from a binding table (defaults when omitted). Actions the table
+     * leaves out keep their default keys, so saved tables survive new actions.
+     */
+    reset(bindings = this.defaults) {
+        this.actions.clear();
+        this.lookup.clear();
+        Object.entries({ ...this.defaults, ...bindings }).forEach(([action, combos]) => {
+            this.bind(action, combos);
+        });
+    }
+
+    /**
+     * @returns {Object} Plain action -> combos table (for saving)
+     */
+    toJSON() {
+        return Object.fromEntries([...this.actions].map(([action, combos]) => [action, [...combos]]));
+    }
+}
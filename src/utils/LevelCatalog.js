@@ -0,0 +1,226 @@
+/**
+ * LevelCatalog - the levels the level selector offers, read from levels/index.json
+ *
+ * Adding a level is a file in public/levels/ and an entry in the manifest - no code
+ * change. Entries are checked on load: a bad entry is skipped with a warning so one
+ * typo doesn't take the whole selector down.
+ */
+export class LevelCatalog {
+    static MANIFEST_PATH = 'levels/index.json';
+    static LEVELS_DIRECTORY = 'levels/';
+    static DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+    static UNCATEGORIZED = Object.freeze({ id: 'other', name: 'Other' });
+
+    /**
+     * @param {Object} options
+     * @param {Array<{id: string, name: string}>} options.categories - Tab order
+     * @param {Object[]} options.levels - Sorted entries (see fromJSON)
+     * @param {Array<{id: string, name: string, levels: Object[]}>} options.chapters - Campaign chapters
+     */
+    constructor({ categories = [], levels = [], chapters = [] } = {}) {
+        this.categories = categories;
+        this.levels = levels;
+        this.chapters = chapters; // Campaign chapters in play order, each with its levels in order
+    }
+
+    /**
+     * Fetch and read the manifest
+     * @param {string} baseUrl - import.meta.env.BASE_URL
+     * @returns {Promise<LevelCatalog>}
+     */
+    static async load(baseUrl = '') {
+        const response = await fetch(`${baseUrl}${LevelCatalog.MANIFEST_PATH}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load the level list: ${response.statusText}`);
+        }
+        return LevelCatalog.fromJSON(await response.json());
+    }
+
+    /**
+     * Build a catalog from the parsed manifest
+     *
+     * Levels are sorted by category (in `categories` order), then `order`, then name.
+     * Each entry gets `path` - the level file relative to the site root, which is what
+     * saves and replays store.
+     * @param {Object} data - Parsed levels/index.json
+     * @returns {LevelCatalog}
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.levels)) {
+            throw new Error('Level list must be an object with a levels array');
+        }
+
+        const categories = [];
+        (Array.isArray(data.categories) ? data.categories : []).forEach((category, index) => {
+            if (!category || typeof category.id !== 'string' || typeof category.name !== 'string') {
+                console.warn(`[LevelCatalog] Skipping categories[${index}]: needs a string id and name`);
+            } else if (categories.some(existing => existing.id === category.id)) {
+                console.warn(`[LevelCatalog] Skipping categories[${index}]: duplicate id "${category.id}"`);
+            } else {
+                categories.push({ id: category.id, name: category.name });
+            }
+        });
+
+        const levels = [];
+        data.levels.forEach((entry, index) => {
+            const problem = LevelCatalog.checkEntry(entry, levels);
+            if (problem) {
+                console.warn(`[LevelCatalog] Skipping levels[${index}]: ${problem}`);
+                return;
+            }
+
+            let category = entry.category ?? null;
+            if (category !== null && !categories.some(existing => existing.id === category)) {
+                console.warn(`[LevelCatalog] levels[${index}] ("${entry.id}") has unknown category "${category}", listing it under ${LevelCatalog.UNCATEGORIZED.name}`);
+                category = null;
+            }
+
+            levels.push({
+                id: entry.id,
+                path: `${LevelCatalog.LEVELS_DIRECTORY}${entry.file}`,
+                name: entry.name,
+                author: entry.author ?? null,
+                difficulty: entry.difficulty ?? null,
+                thumbnail: entry.thumbnail ? `${LevelCatalog.LEVELS_DIRECTORY}${entry.thumbnail}` : null,
+                category: category ?? LevelCatalog.UNCATEGORIZED.id,
+                order: entry.order ?? Infinity
+            });
+        });
+
+        // Levels without a known category get a tab of their own, last
+        if (levels.some(level => level.category === LevelCatalog.UNCATEGORIZED.id) &&
+            !categories.some(category => category.id === LevelCatalog.UNCATEGORIZED.id)) {
+            categories.push({ ...LevelCatalog.UNCATEGORIZED });
+        }
+
+        const categoryIndex = id => categories.findIndex(category => category.id === id);
+        levels.sort((a, b) => (categoryIndex(a.category) - categoryIndex(b.category)) ||
+            (a.order === b.order ? 0 : (a.order < b.order ? -1 : 1)) ||
+            a.name.localeCompare(b.name));
+
+        const chapters = LevelCatalog.readCampaign(data.campaign, levels);
+
+        return new LevelCatalog({ categories, levels, chapters });
+    }
+
+    /**
+     * Read the manifest's optional campaign block
+     *
+     * Chapters list level ids in play order. An id that isn't in the catalog, or that
+     * an earlier chapter already has, is skipped with a warning.
+     * @param {Object|undefined} campaign - `campaign` from the manifest
+     * @param {Object[]} levels - Accepted catalog entries
+     * @returns {Array<{id: string, name: string, levels: Object[]}>}
+     */
+    static readCampaign(campaign, levels) {
+        if (campaign === undefined) {
+            return [];
+        }
+        if (!campaign || typeof campaign !== 'object' || !Array.isArray(campaign.chapters)) {
+            console.warn('[LevelCatalog] Ignoring campaign: must be an object with a chapters array');
+            return [];
+        }
+
+        const chapters = [];
+        const used = new Set();
+        campaign.chapters.forEach((chapter, index) => {
+            if (!chapter || typeof chapter.id !== 'string' || typeof chapter.name !== 'string' || !Array.isArray(chapter.levels)) {
+                console.warn(`[LevelCatalog] Skipping campaign.chapters[${index}]: needs a string id and name and a levels array`);
+                return;
+            }
+            if (chapters.some(existing => existing.id === chapter.id)) {
+                console.warn(`[LevelCatalog] Skipping campaign.chapters[${index}]: duplicate id "${chapter.id}"`);
+                return;
+            }
+
+            const chapterLevels = [];
+            chapter.levels.forEach((id, levelIndex) => {
+                const level = levels.find(entry => entry.id === id);
+                if (!level) {
+                    console.warn(`[LevelCatalog] Skipping campaign.chapters[${index}].levels[${levelIndex}]: no level "${id}"`);
+                } else if (used.has(id)) {
+                    console.warn(`[LevelCatalog] Skipping campaign.chapters[${index}].levels[${levelIndex}]: "${id}" is already in the campaign`);
+                } else {
+                    used.add(id);
+                    chapterLevels.push(level);
+                }
+            });
+            if (chapterLevels.length > 0) {
+                chapters.push({ id: chapter.id, name: chapter.name, levels: chapterLevels });
+            }
+        });
+        return chapters;
+    }
+
+    /**
+     * @param {Object} entry - One manifest entry
+     * @param {Object[]} accepted - Entries read so far (ids must be unique)
+     * @returns {string|null} What's wrong with it, or null if it's usable
+     */
+    static checkEntry(entry, accepted) {
+        if (!entry || typeof entry !== 'object') {
+            return 'not an object';
+        }
+        if (typeof entry.id !== 'string' || entry.id === '') {
+            return 'needs a string id';
+        }
+        if (accepted.some(level => level.id === entry.id)) {
+            return `duplicate id "${entry.id}"`;
+        }
+        // Files live in levels/ - no absolute paths or climbing out of it
+        if (typeof entry.file !== 'string' || !/^[\w\-./]+\.json$/.test(entry.file) || entry.file.startsWith('/') || entry.file.includes('..')) {
+            return 'needs a file - a .json path inside levels/';
+        }
+        if (typeof entry.name !== 'string' || entry.name === '') {
+            return 'needs a name';
+        }
+        if (entry.author !== undefined && entry.author !== null && typeof entry.author !== 'string') {
+            return 'author must be a string';
+        }
+        if (entry.difficulty !== undefined && entry.difficulty !== null && !LevelCatalog.DIFFICULTIES.includes(entry.difficulty)) {
+            return `difficulty must be one of ${LevelCatalog.DIFFICULTIES.join(', ')}`;
+        }
+        if (entry.thumbnail !== undefined && entry.thumbnail !== null &&
+            (typeof entry.thumbnail !== 'string' || entry.thumbnail.startsWith('/') || entry.thumbnail.includes('..'))) {
+            return 'thumbnail must be an image path inside levels/';
+        }
+        if (entry.order !== undefined && !(typeof entry.order === 'number' && Number.isFinite(entry.order))) {
+            return 'order must be a number';
+        }
+        return null;
+    }
+
+    /**
+     * Levels in a tab that match a search
+     * @param {Object} filter
+     * @param {string|null} filter.category - Category id, null for every category
+     * @param {string} filter.query - Matched against name, author and difficulty (case-insensitive)
+     * @returns {Object[]}
+     */
+    filter({ category = null, query = '' } = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.levels.filter(level => {
+            if (category !== null && level.category !== category) {
+                return false;
+            }
+            const text = [level.name, level.author, level.difficulty].filter(Boolean).join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Every campaign level in play order, across chapters
+     * @returns {Object[]}
+     */
+    getCampaignLevels() {
+        return this.chapters.flatMap(chapter => chapter.levels);
+    }
+
+    /**
+     * @param {string} path - Level path as saves and replays store it
+     * @returns {Object|null}
+     */
+    findByPath(path) {
+        return this.levels.find(level => level.path === path) || null;
+    }
+}
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { GameState } from './GameStateMachine.js';
+import { PEG_COLORS } from './PegPalette.js';
+import { LevelLoader } from './LevelLoader.js';
 
 /**
  * Level Editor - Tool for creating and editing levels
@@ -16,6 +19,7 @@ export class LevelEditor {
         this.previewMesh = null; // Preview object that follows cursor
         this.mouseWorldPos = { x: 0, y: 0 }; // Current mouse position in world coordinates
         this.currentLevelName = null; // Current level name
+        this.currentLevelRules = null; // `rules` of the loaded level, written back unchanged on save
         this.levelLoaded = false; // Whether a level is currently loaded
         
         // Move tool state
@@ -1976,7 +1980,7 @@ export class LevelEditor {
             }
             
             const pegMaterial = this.game.physicsWorld.getPegMaterial();
-            const baseColor = 0x4a90e2; // Blue peg
+            const baseColor = PEG_COLORS.blue; // Blue peg
             
             // Round coordinates for determinism
             const roundedX = this.roundToDecimals(worldX);
@@ -2751,6 +2755,8 @@ export class LevelEditor {
                 peg.isOrange = sourcePeg.isOrange || false;
                 peg.isGreen = sourcePeg.isGreen || false;
                 peg.isPurple = sourcePeg.isPurple || false;
+                peg.role = sourcePeg.role || 'random';
+                this.showPegRole(peg);
                 
                 this.game.pegs.push(peg);
                 
@@ -2760,6 +2766,7 @@ export class LevelEditor {
                     type: sourcePeg.type,
                     size: sourcePeg.size,
                     bounceType: sourcePeg.bounceType || 'normal',
+                    role: sourcePeg.role || 'random',
                     position: { x: roundedX, y: roundedY, z: 0 },
                     color: sourcePeg.color,
                     rotation: peg.mesh.rotation.z
@@ -2856,6 +2863,8 @@ export class LevelEditor {
                             peg.isOrange = sourcePeg.isOrange || false;
                             peg.isGreen = sourcePeg.isGreen || false;
                             peg.isPurple = sourcePeg.isPurple || false;
+                            peg.role = sourcePeg.role || 'random';
+                            this.showPegRole(peg);
                             
                             this.game.pegs.push(peg);
                             
@@ -2868,6 +2877,7 @@ export class LevelEditor {
                                 type: sourcePeg.type,
                                 size: sourcePeg.size,
                                 bounceType: sourcePeg.bounceType || 'normal',
+                                role: sourcePeg.role || 'random',
                                 position: { x: roundedX, y: roundedY, z: 0 }, // Will be updated by rearrangePegs
                                 color: sourcePeg.color,
                                 rotation: peg.mesh.rotation.z
@@ -4160,6 +4170,74 @@ export class LevelEditor {
         
         content.appendChild(bounceGroup);
         
+        // Role setting - fixed special pegs instead of the random assignment
+        const roleGroup = document.createElement('div');
+        roleGroup.style.cssText = `display: flex; flex-direction: column; gap: 10px;`;
+        const roleLabel = document.createElement('label');
+        roleLabel.textContent = 'Role';
+        roleLabel.style.cssText = `color: white; font-size: 16px; font-weight: bold;`;
+        
+        const roleSelect = document.createElement('select');
+        roleSelect.id = 'peg-role-select';
+        roleSelect.style.cssText = `
+            padding: 10px;
+            background: rgba(30, 40, 60, 0.9);
+            border: 2px solid #6495ed;
+            border-radius: 8px;
+            color: white;
+            font-size: 16px;
+            cursor: pointer;
+        `;
+        
+        const roles = [
+            { value: 'random', label: 'Random (Seeded)' },
+            { value: 'orange', label: 'Always Orange' },
+            { value: 'green', label: 'Always Green' },
+            { value: 'blue-locked', label: 'Locked Blue (Never Special)' }
+        ];
+        
+        roles.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            if ((this.pegForSettings.role || 'random') === value) {
+                option.selected = true;
+            }
+            roleSelect.appendChild(option);
+        });
+        
+        roleSelect.addEventListener('change', (e) => {
+            if (this.pegForSettings) {
+                this.pegForSettings.role = e.target.value;
+                this.showPegRole(this.pegForSettings);
+                
+                // Update in placed objects
+                const placedObj = this.placedObjects.find(obj => {
+                    if (obj.category === 'peg' && obj.position && this.pegForSettings.body) {
+                        const objX = obj.position.x;
+                        const objY = obj.position.y;
+                        const pegX = this.pegForSettings.body.position.x;
+                        const pegY = this.pegForSettings.body.position.y;
+                        const distance = Math.sqrt(
+                            Math.pow(objX - pegX, 2) + 
+                            Math.pow(objY - pegY, 2)
+                        );
+                        return distance < 0.05;
+                    }
+                    return false;
+                });
+                
+                if (placedObj) {
+                    placedObj.role = e.target.value;
+                }
+            }
+        });
+        
+        roleGroup.appendChild(roleLabel);
+        roleGroup.appendChild(roleSelect);
+        
+        content.appendChild(roleGroup);
+        
         modal.appendChild(header);
         modal.appendChild(content);
         overlay.appendChild(modal);
@@ -4182,6 +4260,19 @@ export class LevelEditor {
         this.pegForSettings = null;
     }
     
+    /**
+     * Tint a peg with its role color so fixed special pegs stand out while editing
+     * (peg.color keeps the saved base color - the tint is only a preview)
+     */
+    showPegRole(peg) {
+        const roleColors = {
+            orange: PEG_COLORS.orange,
+            green: PEG_COLORS.green,
+            'blue-locked': 0x2f5f9e
+        };
+        peg.showColor(roleColors[peg.role] || peg.color);
+    }
+    
     createToolbarItem(id, label, data, shape) {
         const item = document.createElement('div');
         item.className = 'toolbar-item';
@@ -4487,10 +4578,11 @@ export class LevelEditor {
                 x: position.x,
                 y: position.y,
                 z: position.z,
-                color: peg.color || 0x4a90e2,
+                color: peg.color || PEG_COLORS.blue,
                 type: peg.type || 'round', // Preserve peg type
                 size: peg.size || 'base',  // Preserve peg size
                 bounceType: peg.bounceType || 'normal', // Preserve bounce type
+                role: peg.role || 'random', // Preserve designer role
                 rotation: rotation          // Preserve rotation
             };
         });
@@ -4503,6 +4595,10 @@ export class LevelEditor {
             this.objectsOverlay.classList.remove('active');
         }
         
+        // Ready to shoot (also restarts play after winning a test run)
+        this.game.resetLevelComplete();
+        this.game.stateMachine.transition(GameState.AIMING);
+        
         this.updateTestButton();
     }
     
@@ -4558,12 +4654,18 @@ export class LevelEditor {
                     peg.isOrange = false;
                     peg.isGreen = false;
                     peg.isPurple = false;
+                    peg.role = pegData.role || 'random';
+                    this.showPegRole(peg);
                     
                     this.game.pegs.push(peg);
                 });
             });
         }
         
+        // Balls were cleared mid-shot, so the turn never ended - back to aiming
+        this.game.resetLevelComplete();
+        this.game.stateMachine.transition(GameState.AIMING);
+        
         // Reopen objects modal if needed
         if (this.objectsOverlay && this.levelLoaded) {
             this.objectsOverlay.classList.add('active');
@@ -4592,6 +4694,7 @@ export class LevelEditor {
         
         // Store level name
         this.currentLevelName = levelName || 'Untitled Level';
+        this.currentLevelRules = null;
         
         // Set levelLoaded flag BEFORE initializing game to prevent level1.json from loading
         this.levelLoaded = true;
@@ -4660,17 +4763,20 @@ export class LevelEditor {
         
         try {
             const text = await file.text();
-            const levelData = JSON.parse(text);
+            // Older files (including *_dev.json files) are upgraded to the current format - saving writes them back in it
+            const levelData = LevelLoader.migrateLevel(JSON.parse(text));
             
-            // Check if this is a dev file (has shapes array)
-            const isDevFile = levelData.shapes && Array.isArray(levelData.shapes);
+            // Same checks as the game - errors stop the load, warnings are shown once it's done
+            const report = LevelLoader.validateLevel(levelData);
+            if (report.errors.length > 0) {
+                this.showLoadReport(file.name, report, 'This level can\'t be loaded');
+                return;
+            }
             
-            if (isDevFile) {
-                // Load as dev file - shapes first, then populate with pegs
-                await this.loadDevLevelFromFile(file, levelData);
-            } else {
-                // Load as regular level file
-                await this.loadRegularLevelFromFile(file, levelData);
+            await this.loadLevelData(levelData);
+            
+            if (report.warnings.length > 0) {
+                this.showLoadReport(file.name, report, 'Level loaded with warnings');
             }
         } catch (error) {
             console.error('Error loading level:', error);
@@ -4678,179 +4784,28 @@ export class LevelEditor {
         }
     }
     
-    async loadDevLevelFromFile(file, devData) {
-        // Set level name
-        this.currentLevelName = devData.name || 'Untitled Level';
-        
-        // Ensure game is initialized
-        if (this.game && (!this.game.scene || !this.game.physicsWorld)) {
-            if (this.game.init && typeof this.game.init === 'function') {
-                await this.game.init();
-            }
-        }
-        
-        // Clear all existing objects
-        this.clearAllObjects();
-        
-        // 0. Load pegs first if they exist in dev file (they contain full properties)
-        // We'll use these to match with containedPegs positions
-        let pegsData = null;
-        if (devData.pegs && Array.isArray(devData.pegs) && devData.pegs.length > 0) {
-            pegsData = devData.pegs;
-        }
-        
-        // 1. Load characteristics first (they're standalone)
-        if (devData.characteristics && Array.isArray(devData.characteristics) && devData.characteristics.length > 0) {
-            await this.loadCharacteristicsFromData(devData.characteristics);
-        }
-        
-        // 2. Load shapes (empty first, then populate with pegs)
-        if (devData.shapes && Array.isArray(devData.shapes) && devData.shapes.length > 0) {
-            await this.loadShapesFromDevData(devData.shapes, pegsData);
-        }
-        
-        // 3. Load spacers
-        if (devData.spacers && Array.isArray(devData.spacers) && devData.spacers.length > 0) {
-            await this.loadSpacersFromData(devData.spacers);
-        }
-        
-        // Restore mirror relationships
-        this.restoreMirrorRelationships(devData);
-        
-        // Mark level as loaded
-        this.levelLoaded = true;
-        this.switchToObjectsButton();
-        this.closeFileOperations();
-    }
-    
     /**
-     * Restore mirror relationships from loaded data
+     * Show a level validation report in the game's level report dialog
+     * @param {string} fileName
+     * @param {{errors: Array, warnings: Array}} report - LevelLoader.validateLevel() result
+     * @param {string} title
      */
-    restoreMirrorRelationships(levelData) {
-        // Restore shape mirror relationships
-        if (levelData.shapes && Array.isArray(levelData.shapes)) {
-            levelData.shapes.forEach((shapeData) => {
-                if (shapeData.mirrorPairPosition) {
-                    // Find shape by position
-                    const shape = this.shapes.find(s => 
-                        Math.abs(s.position.x - shapeData.x) < 0.05 &&
-                        Math.abs(s.position.y - shapeData.y) < 0.05
-                    );
-                    if (shape) {
-                        // Find mirror shape by position
-                        const mirrorShape = this.shapes.find(s => 
-                            Math.abs(s.position.x - shapeData.mirrorPairPosition.x) < 0.05 &&
-                            Math.abs(s.position.y - shapeData.mirrorPairPosition.y) < 0.05
-                        );
-                        if (mirrorShape) {
-                            shape.mirrorPair = mirrorShape;
-                            mirrorShape.mirrorPair = shape;
-                            if (shapeData.mirrored) {
-                                shape.mirrored = true;
-                            } else {
-                                mirrorShape.mirrored = true;
-                            }
-                        }
-                    }
-                }
-            });
-        }
-        
-        // Restore characteristic mirror relationships
-        if (levelData.characteristics && Array.isArray(levelData.characteristics)) {
-            levelData.characteristics.forEach((charData) => {
-                if (charData.mirrorPairPosition) {
-                    // Find characteristic by position
-                    const char = this.characteristics.find(c => 
-                        c.body && 
-                        Math.abs(c.body.position.x - charData.x) < 0.05 &&
-                        Math.abs(c.body.position.y - charData.y) < 0.05
-                    );
-                    if (char && char.body) {
-                        // Find mirror characteristic by position
-                        const mirrorChar = this.characteristics.find(c => 
-                            c.body && 
-                            Math.abs(c.body.position.x - charData.mirrorPairPosition.x) < 0.05 &&
-                            Math.abs(c.body.position.y - charData.mirrorPairPosition.y) < 0.05
-                        );
-                        if (mirrorChar) {
-                            char.mirrorPair = mirrorChar;
-                            mirrorChar.mirrorPair = char;
-                            if (charData.mirrored) {
-                                char.mirrored = true;
-                            } else {
-                                mirrorChar.mirrored = true;
-                            }
-                        }
-                    }
-                }
-            });
-        }
-        
-        // Restore spacer mirror relationships
-        if (levelData.spacers && Array.isArray(levelData.spacers)) {
-            levelData.spacers.forEach((spacerData) => {
-                if (spacerData.mirrorPairPosition) {
-                    // Find spacer by position
-                    const spacer = this.spacers.find(s => 
-                        Math.abs(s.position.x - spacerData.x) < 0.05 &&
-                        Math.abs(s.position.y - spacerData.y) < 0.05
-                    );
-                    if (spacer) {
-                        // Find mirror spacer by position
-                        const mirrorSpacer = this.spacers.find(s => 
-                            Math.abs(s.position.x - spacerData.mirrorPairPosition.x) < 0.05 &&
-                            Math.abs(s.position.y - spacerData.mirrorPairPosition.y) < 0.05
-                        );
-                        if (mirrorSpacer) {
-                            spacer.mirrorPair = mirrorSpacer;
-                            mirrorSpacer.mirrorPair = spacer;
-                            if (spacerData.mirrored) {
-                                spacer.mirrored = true;
-                            } else {
-                                mirrorSpacer.mirrored = true;
-                            }
-                        }
-                    }
-                }
-            });
-        }
-        
-        // Restore peg mirror relationships (check all pegs, including those in shapes)
-        if (levelData.pegs && Array.isArray(levelData.pegs)) {
-            levelData.pegs.forEach((pegData) => {
-                if (pegData.mirrorPairPosition) {
-                    // Find peg by position
-                    const peg = this.game.pegs.find(p => 
-                        p.body && 
-                        Math.abs(p.body.position.x - pegData.x) < 0.05 &&
-                        Math.abs(p.body.position.y - pegData.y) < 0.05
-                    );
-                    if (peg && peg.body) {
-                        // Find mirror peg by position
-                        const mirrorPeg = this.game.pegs.find(p => 
-                            p.body && 
-                            Math.abs(p.body.position.x - pegData.mirrorPairPosition.x) < 0.05 &&
-                            Math.abs(p.body.position.y - pegData.mirrorPairPosition.y) < 0.05
-                        );
-                        if (mirrorPeg) {
-                            peg.mirrorPair = mirrorPeg;
-                            mirrorPeg.mirrorPair = peg;
-                            if (pegData.mirrored) {
-                                peg.mirrored = true;
-                            } else {
-                                mirrorPeg.mirrored = true;
-                            }
-                        }
-                    }
-                }
-            });
+    showLoadReport(fileName, report, title) {
+        if (this.game && this.game.levelReportDialog) {
+            this.game.levelReportDialog.show({ title, source: fileName, report });
         }
     }
     
-    async loadRegularLevelFromFile(file, levelData) {
+    /**
+     * Put a level (current format, validated) into the editor - the runtime pegs and
+     * characteristics, then the editor section's shapes, spacers and mirror pairs
+     * @param {Object} levelData
+     */
+    async loadLevelData(levelData) {
         // Set level name
         this.currentLevelName = levelData.name || 'Untitled Level';
+        // Kept as loaded - the editor has no rules controls, but saving mustn't drop them
+        this.currentLevelRules = levelData.rules || null;
         
         // Ensure game is initialized
         if (this.game && (!this.game.scene || !this.game.physicsWorld)) {
@@ -4862,26 +4817,17 @@ export class LevelEditor {
         // Clear all existing objects
         this.clearAllObjects();
         
-        // Debug: Check if pegs exists but is not an array
-        if (levelData.pegs !== undefined && !Array.isArray(levelData.pegs)) {
-            console.error('[LevelEditor] WARNING: levelData.pegs exists but is not an array:', typeof levelData.pegs, levelData.pegs);
-        }
+        const editorData = levelData.editor || {};
+        const listOf = value => Array.isArray(value) ? value : [];
         
-        // Load pegs from level data
-        if (levelData.pegs && Array.isArray(levelData.pegs) && levelData.pegs.length > 0) {
-            await this.loadPegsFromData(levelData.pegs);
-        } else {
-            console.warn('[LevelEditor] No pegs found in level data', {
-                pegs: levelData.pegs,
-                type: typeof levelData.pegs,
-                isArray: Array.isArray(levelData.pegs)
-            });
-        }
+        // Created objects line up with the file's arrays (null where an entry failed), so the
+        // editor section's indices can be looked up directly
+        const pegs = await this.loadPegsFromData(listOf(levelData.pegs));
+        const characteristics = await this.loadCharacteristicsFromData(listOf(levelData.characteristics));
+        const shapes = await this.loadShapesFromData(listOf(editorData.shapes), pegs, characteristics);
+        const spacers = await this.loadSpacersFromData(listOf(editorData.spacers));
         
-        // Load characteristics from level data
-        if (levelData.characteristics && Array.isArray(levelData.characteristics) && levelData.characteristics.length > 0) {
-            await this.loadCharacteristicsFromData(levelData.characteristics);
-        }
+        this.restoreMirrorPairs(editorData.mirrors, { pegs, characteristics, shapes, spacers });
         
         // Mark level as loaded
         this.levelLoaded = true;
@@ -4889,203 +4835,31 @@ export class LevelEditor {
         this.closeFileOperations();
     }
     
-    async loadShapesFromDevData(shapesData, pegsData = null) {
-        if (!this.game || !this.game.scene || !this.game.physicsWorld) {
-            console.error('Cannot load shapes: game not initialized');
-            return;
-        }
-        
-        try {
-            const { Shape } = await import('../entities/Shape.js');
-            const { Peg } = await import('../entities/Peg.js');
-            const pegMaterial = this.game.physicsWorld.getPegMaterial();
-            
-            
-            for (const shapeData of shapesData) {
-                try {
-                    const roundedX = this.roundToDecimals(shapeData.x);
-                    const roundedY = this.roundToDecimals(shapeData.y);
-                    const shapeType = shapeData.type || 'line';
-                    const size = shapeData.size || (shapeType === 'line' ? { width: 2, height: 0.18 } : { width: 2, height: 2 });
-                    const align = shapeData.align || 'middle';
-                    const justify = shapeData.justify || 'center';
-                    const gap = shapeData.gap !== undefined ? shapeData.gap : 0.2;
-                    const rotation = shapeData.rotation || 0;
-                    const canTakeObjects = shapeData.canTakeObjects !== undefined ? shapeData.canTakeObjects : true;
-                    
-                    // Create shape first
-                    const shape = new Shape(
-                        this.game.scene,
-                        { x: roundedX, y: roundedY, z: shapeData.z || 0 },
-                        shapeType,
-                        size
-                    );
-                    
-                    // Set shape properties (align, justify, gap are direct properties, not methods)
-                    shape.align = align;
-                    shape.justify = justify;
-                    shape.gap = gap;
-                    shape.canTakeObjects = canTakeObjects;
-                    
-                    // Set rotation (this method exists and will rearrange pegs)
-                    if (rotation !== 0) {
-                        shape.setRotation(rotation);
-                    }
-                    
-                    // Add to editor
-                    if (!this.shapes) {
-                        this.shapes = [];
-                    }
-                    this.shapes.push(shape);
-                    
-                    // Now create pegs from containedPegs positions and add them to the shape
-                    if (shapeData.containedPegs && Array.isArray(shapeData.containedPegs)) {
-                        for (const pegRef of shapeData.containedPegs) {
-                            try {
-                                // Get peg properties from pegRef if available, otherwise match by position from pegsData
-                                const pegX = this.roundToDecimals(pegRef.x);
-                                const pegY = this.roundToDecimals(pegRef.y);
-                                const pegZ = pegRef.z || 0;
-                                
-                                // Try to find matching peg data by position
-                                let matchedPegData = null;
-                                if (pegsData && Array.isArray(pegsData)) {
-                                    matchedPegData = pegsData.find(pegData => {
-                                        const dataX = this.roundToDecimals(pegData.x);
-                                        const dataY = this.roundToDecimals(pegData.y);
-                                        const dx = Math.abs(dataX - pegX);
-                                        const dy = Math.abs(dataY - pegY);
-                                        return dx < 0.01 && dy < 0.01; // Match within tolerance
-                                    });
-                                }
-                                
-                                // Use matched peg data or pegRef properties, fallback to defaults
-                                const pegType = (pegRef.type || matchedPegData?.type) || 'round';
-                                const pegSize = (pegRef.size || matchedPegData?.size) || 'base';
-                                const pegBounceType = (pegRef.bounceType || matchedPegData?.bounceType) || 'normal';
-                                let pegColor = pegRef.color || matchedPegData?.color || 0x4a90e2; // Default blue
-                                const pegRotation = (pegRef.rotation !== undefined ? pegRef.rotation : (matchedPegData?.rotation !== undefined ? matchedPegData.rotation : 0));
-                                
-                                // Handle color - can be number or hex string
-                                if (typeof pegColor === 'string') {
-                                    pegColor = parseInt(pegColor.replace('#', ''), 16);
-                                } else if (typeof pegColor !== 'number') {
-                                    pegColor = 0x4a90e2; // Default blue
-                                }
-                                
-                                // Create peg at the position specified in containedPegs
-                                const peg = new Peg(
-                                    this.game,
-                                    this.game.scene,
-                                    this.game.physicsWorld,
-                                    { x: pegX, y: pegY, z: pegZ },
-                                    pegColor,
-                                    pegMaterial,
-                                    pegType,
-                                    pegSize,
-                                    pegBounceType
-                                );
-                                
-                                peg.pointValue = 300;
-                                peg.isOrange = false;
-                                peg.isGreen = false;
-                                peg.isPurple = false;
-                                
-                                // Apply rotation
-                                if (pegRotation !== 0) {
-                                    peg.mesh.rotation.z = pegRotation;
-                                    const euler = new THREE.Euler(0, 0, pegRotation);
-                                    const quaternion = new THREE.Quaternion().setFromEuler(euler);
-                                    peg.body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
-                                }
-                                
-                                // Add to game and editor
-                                this.game.pegs.push(peg);
-                                if (!this.pegs) {
-                                    this.pegs = [];
-                                }
-                                this.pegs.push(peg);
-                                
-                                // Store in placed objects
-                                this.placedObjects.push({
-                                    category: 'peg',
-                                    type: pegType,
-                                    size: pegSize,
-                                    bounceType: pegData.bounceType || 'normal',
-                                    position: { x: pegX, y: pegY, z: pegZ },
-                                    color: pegColor,
-                                    rotation: pegRotation
-                                });
-                                
-                                // Add peg to shape - this will reposition it according to shape's layout
-                                shape.addPeg(peg);
-                            } catch (pegError) {
-                                console.error('[LevelEditor] Error creating peg for shape:', pegRef, pegError);
-                            }
-                        }
-                    }
-                    
-                    // Match characteristics to this shape by position
-                    if (shapeData.containedCharacteristics && Array.isArray(shapeData.containedCharacteristics)) {
-                        for (const charRef of shapeData.containedCharacteristics) {
-                            // Find characteristic by position (within tolerance)
-                            const char = this.game.characteristics.find(c => {
-                                if (!c || !c.body) return false;
-                                const dx = Math.abs(c.body.position.x - charRef.x);
-                                const dy = Math.abs(c.body.position.y - charRef.y);
-                                return dx < 0.01 && dy < 0.01;
-                            });
-                            
-                            if (char && shape.addCharacteristic) {
-                                shape.addCharacteristic(char);
-                            }
-                        }
-                    }
-                    
-                    // Store in placed objects
-                    this.placedObjects.push({
-                        category: 'shape',
-                        type: shapeType,
-                        position: { x: roundedX, y: roundedY, z: shapeData.z || 0 },
-                        size: size,
-                        align: align,
-                        justify: justify,
-                        gap: gap,
-                        rotation: rotation,
-                        canTakeObjects: canTakeObjects,
-                        isEditorOnly: true
-                    });
-                } catch (shapeError) {
-                    console.error('[LevelEditor] Error loading shape:', shapeData, shapeError);
-                }
-            }
-            
-        } catch (error) {
-            console.error('[LevelEditor] Error in loadShapesFromDevData:', error);
-        }
+    static hasPosition(data) {
+        return !!data && typeof data === 'object' && Number.isFinite(data.x) && Number.isFinite(data.y);
     }
     
-    async loadDevFileFromFile(file) {
-        if (!file) return;
-        
-        try {
-            const text = await file.text();
-            const devData = JSON.parse(text);
-            
-            
-            // Load shapes from dev data
-            if (devData.shapes && Array.isArray(devData.shapes)) {
-                await this.loadShapesFromData(devData.shapes);
-            }
-            
-            // Load spacers from dev data
-            if (devData.spacers && Array.isArray(devData.spacers)) {
-                await this.loadSpacersFromData(devData.spacers);
-            }
-        } catch (error) {
-            console.error('Error loading dev file:', error);
-            alert('Error loading dev file: ' + error.message);
-        }
+    /**
+     * Restore mirror relationships from the editor section's [original, copy] index pairs
+     * @param {Object|undefined} mirrors - { pegs, characteristics, shapes, spacers }
+     * @param {Object} objects - Loaded objects by kind, in file order
+     */
+    restoreMirrorPairs(mirrors, objects) {
+        if (!mirrors || typeof mirrors !== 'object') return;
+        
+        Object.entries(objects).forEach(([kind, list]) => {
+            const pairs = Array.isArray(mirrors[kind]) ? mirrors[kind] : [];
+            pairs.forEach(pair => {
+                if (!Array.isArray(pair)) return;
+                const original = list[pair[0]];
+                const copy = list[pair[1]];
+                // Invalid pairs were reported on load - skip them, and never break an existing pair
+                if (!original || !copy || original === copy || original.mirrorPair || copy.mirrorPair) return;
+                original.mirrorPair = copy;
+                copy.mirrorPair = original;
+                copy.mirrored = true;
+            });
+        });
     }
     
     clearAllObjects() {
@@ -5147,10 +4921,15 @@ export class LevelEditor {
         this.updateSelectionIndicator(null);
     }
     
+    /**
+     * @param {Object[]} pegsData
+     * @returns {Promise<Array<Peg|null>>} Created pegs in data order (null where one failed)
+     */
     async loadPegsFromData(pegsData) {
+        const created = [];
         if (!this.game || !this.game.scene || !this.game.physicsWorld) {
             console.error('Cannot load pegs: game not initialized');
-            return;
+            return created;
         }
         
         try {
@@ -5170,7 +4949,7 @@ export class LevelEditor {
                             baseColor = pegData.color; // Already a number
                         }
                     } else {
-                        baseColor = 0x4a90e2; // Default blue
+                        baseColor = PEG_COLORS.blue; // Default blue
                     }
                     
                     const roundedX = this.roundToDecimals(pegData.x);
@@ -5196,6 +4975,8 @@ export class LevelEditor {
                     peg.isOrange = false;
                     peg.isGreen = false;
                     peg.isPurple = false;
+                    peg.role = pegData.role || 'random';
+                    this.showPegRole(peg);
                     
                     // Apply rotation
                     if (rotation !== 0) {
@@ -5218,24 +4999,33 @@ export class LevelEditor {
                         type: pegType,
                         size: pegSize,
                         bounceType: pegBounceType,
+                        role: peg.role,
                         position: { x: roundedX, y: roundedY, z: pegData.z || 0 },
                         color: baseColor,
                         rotation: pegData.rotation || 0
                     });
+                    created.push(peg);
                 } catch (pegError) {
                     console.error('[LevelEditor] Error loading peg:', pegData, pegError);
+                    created.push(null);
                 }
             }
             
         } catch (error) {
             console.error('[LevelEditor] Error in loadPegsFromData:', error);
         }
+        return created;
     }
     
+    /**
+     * @param {Object[]} characteristicsData
+     * @returns {Promise<Array<Characteristic|null>>} Created characteristics in data order (null where one failed)
+     */
     async loadCharacteristicsFromData(characteristicsData) {
+        const created = [];
         if (!this.game || !this.game.scene || !this.game.physicsWorld) {
             console.error('Cannot load characteristics: game not initialized');
-            return;
+            return created;
         }
         
         try {
@@ -5286,20 +5076,30 @@ export class LevelEditor {
                         rotation: rotation,
                         bounceType: bounceType
                     });
+                    created.push(characteristic);
                 } catch (charError) {
                     console.error('[LevelEditor] Error loading characteristic:', charData, charError);
+                    created.push(null);
                 }
             }
             
         } catch (error) {
             console.error('[LevelEditor] Error in loadCharacteristicsFromData:', error);
         }
+        return created;
     }
     
-    async loadShapesFromData(shapesData) {
+    /**
+     * @param {Object[]} shapesData - editor.shapes
+     * @param {Array<Peg|null>} pegs - Loaded level pegs, in file order (shapes refer to them by index)
+     * @param {Array<Characteristic|null>} characteristics - Loaded characteristics, in file order
+     * @returns {Promise<Array<Shape|null>>} Created shapes in data order (null where one failed)
+     */
+    async loadShapesFromData(shapesData, pegs = [], characteristics = []) {
+        const created = [];
         if (!this.game || !this.game.scene) {
             console.error('Cannot load shapes: game not initialized');
-            return;
+            return created;
         }
         
         try {
@@ -5307,6 +5107,12 @@ export class LevelEditor {
             
             
             for (const shapeData of shapesData) {
+                // Entries the load report flagged as unusable are skipped
+                if (!LevelEditor.hasPosition(shapeData) ||
+                    (shapeData.type !== undefined && !LevelLoader.EDITOR_SHAPE_TYPES.includes(shapeData.type))) {
+                    created.push(null);
+                    continue;
+                }
                 try {
                     const roundedX = this.roundToDecimals(shapeData.x);
                     const roundedY = this.roundToDecimals(shapeData.y);
@@ -5342,38 +5148,23 @@ export class LevelEditor {
                     }
                     this.shapes.push(shape);
                     
-                    // Match pegs to this shape by position
-                    if (shapeData.containedPegs && Array.isArray(shapeData.containedPegs)) {
-                        for (const pegRef of shapeData.containedPegs) {
-                            // Find peg by position (within tolerance)
-                            const peg = this.game.pegs.find(p => {
-                                if (!p || !p.body) return false;
-                                const dx = Math.abs(p.body.position.x - pegRef.x);
-                                const dy = Math.abs(p.body.position.y - pegRef.y);
-                                return dx < 0.01 && dy < 0.01;
-                            });
-                            
-                            if (peg) {
+                    // Pegs and characteristics by index, in the shape's order (the layout puts them back where they were saved)
+                    if (Array.isArray(shapeData.pegs)) {
+                        shapeData.pegs.forEach(index => {
+                            const peg = pegs[index];
+                            // A peg belongs to one shape - bad indices were reported on load
+                            if (peg && !peg.parentShape) {
                                 shape.addPeg(peg);
                             }
-                        }
+                        });
                     }
-                    
-                    // Match characteristics to this shape by position
-                    if (shapeData.containedCharacteristics && Array.isArray(shapeData.containedCharacteristics)) {
-                        for (const charRef of shapeData.containedCharacteristics) {
-                            // Find characteristic by position (within tolerance)
-                            const char = this.game.characteristics.find(c => {
-                                if (!c || !c.body) return false;
-                                const dx = Math.abs(c.body.position.x - charRef.x);
-                                const dy = Math.abs(c.body.position.y - charRef.y);
-                                return dx < 0.01 && dy < 0.01;
-                            });
-                            
-                            if (char && shape.addCharacteristic) {
+                    if (Array.isArray(shapeData.characteristics)) {
+                        shapeData.characteristics.forEach(index => {
+                            const char = characteristics[index];
+                            if (char && !char.parentShape) {
                                 shape.addCharacteristic(char);
                             }
-                        }
+                        });
                     }
                     
                     // Store in placed objects
@@ -5389,20 +5180,28 @@ export class LevelEditor {
                         canTakeObjects: canTakeObjects,
                         isEditorOnly: true
                     });
+                    created.push(shape);
                 } catch (shapeError) {
                     console.error('[LevelEditor] Error loading shape:', shapeData, shapeError);
+                    created.push(null);
                 }
             }
             
         } catch (error) {
             console.error('[LevelEditor] Error in loadShapesFromData:', error);
         }
+        return created;
     }
     
+    /**
+     * @param {Object[]} spacersData - editor.spacers
+     * @returns {Promise<Array<Spacer|null>>} Created spacers in data order (null where one failed)
+     */
     async loadSpacersFromData(spacersData) {
+        const created = [];
         if (!this.game || !this.game.scene) {
             console.error('Cannot load spacers: game not initialized');
-            return;
+            return created;
         }
         
         try {
@@ -5410,6 +5209,11 @@ export class LevelEditor {
             
             
             for (const spacerData of spacersData) {
+                // Entries the load report flagged as unusable are skipped
+                if (!LevelEditor.hasPosition(spacerData)) {
+                    created.push(null);
+                    continue;
+                }
                 try {
                     const roundedX = this.roundToDecimals(spacerData.x);
                     const roundedY = this.roundToDecimals(spacerData.y);
@@ -5435,14 +5239,17 @@ export class LevelEditor {
                         size: size,
                         isEditorOnly: true
                     });
+                    created.push(spacer);
                 } catch (spacerError) {
                     console.error('[LevelEditor] Error loading spacer:', spacerData, spacerError);
+                    created.push(null);
                 }
             }
             
         } catch (error) {
             console.error('[LevelEditor] Error in loadSpacersFromData:', error);
         }
+        return created;
     }
     
     saveLevel() {
@@ -5451,103 +5258,7 @@ export class LevelEditor {
             return;
         }
         
-        // Build level data - ALL pegs with their final world coordinates (as if hand-placed)
-        // This includes pegs inside shapes - they're saved with their actual positions
-        const pegsInShapes = new Set();
-        if (this.shapes && this.shapes.length > 0) {
-            this.shapes.forEach(shape => {
-                if (shape.containedPegs) {
-                    shape.containedPegs.forEach(peg => {
-                        pegsInShapes.add(peg);
-                    });
-                }
-            });
-        }
-        
-        // Use game.pegs if available, otherwise fallback
-        const allPegs = (this.game && this.game.pegs) ? this.game.pegs : [];
-        const allCharacteristics = (this.game && this.game.characteristics) ? this.game.characteristics : [];
-        
-        // Log for debugging
-        
-        const levelData = {
-            name: this.currentLevelName,
-            pegs: allPegs.map(peg => {
-                // Find peg in placedObjects to get color
-                const pegObj = this.placedObjects.find(p => {
-                    if (p.category === 'peg' && peg.body && p.position) {
-                        const dx = peg.body.position.x - p.position.x;
-                        const dy = peg.body.position.y - p.position.y;
-                        return Math.sqrt(dx * dx + dy * dy) < 0.05;
-                    }
-                    return false;
-                });
-                
-                // Get rotation from mesh, fallback to 0 if undefined or NaN
-                let rotation = 0;
-                if (peg.mesh && peg.mesh.rotation) {
-                    rotation = peg.mesh.rotation.z || 0;
-                    // Ensure rotation is a valid number
-                    if (isNaN(rotation)) {
-                        rotation = 0;
-                    }
-                }
-                
-                return {
-                    x: peg.body.position.x,
-                    y: peg.body.position.y,
-                    z: peg.body.position.z || 0,
-                    color: pegObj ? (pegObj.color || 0x4a90e2) : 0x4a90e2,
-                    type: peg.type || 'round',
-                    size: peg.size || 'base',
-                    bounceType: pegObj ? (pegObj.bounceType || 'normal') : (peg.bounceType || 'normal'),
-                    rotation: rotation
-                };
-            }),
-            characteristics: allCharacteristics.map(char => {
-                // Find characteristic in placedObjects to get bounceType
-                const charObj = this.placedObjects.find(c => {
-                    if (c.category === 'characteristic' && char.body && c.position) {
-                        const dx = char.body.position.x - c.position.x;
-                        const dy = char.body.position.y - c.position.y;
-                        return Math.sqrt(dx * dx + dy * dy) < 0.05;
-                    }
-                    return false;
-                });
-                
-                // Get rotation from characteristic object or mesh, fallback to 0
-                let rotation = 0;
-                if (char.rotation !== undefined && !isNaN(char.rotation)) {
-                    rotation = char.rotation;
-                } else if (char.mesh && char.mesh.rotation) {
-                    rotation = char.mesh.rotation.z || 0;
-                    if (isNaN(rotation)) {
-                        rotation = 0;
-                    }
-                }
-                
-                // Get mirror pair position if exists
-                let charMirrorPairPosition = null;
-                if (char.mirrorPair && char.mirrorPair.body) {
-                    charMirrorPairPosition = {
-                        x: char.mirrorPair.body.position.x,
-                        y: char.mirrorPair.body.position.y
-                    };
-                }
-                
-                return {
-                    x: char.body.position.x,
-                    y: char.body.position.y,
-                    z: char.body.position.z || 0,
-                    shape: char.shape || 'rect',
-                    size: char.size,
-                    rotation: rotation,
-                    bounceType: charObj ? (charObj.bounceType || 'normal') : (char.bounceType || 'normal'),
-                    mirrored: char.mirrored === true,
-                    mirrorPairPosition: charMirrorPairPosition
-                };
-            })
-        };
+        const levelData = this.buildLevelData();
         
         // Convert to JSON and create download
         const jsonString = JSON.stringify(levelData, null, 2);
@@ -5561,180 +5272,157 @@ export class LevelEditor {
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        
-        
-        // Save dev file with shapes, spacers, and characteristics (editor-only tools)
-        const devData = {
-            name: this.currentLevelName,
-            characteristics: allCharacteristics.map(char => {
-                // Find characteristic in placedObjects to get bounceType
-                const charObj = this.placedObjects.find(c => {
-                    if (c.category === 'characteristic' && char.body && c.position) {
-                        const dx = char.body.position.x - c.position.x;
-                        const dy = char.body.position.y - c.position.y;
-                        return Math.sqrt(dx * dx + dy * dy) < 0.05;
-                    }
-                    return false;
-                });
-                
-                // Get rotation from characteristic object or mesh, fallback to 0
-                let rotation = 0;
-                if (char.rotation !== undefined && !isNaN(char.rotation)) {
-                    rotation = char.rotation;
-                } else if (char.mesh && char.mesh.rotation) {
-                    rotation = char.mesh.rotation.z || 0;
-                    if (isNaN(rotation)) {
-                        rotation = 0;
-                    }
-                }
-                
-                // Get mirror pair position if exists
-                let charMirrorPairPosition = null;
-                if (char.mirrorPair && char.mirrorPair.body) {
-                    charMirrorPairPosition = {
-                        x: char.mirrorPair.body.position.x,
-                        y: char.mirrorPair.body.position.y
-                    };
-                }
-                
-                return {
-                    x: char.body.position.x,
-                    y: char.body.position.y,
-                    z: char.body.position.z || 0,
-                    shape: char.shape || 'rect',
-                    size: char.size,
-                    rotation: rotation,
-                    bounceType: charObj ? (charObj.bounceType || 'normal') : (char.bounceType || 'normal'),
-                    mirrored: char.mirrored === true,
-                    mirrorPairPosition: charMirrorPairPosition
-                };
-            }),
-            shapes: this.shapes.map(shape => {
-                // Find corresponding placed object to get saved properties
-                const obj = this.placedObjects.find(o => {
-                    if (o.category === 'shape' && shape.position && o.position) {
-                        const dx = shape.position.x - o.position.x;
-                        const dy = shape.position.y - o.position.y;
-                        return Math.sqrt(dx * dx + dy * dy) < 0.05;
-                    }
-                    return false;
-                });
-                
-                // Get mirror pair position if exists
-                let mirrorPairPosition = null;
-                if (shape.mirrorPair && shape.mirrorPair.position) {
-                    mirrorPairPosition = {
-                        x: shape.mirrorPair.position.x,
-                        y: shape.mirrorPair.position.y
-                    };
+    }
+    
+    /**
+     * The level as one file - what the game plays (pegs and characteristics in their
+     * final world positions, as if hand-placed) plus an `editor` section with the shapes,
+     * spacers and mirror pairs, which refer to the pegs and characteristics by index
+     * @returns {Object} Level data at LevelLoader.FORMAT_VERSION
+     */
+    buildLevelData() {
+        // Use game.pegs if available, otherwise fallback
+        const allPegs = (this.game && this.game.pegs) ? this.game.pegs : [];
+        const allCharacteristics = (this.game && this.game.characteristics) ? this.game.characteristics : [];
+        const allShapes = this.shapes || [];
+        const allSpacers = this.spacers || [];
+        
+        const indexIn = (list, items) => items.map(item => list.indexOf(item)).filter(index => index !== -1);
+        
+        const pegs = allPegs.map(peg => {
+            // Find peg in placedObjects to get color
+            const pegObj = this.placedObjects.find(p => {
+                if (p.category === 'peg' && peg.body && p.position) {
+                    const dx = peg.body.position.x - p.position.x;
+                    const dy = peg.body.position.y - p.position.y;
+                    return Math.sqrt(dx * dx + dy * dy) < 0.05;
                 }
-                
-                const shapeData = {
-                    x: shape.position.x,
-                    y: shape.position.y,
-                    z: shape.position.z || 0,
-                    type: shape.type || 'line',
-                    size: shape.size,
-                    align: (obj && obj.align !== undefined) ? obj.align : (shape.type === 'circle' ? undefined : shape.align || 'middle'),
-                    justify: (obj && obj.justify !== undefined) ? obj.justify : (shape.type === 'circle' ? shape.justify || 'top-center' : shape.justify || 'center'),
-                    gap: (obj && obj.gap !== undefined) ? obj.gap : shape.gap || 0.1,
-                    rotation: shape.rotation || 0,
-                    canTakeObjects: (obj && obj.canTakeObjects !== undefined) ? obj.canTakeObjects : (shape.canTakeObjects !== false),
-                    mirrored: shape.mirrored === true,
-                    mirrorPairPosition: mirrorPairPosition
-                };
-                
-                // Add contained pegs with full properties for editor restoration
-                if (shape.containedPegs && shape.containedPegs.length > 0) {
-                    shapeData.containedPegs = shape.containedPegs.map(peg => {
-                        // Find peg in placedObjects to get full properties
-                        const pegObj = this.placedObjects.find(p => {
-                            if (p.category === 'peg' && peg.body && p.position) {
-                                const dx = peg.body.position.x - p.position.x;
-                                const dy = peg.body.position.y - p.position.y;
-                                return Math.sqrt(dx * dx + dy * dy) < 0.05;
-                            }
-                            return false;
-                        });
-                        
-                        // Get rotation from peg
-                        let rotation = 0;
-                        if (peg.mesh && peg.mesh.rotation && peg.mesh.rotation.z !== undefined) {
-                            rotation = peg.mesh.rotation.z;
-                            if (isNaN(rotation)) rotation = 0;
-                        }
-                        
-                        // Get mirror pair position if exists
-                        let pegMirrorPairPosition = null;
-                        if (peg.mirrorPair && peg.mirrorPair.body) {
-                            pegMirrorPairPosition = {
-                                x: peg.mirrorPair.body.position.x,
-                                y: peg.mirrorPair.body.position.y
-                            };
-                        }
-                        
-                        return {
-                            x: peg.body.position.x,
-                            y: peg.body.position.y,
-                            z: peg.body.position.z || 0,
-                            type: peg.type || (pegObj ? pegObj.type : 'round'),
-                            size: peg.size || (pegObj ? pegObj.size : 'base'),
-                            color: pegObj ? (pegObj.color || 0x4a90e2) : 0x4a90e2,
-                            rotation: rotation,
-                            mirrored: peg.mirrored === true,
-                            mirrorPairPosition: pegMirrorPairPosition
-                        };
-                    });
+                return false;
+            });
+            
+            // Get rotation from mesh, fallback to 0 if undefined or NaN
+            let rotation = 0;
+            if (peg.mesh && peg.mesh.rotation) {
+                rotation = peg.mesh.rotation.z || 0;
+                // Ensure rotation is a valid number
+                if (isNaN(rotation)) {
+                    rotation = 0;
                 }
-                
-                // Add contained characteristics references (by position) for editor restoration
-                if (shape.containedCharacteristics && shape.containedCharacteristics.length > 0) {
-                    shapeData.containedCharacteristics = shape.containedCharacteristics.map(char => {
-                        return {
-                            x: char.body.position.x,
-                            y: char.body.position.y,
-                            z: char.body.position.z || 0
-                        };
-                    });
+            }
+            
+            return {
+                x: peg.body.position.x,
+                y: peg.body.position.y,
+                z: peg.body.position.z || 0,
+                color: pegObj ? (pegObj.color || PEG_COLORS.blue) : PEG_COLORS.blue,
+                type: peg.type || 'round',
+                size: peg.size || 'base',
+                bounceType: pegObj ? (pegObj.bounceType || 'normal') : (peg.bounceType || 'normal'),
+                rotation: rotation,
+                // Only fixed roles are written - 'random' is the default
+                ...(peg.role && peg.role !== 'random' ? { role: peg.role } : {})
+            };
+        });
+        
+        const characteristics = allCharacteristics.map(char => {
+            // Find characteristic in placedObjects to get bounceType
+            const charObj = this.placedObjects.find(c => {
+                if (c.category === 'characteristic' && char.body && c.position) {
+                    const dx = char.body.position.x - c.position.x;
+                    const dy = char.body.position.y - c.position.y;
+                    return Math.sqrt(dx * dx + dy * dy) < 0.05;
                 }
-                
-                return shapeData;
-            }),
-            spacers: this.placedObjects.filter(obj => obj.category === 'spacer').map(obj => {
-                const spacer = this.spacers.find(s => Math.abs(s.position.x - obj.position.x) < 0.05 &&
-                                                       Math.abs(s.position.y - obj.position.y) < 0.05);
-                let spacerMirrorPairPosition = null;
-                if (spacer && spacer.mirrorPair && spacer.mirrorPair.position) {
-                    spacerMirrorPairPosition = {
-                        x: spacer.mirrorPair.position.x,
-                        y: spacer.mirrorPair.position.y
-                    };
+                return false;
+            });
+            
+            // Get rotation from characteristic object or mesh, fallback to 0
+            let rotation = 0;
+            if (char.rotation !== undefined && !isNaN(char.rotation)) {
+                rotation = char.rotation;
+            } else if (char.mesh && char.mesh.rotation) {
+                rotation = char.mesh.rotation.z || 0;
+                if (isNaN(rotation)) {
+                    rotation = 0;
                 }
-                
-                return {
-                    x: obj.position.x,
-                    y: obj.position.y,
-                    z: obj.position.z || 0,
-                    size: obj.size || { width: 1, height: 1 },
-                    mirrored: spacer ? (spacer.mirrored === true) : false,
-                    mirrorPairPosition: spacerMirrorPairPosition
-                };
-            })
-        };
+            }
+            
+            return {
+                x: char.body.position.x,
+                y: char.body.position.y,
+                z: char.body.position.z || 0,
+                shape: char.shape || 'rect',
+                size: char.size,
+                rotation: rotation,
+                bounceType: charObj ? (charObj.bounceType || 'normal') : (char.bounceType || 'normal')
+            };
+        });
         
-        // Convert dev data to JSON and create download
-        const devJsonString = JSON.stringify(devData, null, 2);
-        const devBlob = new Blob([devJsonString], { type: 'application/json' });
-        const devUrl = URL.createObjectURL(devBlob);
+        const shapes = allShapes.map(shape => {
+            // Find corresponding placed object to get saved properties
+            const obj = this.placedObjects.find(o => {
+                if (o.category === 'shape' && shape.position && o.position) {
+                    const dx = shape.position.x - o.position.x;
+                    const dy = shape.position.y - o.position.y;
+                    return Math.sqrt(dx * dx + dy * dy) < 0.05;
+                }
+                return false;
+            });
+            
+            return {
+                x: shape.position.x,
+                y: shape.position.y,
+                z: shape.position.z || 0,
+                type: shape.type || 'line',
+                size: shape.size,
+                align: (obj && obj.align !== undefined) ? obj.align : (shape.type === 'circle' ? undefined : shape.align || 'middle'),
+                justify: (obj && obj.justify !== undefined) ? obj.justify : (shape.type === 'circle' ? shape.justify || 'top-center' : shape.justify || 'center'),
+                gap: (obj && obj.gap !== undefined) ? obj.gap : shape.gap || 0.1,
+                rotation: shape.rotation || 0,
+                canTakeObjects: (obj && obj.canTakeObjects !== undefined) ? obj.canTakeObjects : (shape.canTakeObjects !== false),
+                // Contents in layout order, by index into the level's pegs and characteristics
+                pegs: indexIn(allPegs, shape.containedPegs || []),
+                characteristics: indexIn(allCharacteristics, shape.containedCharacteristics || [])
+            };
+        });
         
-        const devA = document.createElement('a');
-        devA.href = devUrl;
-        devA.download = `${this.currentLevelName.replace(/\s+/g, '_')}_dev.json`;
-        document.body.appendChild(devA);
-        devA.click();
-        document.body.removeChild(devA);
-        URL.revokeObjectURL(devUrl);
+        const spacers = allSpacers.map(spacer => ({
+            x: spacer.position.x,
+            y: spacer.position.y,
+            z: spacer.position.z || 0,
+            size: spacer.size || { width: 1, height: 1 }
+        }));
+        
+        // Mirror pairs as [original, copy] indices - the copy is the one marked `mirrored`
+        const mirrorPairs = list => {
+            const pairs = [];
+            const paired = new Set();
+            list.forEach((item, index) => {
+                const partner = item && item.mirrorPair ? list.indexOf(item.mirrorPair) : -1;
+                if (partner === -1 || paired.has(index)) return;
+                paired.add(index);
+                paired.add(partner);
+                pairs.push(item.mirrored === true ? [partner, index] : [index, partner]);
+            });
+            return pairs;
+        };
         
+        return {
+            formatVersion: LevelLoader.FORMAT_VERSION,
+            name: this.currentLevelName,
+            ...(this.currentLevelRules ? { rules: this.currentLevelRules } : {}),
+            pegs,
+            characteristics,
+            editor: {
+                shapes,
+                spacers,
+                mirrors: {
+                    pegs: mirrorPairs(allPegs),
+                    characteristics: mirrorPairs(allCharacteristics),
+                    shapes: mirrorPairs(allShapes),
+                    spacers: mirrorPairs(allSpacers)
+                }
+            }
+        };
     }
     
     /**
@@ -5916,6 +5604,8 @@ export class LevelEditor {
                     peg.isOrange = sourcePeg.isOrange || false;
                     peg.isGreen = sourcePeg.isGreen || false;
                     peg.isPurple = sourcePeg.isPurple || false;
+                    peg.role = sourcePeg.role || 'random';
+                    this.showPegRole(peg);
                     peg.mirrored = true;
                     peg.mirrorPair = sourcePeg;
                     sourcePeg.mirrorPair = peg;
@@ -5928,6 +5618,7 @@ export class LevelEditor {
                         type: sourcePeg.type,
                         size: sourcePeg.size,
                         bounceType: sourcePeg.bounceType || 'normal',
+                        role: sourcePeg.role || 'random',
                         position: { x: roundedX, y: roundedY, z: 0 },
                         color: sourcePeg.color,
                         rotation: 0,
@@ -6027,6 +5718,8 @@ export class LevelEditor {
                     mirrorCopy.isOrange = peg.isOrange || false;
                     mirrorCopy.isGreen = peg.isGreen || false;
                     mirrorCopy.isPurple = peg.isPurple || false;
+                    mirrorCopy.role = peg.role || 'random';
+                    this.showPegRole(mirrorCopy);
                     mirrorCopy.mirrored = true;
                     mirrorCopy.mirrorPair = peg;
                     peg.mirrorPair = mirrorCopy;
@@ -6038,6 +5731,7 @@ export class LevelEditor {
                         type: peg.type,
                         size: peg.size,
                         bounceType: peg.bounceType || 'normal',
+                        role: peg.role || 'random',
                         position: { x: roundedX, y: roundedY, z: 0 },
                         color: peg.color,
                         rotation: 0,
@@ -6378,6 +6072,8 @@ export class LevelEditor {
                 mirrorPeg.isOrange = peg.isOrange || false;
                 mirrorPeg.isGreen = peg.isGreen || false;
                 mirrorPeg.isPurple = peg.isPurple || false;
+                mirrorPeg.role = peg.role || 'random';
+                this.showPegRole(mirrorPeg);
                 mirrorPeg.mirrored = true;
                 mirrorPeg.mirrorPair = peg;
                 peg.mirrorPair = mirrorPeg;
@@ -6390,6 +6086,7 @@ export class LevelEditor {
                     type: peg.type,
                     size: peg.size,
                     bounceType: peg.bounceType || 'normal',
+                    role: peg.role || 'random',
                     position: { x: mirrorPegX, y: mirrorPegY, z: 0 },
                     color: peg.color,
                     rotation: 0,
@@ -1,8 +1,123 @@
+import { ORANGE_DISTRIBUTIONS, DEFAULT_ORANGE_DISTRIBUTION } from '../simulation/OrangeDistribution.js';
+
+/**
+ * Thrown when a level fails validation - carries the full report for the error screen
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}} report
+     */
+    constructor(report) {
+        const first = report.errors[0];
+        super(first ? `Invalid level: ${LevelLoader.formatIssue(first)}` : 'Invalid level');
+        this.name = 'LevelValidationError';
+        this.report = report;
+    }
+}
+
 export class LevelLoader {
+    /**
+     * Level file format the editor writes. Older files are upgraded by MIGRATIONS when
+     * they're loaded - bump this and add a migration whenever the format changes.
+     */
+    static FORMAT_VERSION = 2;
+
+    /**
+     * One step per format version, applied in order from the file's version up to
+     * FORMAT_VERSION. Each gets a copy of the level (never the caller's object) and
+     * returns it in the next version's shape.
+     */
+    static MIGRATIONS = [
+        {
+            // 0: files from before versioning - colors as "#4a90e2" strings or numbers, optional fields left out
+            from: 0,
+            description: 'Numeric colors, peg and characteristic defaults written out',
+            migrate(level) {
+                if (Array.isArray(level.pegs)) {
+                    level.pegs.forEach(peg => {
+                        if (!LevelLoader.isObject(peg)) return;
+                        LevelLoader.migrateColor(peg);
+                        LevelLoader.fillDefaults(peg, { z: 0, type: 'round', size: 'base', bounceType: 'normal', rotation: 0 });
+                    });
+                }
+                if (Array.isArray(level.characteristics)) {
+                    level.characteristics.forEach(characteristic => {
+                        if (!LevelLoader.isObject(characteristic)) return;
+                        LevelLoader.fillDefaults(characteristic, { z: 0, shape: 'rect', rotation: 0, bounceType: 'normal', mirrored: false, mirrorPairPosition: null });
+                    });
+                }
+                // Dev files: pegs in shapes only carry what differs from the matching top-level peg, so no defaults here
+                if (Array.isArray(level.shapes)) {
+                    level.shapes.forEach(shape => {
+                        if (!LevelLoader.isObject(shape) || !Array.isArray(shape.containedPegs)) return;
+                        shape.containedPegs.forEach(peg => {
+                            if (LevelLoader.isObject(peg)) LevelLoader.migrateColor(peg);
+                        });
+                    });
+                }
+                return level;
+            }
+        },
+        {
+            // 1: shapes and spacers only in separate *_dev.json files, mirror pairs stored as positions
+            from: 1,
+            description: 'One file - editor data (shapes, spacers, mirror pairs) moved into an editor section',
+            migrate(level) {
+                return LevelLoader.moveEditorDataToSection(level);
+            }
+        }
+    ];
+
+    /**
+     * Rules used for anything a level's optional `rules` block leaves out
+     */
+    static DEFAULT_RULES = Object.freeze({
+        orangePegs: 25,
+        greenPegs: 2,
+        purplePeg: 'everyTurn', // 'everyTurn' (new purple peg each turn), 'once' (level start only) or 'none'
+        orangeDistribution: DEFAULT_ORANGE_DISTRIBUTION, // Key of ORANGE_DISTRIBUTIONS
+        startingBalls: 10,
+        freeBallThreshold: 10000,
+        pointValues: Object.freeze({ blue: 300, orange: 500, green: 800, purple: 2000 }),
+        multiplierThresholds: Object.freeze([
+            Object.freeze({ percent: 40, multiplier: 2 }),
+            Object.freeze({ percent: 60, multiplier: 3 }),
+            Object.freeze({ percent: 80, multiplier: 5 }),
+            Object.freeze({ percent: 90, multiplier: 8 })
+        ]),
+        starScores: Object.freeze([0, 75000, 150000]) // Final score for 1, 2 and 3 stars once the level is cleared
+    });
+
+    static PURPLE_PEG_POLICIES = ['everyTurn', 'once', 'none'];
+
+    // Per-peg `role` values - 'random' pegs are colored by the seeded RNG, the rest are fixed by the designer
+    static PEG_ROLES = ['random', 'orange', 'green', 'blue-locked'];
+
+    static PEG_TYPES = ['round', 'rect', 'dome'];
+    static PEG_SIZES = ['small', 'base', 'large'];
+    static BOUNCE_TYPES = ['normal', 'dampened', 'no-bounce', 'super-bouncy'];
+    static CHARACTERISTIC_SHAPES = ['rect', 'circle'];
+
+    // Fields each part of a level file may have - anything else gets a warning and is ignored
+    static LEVEL_FIELDS = ['formatVersion', 'name', 'pegs', 'characteristics', 'rules', 'editor'];
+    static PEG_FIELDS = ['x', 'y', 'z', 'color', 'type', 'size', 'bounceType', 'rotation', 'role'];
+    static CHARACTERISTIC_FIELDS = ['x', 'y', 'z', 'shape', 'size', 'rotation', 'bounceType'];
+    static RULE_FIELDS = Object.keys(LevelLoader.DEFAULT_RULES); // Every rule has a default
+    static MULTIPLIER_THRESHOLD_FIELDS = ['percent', 'multiplier'];
+
+    // The `editor` section - only the level editor reads it
+    static EDITOR_FIELDS = ['shapes', 'spacers', 'mirrors'];
+    static EDITOR_SHAPE_TYPES = ['line', 'circle'];
+    static EDITOR_SHAPE_FIELDS = ['x', 'y', 'z', 'type', 'size', 'align', 'justify', 'gap', 'rotation', 'canTakeObjects', 'pegs', 'characteristics'];
+    static EDITOR_SPACER_FIELDS = ['x', 'y', 'z', 'size'];
+
+    // The visible board - objects outside it can never be hit
+    static BOARD_BOUNDS = Object.freeze({ left: -6, right: 6, bottom: -4.5, top: 4.5 });
+
     /**
      * Load a level from a JSON file
      * @param {string} levelPath - Path to the level JSON file
-     * @returns {Promise<Object>} Level data with pegs array
+     * @returns {Promise<Object>} Level data with pegs array, migrated to FORMAT_VERSION
      */
     static async loadLevel(levelPath) {
         try {
@@ -11,12 +126,173 @@ export class LevelLoader {
                 throw new Error(`Failed to load level: ${response.statusText}`);
             }
             const levelData = await response.json();
-            return levelData;
+            return LevelLoader.migrateLevel(levelData);
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Format version a level file was written in (files from before versioning are 0)
+     * @param {Object} levelData
+     * @returns {number}
+     */
+    static getFormatVersion(levelData) {
+        return levelData.formatVersion === undefined ? 0 : levelData.formatVersion;
+    }
+
+    /**
+     * Upgrade a level to FORMAT_VERSION, one migration at a time
+     *
+     * Returns a copy - the caller's object is left alone. Levels already at the latest
+     * version come back as they are (copied), and so does anything that isn't a level
+     * or has a version this code can't read (too new, not a whole number) - validateLevel()
+     * reports those.
+     * @param {Object} levelData - Parsed level or dev file JSON
+     * @returns {Object} Level data at FORMAT_VERSION
+     */
+    static migrateLevel(levelData) {
+        if (!LevelLoader.isObject(levelData)) {
+            return levelData;
+        }
+        let level = structuredClone(levelData);
+        let version = LevelLoader.getFormatVersion(level);
+        if (!Number.isInteger(version) || version < 0 || version > LevelLoader.FORMAT_VERSION) {
+            return level;
+        }
+
+        while (version < LevelLoader.FORMAT_VERSION) {
+            const migration = LevelLoader.MIGRATIONS.find(step => step.from === version);
+            if (!migration) {
+                throw new Error(`No migration from level format ${version}`);
+            }
+            level = migration.migrate(level);
+            version++;
+        }
+
+        // Version first, so saved files show it at the top
+        delete level.formatVersion;
+        return { formatVersion: LevelLoader.FORMAT_VERSION, ...level };
+    }
+
+    /**
+     * "#4a90e2" -> 0x4a90e2 (numbers and unreadable strings are left for validation)
+     */
+    static migrateColor(object) {
+        if (typeof object.color === 'string' && /^#?[0-9a-f]{6}$/i.test(object.color)) {
+            object.color = LevelLoader.hexToNumber(object.color);
+        }
+    }
+
+    static fillDefaults(object, defaults) {
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (object[key] === undefined) {
+                object[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Format 1 -> 2: fold a level file or a dev file into the one-file format
+     *
+     * Pegs that a dev file only kept inside its shapes become level pegs (the level
+     * file they were saved with isn't needed). Shapes point at their pegs and
+     * characteristics by index, and every mirror pair becomes [original, copy] indices.
+     */
+    static moveEditorDataToSection(level) {
+        // Entries that aren't objects keep their place in pegs and characteristics (indices
+        // point into them, and validation reports them), but shapes and spacers drop them
+        const list = value => Array.isArray(value) ? value.filter(item => LevelLoader.isObject(item)) : [];
+        const pegs = Array.isArray(level.pegs) ? level.pegs : [];
+        const characteristics = Array.isArray(level.characteristics) ? level.characteristics : [];
+        const shapes = list(level.shapes);
+        const spacers = list(level.spacers);
+
+        // Same tolerances the editor used to match these up by position
+        const indexAt = (items, position, tolerance) => !LevelLoader.isObject(position) ? -1 : items.findIndex(item =>
+            LevelLoader.isObject(item) && Math.abs(item.x - position.x) < tolerance && Math.abs(item.y - position.y) < tolerance);
+
+        // Pegs in shapes - reuse the level peg at that spot, or add one from the shape's copy
+        const shapePegIndices = shapes.map(shape => list(shape.containedPegs).map(pegRef => {
+            let index = indexAt(pegs, pegRef, 0.01);
+            if (index === -1) {
+                const peg = {};
+                LevelLoader.PEG_FIELDS.forEach(key => {
+                    if (pegRef[key] !== undefined) peg[key] = pegRef[key];
+                });
+                LevelLoader.migrateColor(peg);
+                LevelLoader.fillDefaults(peg, { z: 0, type: 'round', size: 'base', bounceType: 'normal', rotation: 0 });
+                pegs.push(peg);
+                index = pegs.length - 1;
+                // Its mirror data is read below with the other pegs
+                peg.mirrored = pegRef.mirrored;
+                peg.mirrorPairPosition = pegRef.mirrorPairPosition;
+            }
+            return index;
+        }));
+
+        // [original, copy] - the copy is the one saved as `mirrored`
+        const mirrorPairs = items => {
+            const pairs = [];
+            const seen = new Set();
+            items.forEach((item, index) => {
+                if (!LevelLoader.isObject(item)) return;
+                const other = indexAt(items, item.mirrorPairPosition, 0.05);
+                if (other === -1 || other === index) return;
+                const pair = item.mirrored === true ? [other, index] : [index, other];
+                const key = `${Math.min(...pair)},${Math.max(...pair)}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    pairs.push(pair);
+                }
+            });
+            return pairs;
+        };
+        const mirrors = {
+            pegs: mirrorPairs(pegs),
+            characteristics: mirrorPairs(characteristics),
+            shapes: mirrorPairs(shapes),
+            spacers: mirrorPairs(spacers)
+        };
+        [...pegs, ...characteristics].filter(item => LevelLoader.isObject(item)).forEach(item => {
+            delete item.mirrored;
+            delete item.mirrorPairPosition;
+        });
+
+        const editor = {
+            shapes: shapes.map((shape, shapeIndex) => {
+                const { containedPegs, containedCharacteristics, mirrored, mirrorPairPosition, ...fields } = shape;
+                return {
+                    ...fields,
+                    pegs: shapePegIndices[shapeIndex],
+                    characteristics: list(containedCharacteristics)
+                        .map(charRef => indexAt(characteristics, charRef, 0.01))
+                        .filter(index => index !== -1)
+                };
+            }),
+            spacers: spacers.map(({ mirrored, mirrorPairPosition, ...fields }) => fields),
+            mirrors
+        };
+
+        // A dev file gets the pegs from its shapes. Anything else keeps its own pegs and
+        // characteristics, even when they aren't arrays (validation reports that)
+        const { shapes: _shapes, spacers: _spacers, pegs: _pegs, characteristics: _characteristics, ...migrated } = level;
+        if (Array.isArray(level.pegs) || shapes.length > 0) {
+            migrated.pegs = pegs;
+        } else if (level.pegs !== undefined) {
+            migrated.pegs = level.pegs;
+        }
+        if (level.characteristics !== undefined) {
+            migrated.characteristics = level.characteristics;
+        }
+        const hasEditorData = editor.shapes.length > 0 || editor.spacers.length > 0 ||
+            Object.values(mirrors).some(pairs => pairs.length > 0);
+        if (hasEditorData) {
+            migrated.editor = editor;
+        }
+        return migrated;
+    }
+
     /**
      * Convert hex color string to number
      * @param {string} hexColor - Hex color string (e.g., "#ff6b6b")
@@ -28,23 +304,427 @@ export class LevelLoader {
     }
 
     /**
-     * Validate level data structure
-     * @param {Object} levelData - Level data to validate
-     * @returns {boolean} True if valid
+     * Check a level against the level schema
+     *
+     * Errors make the level unplayable (the game refuses to load it). Warnings are
+     * things the game ignores or works around - unknown fields, objects off the board,
+     * pegs stacked on each other. Each issue has the JSON path of the offending value
+     * (e.g. `pegs[12].size`, '' for the file itself).
+     * The `editor` section never stops a level loading - the game doesn't read it, and
+     * the editor skips the entries it can't use - so its problems are all warnings.
+     * @param {Object} levelData - Parsed level JSON (after migrateLevel())
+     * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
      */
     static validateLevel(levelData) {
-        if (!levelData || !Array.isArray(levelData.pegs)) {
-            return false;
+        const report = { errors: [], warnings: [] };
+        const error = (path, message) => report.errors.push({ path, message });
+        const warn = (path, message) => report.warnings.push({ path, message });
+
+        if (!LevelLoader.isObject(levelData)) {
+            error('', 'Level file must be a JSON object');
+            return report;
+        }
+
+        LevelLoader.checkUnknownFields(levelData, LevelLoader.LEVEL_FIELDS, '', warn);
+
+        const version = LevelLoader.getFormatVersion(levelData);
+        if (!Number.isInteger(version) || version < 0) {
+            error('formatVersion', 'Must be a whole number of 0 or more');
+        } else if (version > LevelLoader.FORMAT_VERSION) {
+            error('formatVersion', `Level format ${version} is newer than this game reads (${LevelLoader.FORMAT_VERSION}) - update the game`);
+        }
+
+        if (levelData.name === undefined) {
+            warn('name', 'Level has no name');
+        } else if (typeof levelData.name !== 'string') {
+            error('name', 'Must be a string');
         }
 
-        // Validate each peg has required fields
-        for (const peg of levelData.pegs) {
-            if (typeof peg.x !== 'number' || typeof peg.y !== 'number') {
-                return false;
+        if (!Array.isArray(levelData.pegs)) {
+            error('pegs', levelData.pegs === undefined ? 'Missing - a level needs a pegs array' : 'Must be an array');
+        } else {
+            if (levelData.pegs.length === 0) {
+                warn('pegs', 'Level has no pegs');
             }
+            levelData.pegs.forEach((peg, index) => LevelLoader.validatePeg(peg, `pegs[${index}]`, error, warn));
+            LevelLoader.findStackedPegs(levelData.pegs, warn);
+        }
+
+        if (levelData.characteristics !== undefined) {
+            if (!Array.isArray(levelData.characteristics)) {
+                error('characteristics', 'Must be an array');
+            } else {
+                levelData.characteristics.forEach((characteristic, index) => {
+                    LevelLoader.validateCharacteristic(characteristic, `characteristics[${index}]`, error, warn);
+                });
+            }
+        }
+
+        if (levelData.rules !== undefined) {
+            LevelLoader.validateRules(levelData.rules, error, warn);
+        }
+
+        if (levelData.editor !== undefined) {
+            LevelLoader.validateEditorSection(levelData, warn);
         }
 
-        return true;
+        return report;
+    }
+
+    /**
+     * The `editor` section - shapes and spacers, and the pegs, characteristics and
+     * mirror pairs they refer to by index
+     * @param {Object} levelData
+     * @param {Function} warn - (path, message)
+     */
+    static validateEditorSection(levelData, warn) {
+        const editor = levelData.editor;
+        if (!LevelLoader.isObject(editor)) {
+            warn('editor', 'Must be an object, ignored');
+            return;
+        }
+        LevelLoader.checkUnknownFields(editor, LevelLoader.EDITOR_FIELDS, 'editor', warn);
+
+        const counts = {
+            pegs: Array.isArray(levelData.pegs) ? levelData.pegs.length : 0,
+            characteristics: Array.isArray(levelData.characteristics) ? levelData.characteristics.length : 0,
+            shapes: Array.isArray(editor.shapes) ? editor.shapes.length : 0,
+            spacers: Array.isArray(editor.spacers) ? editor.spacers.length : 0
+        };
+        const isIndex = (value, kind) => Number.isInteger(value) && value >= 0 && value < counts[kind];
+
+        // Positions and sizes of editor objects aren't checked against the board - they're layout guides
+        const checkPosition = (object, path) => {
+            ['x', 'y'].forEach(axis => {
+                if (!LevelLoader.isNumber(object[axis])) {
+                    warn(`${path}.${axis}`, `${object[axis] === undefined ? 'Missing' : 'Must be a number'}, ${path} ignored`);
+                }
+            });
+        };
+
+        ['shapes', 'spacers'].forEach(key => {
+            if (editor[key] !== undefined && !Array.isArray(editor[key])) {
+                warn(`editor.${key}`, 'Must be an array, ignored');
+            }
+        });
+
+        const pegOwners = new Map(); // Peg index -> path of the shape that has it
+        (Array.isArray(editor.shapes) ? editor.shapes : []).forEach((shape, index) => {
+            const path = `editor.shapes[${index}]`;
+            if (!LevelLoader.isObject(shape)) {
+                warn(path, 'Shape must be an object, ignored');
+                return;
+            }
+            checkPosition(shape, path);
+            LevelLoader.checkUnknownFields(shape, LevelLoader.EDITOR_SHAPE_FIELDS, path, warn);
+            if (shape.type !== undefined && !LevelLoader.EDITOR_SHAPE_TYPES.includes(shape.type)) {
+                warn(`${path}.type`, `${JSON.stringify(shape.type)} is not one of ${LevelLoader.EDITOR_SHAPE_TYPES.join(', ')}, shape ignored`);
+            }
+
+            ['pegs', 'characteristics'].forEach(kind => {
+                if (shape[kind] === undefined) return;
+                if (!Array.isArray(shape[kind])) {
+                    warn(`${path}.${kind}`, 'Must be an array of indices, ignored');
+                    return;
+                }
+                shape[kind].forEach((value, position) => {
+                    const itemPath = `${path}.${kind}[${position}]`;
+                    if (!isIndex(value, kind)) {
+                        warn(itemPath, `Not an index into ${kind} (0 to ${counts[kind] - 1}), ignored`);
+                    } else if (kind === 'pegs') {
+                        if (pegOwners.has(value)) {
+                            warn(itemPath, `pegs[${value}] is already in ${pegOwners.get(value)}, ignored`);
+                        } else {
+                            pegOwners.set(value, path);
+                        }
+                    }
+                });
+            });
+        });
+
+        (Array.isArray(editor.spacers) ? editor.spacers : []).forEach((spacer, index) => {
+            const path = `editor.spacers[${index}]`;
+            if (!LevelLoader.isObject(spacer)) {
+                warn(path, 'Spacer must be an object, ignored');
+                return;
+            }
+            checkPosition(spacer, path);
+            LevelLoader.checkUnknownFields(spacer, LevelLoader.EDITOR_SPACER_FIELDS, path, warn);
+        });
+
+        if (editor.mirrors === undefined) return;
+        if (!LevelLoader.isObject(editor.mirrors)) {
+            warn('editor.mirrors', 'Must be an object, ignored');
+            return;
+        }
+        LevelLoader.checkUnknownFields(editor.mirrors, Object.keys(counts), 'editor.mirrors', warn);
+        Object.keys(counts).forEach(kind => {
+            const pairs = editor.mirrors[kind];
+            if (pairs === undefined) return;
+            if (!Array.isArray(pairs)) {
+                warn(`editor.mirrors.${kind}`, 'Must be an array of [original, copy] pairs, ignored');
+                return;
+            }
+            const paired = new Set();
+            pairs.forEach((pair, index) => {
+                const path = `editor.mirrors.${kind}[${index}]`;
+                if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(value => isIndex(value, kind)) || pair[0] === pair[1]) {
+                    warn(path, `Must be two different indices into ${kind}, ignored`);
+                } else if (pair.some(value => paired.has(value))) {
+                    warn(path, 'Uses an index that is already in another pair, ignored');
+                } else {
+                    pair.forEach(value => paired.add(value));
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {Object} peg - One entry of `pegs`
+     * @param {string} path - JSON path of the peg
+     * @param {Function} error - (path, message)
+     * @param {Function} warn - (path, message)
+     */
+    static validatePeg(peg, path, error, warn) {
+        if (!LevelLoader.isObject(peg)) {
+            error(path, 'Peg must be an object');
+            return;
+        }
+
+        LevelLoader.validatePosition(peg, path, error, warn);
+        LevelLoader.checkUnknownFields(peg, LevelLoader.PEG_FIELDS, path, warn);
+
+        LevelLoader.checkOneOf(peg.type, LevelLoader.PEG_TYPES, `${path}.type`, error);
+        LevelLoader.checkOneOf(peg.size, LevelLoader.PEG_SIZES, `${path}.size`, error);
+        LevelLoader.checkOneOf(peg.bounceType, LevelLoader.BOUNCE_TYPES, `${path}.bounceType`, error);
+        LevelLoader.checkOneOf(peg.role, LevelLoader.PEG_ROLES, `${path}.role`, error);
+        if (peg.rotation !== undefined && !LevelLoader.isNumber(peg.rotation)) {
+            error(`${path}.rotation`, 'Must be a number (radians)');
+        }
+
+        // Color: "#4a90e2" or 4886754
+        if (peg.color !== undefined) {
+            if (typeof peg.color === 'string') {
+                if (!/^#?[0-9a-f]{6}$/i.test(peg.color)) {
+                    error(`${path}.color`, `"${peg.color}" is not a hex color like "#4a90e2"`);
+                }
+            } else if (!(Number.isInteger(peg.color) && peg.color >= 0 && peg.color <= 0xffffff)) {
+                error(`${path}.color`, 'Must be a hex string like "#4a90e2" or a number from 0 to 16777215');
+            }
+        }
+    }
+
+    /**
+     * @param {Object} characteristic - One entry of `characteristics`
+     * @param {string} path - JSON path of the characteristic
+     * @param {Function} error - (path, message)
+     * @param {Function} warn - (path, message)
+     */
+    static validateCharacteristic(characteristic, path, error, warn) {
+        if (!LevelLoader.isObject(characteristic)) {
+            error(path, 'Characteristic must be an object');
+            return;
+        }
+
+        LevelLoader.validatePosition(characteristic, path, error, warn);
+        LevelLoader.checkUnknownFields(characteristic, LevelLoader.CHARACTERISTIC_FIELDS, path, warn);
+
+        LevelLoader.checkOneOf(characteristic.shape, LevelLoader.CHARACTERISTIC_SHAPES, `${path}.shape`, error);
+        LevelLoader.checkOneOf(characteristic.bounceType, LevelLoader.BOUNCE_TYPES, `${path}.bounceType`, error);
+        if (characteristic.rotation !== undefined && !LevelLoader.isNumber(characteristic.rotation)) {
+            error(`${path}.rotation`, 'Must be a number (radians)');
+        }
+
+        // Size depends on the shape: { radius } for circles, { width, height } for rectangles
+        if (characteristic.size !== undefined) {
+            const sizePath = `${path}.size`;
+            const keys = characteristic.shape === 'circle' ? ['radius'] : ['width', 'height'];
+            if (!LevelLoader.isObject(characteristic.size)) {
+                error(sizePath, `Must be an object with ${keys.join(' and ')}`);
+            } else {
+                keys.forEach(key => {
+                    const value = characteristic.size[key];
+                    if (!(LevelLoader.isNumber(value) && value > 0)) {
+                        error(`${sizePath}.${key}`, value === undefined ? 'Missing' : 'Must be a number above 0');
+                    }
+                });
+                LevelLoader.checkUnknownFields(characteristic.size, keys, sizePath, warn);
+            }
+        }
+    }
+
+    /**
+     * x and y must be numbers (z is optional), and should be on the board
+     */
+    static validatePosition(object, path, error, warn) {
+        ['x', 'y'].forEach(axis => {
+            if (!LevelLoader.isNumber(object[axis])) {
+                error(`${path}.${axis}`, object[axis] === undefined ? 'Missing' : 'Must be a number');
+            }
+        });
+        if (object.z !== undefined && !LevelLoader.isNumber(object.z)) {
+            error(`${path}.z`, 'Must be a number');
+        }
+
+        const bounds = LevelLoader.BOARD_BOUNDS;
+        if (LevelLoader.isNumber(object.x) && LevelLoader.isNumber(object.y) &&
+            (object.x < bounds.left || object.x > bounds.right || object.y < bounds.bottom || object.y > bounds.top)) {
+            warn(path, `Position (${object.x}, ${object.y}) is off the board (x ${bounds.left} to ${bounds.right}, y ${bounds.bottom} to ${bounds.top})`);
+        }
+    }
+
+    /**
+     * Warn about pegs placed exactly on top of another one (usually a double paste in the editor)
+     */
+    static findStackedPegs(pegs, warn) {
+        const seen = new Map(); // Rounded position -> first index
+        pegs.forEach((peg, index) => {
+            if (!LevelLoader.isObject(peg) || !LevelLoader.isNumber(peg.x) || !LevelLoader.isNumber(peg.y)) return;
+            const key = `${peg.x.toFixed(3)},${peg.y.toFixed(3)}`;
+            if (seen.has(key)) {
+                warn(`pegs[${index}]`, `Same position as pegs[${seen.get(key)}]`);
+            } else {
+                seen.set(key, index);
+            }
+        });
+    }
+
+    static checkOneOf(value, allowed, path, error) {
+        if (value !== undefined && !allowed.includes(value)) {
+            error(path, `${JSON.stringify(value)} is not one of ${allowed.join(', ')}`);
+        }
+    }
+
+    static checkUnknownFields(object, allowed, path, warn) {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) {
+                warn(path ? `${path}.${key}` : key, 'Unknown field, ignored');
+            }
+        });
+    }
+
+    static isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * One line for a report issue: "pegs[3].size: "huge" is not one of small, base, large"
+     * @param {{path: string, message: string}} issue
+     * @returns {string}
+     */
+    static formatIssue(issue) {
+        return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+    }
+
+    /**
+     * Check a level's optional `rules` block
+     * @param {Object} rules - `rules` from the level
+     * @param {Function} error - (path, message)
+     * @param {Function} warn - (path, message)
+     */
+    static validateRules(rules, error, warn) {
+        if (!LevelLoader.isObject(rules)) {
+            error('rules', 'Must be an object');
+            return;
+        }
+
+        LevelLoader.checkUnknownFields(rules, LevelLoader.RULE_FIELDS, 'rules', warn);
+
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+        ['orangePegs', 'greenPegs'].forEach(key => {
+            if (rules[key] !== undefined && !isCount(rules[key])) {
+                error(`rules.${key}`, 'Must be a whole number of 0 or more');
+            }
+        });
+        if (rules.startingBalls !== undefined && !(Number.isInteger(rules.startingBalls) && rules.startingBalls > 0)) {
+            error('rules.startingBalls', 'Must be a whole number of 1 or more');
+        }
+        if (rules.freeBallThreshold !== undefined && !(LevelLoader.isNumber(rules.freeBallThreshold) && rules.freeBallThreshold > 0)) {
+            error('rules.freeBallThreshold', 'Must be a number above 0');
+        }
+        if (rules.purplePeg !== undefined && !LevelLoader.PURPLE_PEG_POLICIES.includes(rules.purplePeg)) {
+            error('rules.purplePeg', `Must be one of ${LevelLoader.PURPLE_PEG_POLICIES.join(', ')}`);
+        }
+        if (rules.orangeDistribution !== undefined && !Object.hasOwn(ORANGE_DISTRIBUTIONS, rules.orangeDistribution)) {
+            error('rules.orangeDistribution', `Must be one of ${Object.keys(ORANGE_DISTRIBUTIONS).join(', ')}`);
+        }
+
+        if (rules.pointValues !== undefined) {
+            if (!LevelLoader.isObject(rules.pointValues)) {
+                error('rules.pointValues', 'Must be an object');
+            } else {
+                Object.entries(rules.pointValues).forEach(([color, value]) => {
+                    if (!(color in LevelLoader.DEFAULT_RULES.pointValues)) {
+                        error(`rules.pointValues.${color}`, 'Not a peg color (blue, orange, green, purple)');
+                    } else if (!LevelLoader.isNumber(value) || value < 0) {
+                        error(`rules.pointValues.${color}`, 'Must be a number of 0 or more');
+                    }
+                });
+            }
+        }
+
+        if (rules.multiplierThresholds !== undefined) {
+            if (!Array.isArray(rules.multiplierThresholds)) {
+                error('rules.multiplierThresholds', 'Must be an array');
+            } else {
+                let previousPercent = -Infinity;
+                rules.multiplierThresholds.forEach((threshold, index) => {
+                    const path = `rules.multiplierThresholds[${index}]`;
+                    if (LevelLoader.isObject(threshold)) {
+                        LevelLoader.checkUnknownFields(threshold, LevelLoader.MULTIPLIER_THRESHOLD_FIELDS, path, warn);
+                    }
+                    if (!threshold || !LevelLoader.isNumber(threshold.percent) || threshold.percent < 0 || threshold.percent > 100) {
+                        error(`${path}.percent`, 'Must be a number from 0 to 100');
+                    } else if (threshold.percent <= previousPercent) {
+                        error(`${path}.percent`, 'Must be higher than the threshold before it');
+                    } else {
+                        previousPercent = threshold.percent;
+                    }
+                    if (!threshold || !LevelLoader.isNumber(threshold.multiplier) || threshold.multiplier < 1) {
+                        error(`${path}.multiplier`, 'Must be a number of 1 or more');
+                    }
+                });
+            }
+        }
+
+        if (rules.starScores !== undefined) {
+            if (!Array.isArray(rules.starScores) || rules.starScores.length !== 3) {
+                error('rules.starScores', 'Must be an array of 3 scores (1, 2 and 3 stars)');
+            } else {
+                let previousScore = -Infinity;
+                rules.starScores.forEach((score, index) => {
+                    const path = `rules.starScores[${index}]`;
+                    if (!LevelLoader.isNumber(score) || score < 0) {
+                        error(path, 'Must be a number of 0 or more');
+                    } else if (score < previousScore) {
+                        error(path, 'Must be at least the score before it');
+                    } else {
+                        previousScore = score;
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Fill in defaults for anything a (validated) rules block leaves out
+     * @param {Object|undefined} rules
+     * @returns {Object} Complete rules
+     */
+    static resolveRules(rules = {}) {
+        const defaults = LevelLoader.DEFAULT_RULES;
+        return {
+            ...defaults,
+            ...rules,
+            pointValues: { ...defaults.pointValues, ...(rules.pointValues || {}) },
+            multiplierThresholds: (rules.multiplierThresholds || defaults.multiplierThresholds).map(t => ({ ...t })),
+            starScores: [...(rules.starScores || defaults.starScores)]
+        };
     }
 }
 
@@ -0,0 +1,92 @@
+import { LevelLoader } from './LevelLoader.js';
+
+/**
+ * Level validation report overlay - the game's "this level can't be played" screen
+ * and the editor's load report share it
+ *
+ * Lists every error and warning from LevelLoader.validateLevel() with its JSON path.
+ */
+export class LevelReportDialog {
+    /**
+     * @param {Element} root - #level-report-overlay
+     */
+    constructor(root) {
+        this.root = root;
+        this.onAction = null;
+        if (!root) return;
+
+        this.titleElement = root.querySelector('#level-report-title');
+        this.sourceElement = root.querySelector('#level-report-source');
+        this.summaryElement = root.querySelector('#level-report-summary');
+        this.listElement = root.querySelector('#level-report-list');
+        this.actionButton = root.querySelector('#level-report-action');
+
+        this.actionButton.addEventListener('click', () => {
+            const onAction = this.onAction;
+            this.hide();
+            if (onAction) onAction();
+        });
+        root.querySelector('#level-report-close').addEventListener('click', () => this.actionButton.click());
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.title - Heading
+     * @param {string} options.source - File name or path the report is about
+     * @param {{errors: Array, warnings: Array}} options.report - LevelLoader.validateLevel() result
+     * @param {string} options.actionLabel - Text of the one button
+     * @param {Function|null} options.onAction - Runs after the dialog closes (button, × or gamepad back)
+     */
+    show({ title, source = '', report, actionLabel = 'OK', onAction = null }) {
+        if (!this.root) return;
+
+        this.titleElement.textContent = title;
+        this.sourceElement.textContent = source;
+        this.summaryElement.textContent = LevelReportDialog.summarize(report);
+        this.actionButton.textContent = actionLabel;
+        this.onAction = onAction;
+
+        this.listElement.replaceChildren();
+        const addIssues = (issues, className) => issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = className;
+            const path = document.createElement('code');
+            path.textContent = issue.path || '(file)';
+            item.append(path, ` ${issue.message}`);
+            this.listElement.appendChild(item);
+        });
+        addIssues(report.errors, 'level-report-error');
+        addIssues(report.warnings, 'level-report-warning');
+
+        this.root.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.root) {
+            this.root.style.display = 'none';
+        }
+        this.onAction = null;
+    }
+
+    isOpen() {
+        return !!this.root && this.root.style.display === 'flex';
+    }
+
+    /**
+     * "2 errors, 1 warning"
+     */
+    static summarize(report) {
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        return `${count(report.errors.length, 'error')}, ${count(report.warnings.length, 'warning')}`;
+    }
+
+    /**
+     * One issue per line, for the console
+     */
+    static toText(report) {
+        return [
+            ...report.errors.map(issue => `error   ${LevelLoader.formatIssue(issue)}`),
+            ...report.warnings.map(issue => `warning ${LevelLoader.formatIssue(issue)}`)
+        ].join('\n');
+    }
+}
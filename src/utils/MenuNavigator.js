@@ -0,0 +1,146 @@
+/**
+ * Controller navigation for the DOM menus - keeps a focus highlight on one
+ * element of the open menu, moves it spatially and clicks it on confirm
+ *
+ * Menus are plain lists of elements (Game decides which menu is on top), so
+ * nothing here knows about the level selector, character selector or editor.
+ */
+export class MenuNavigator {
+    constructor() {
+        this.focused = null;
+        this.focusClass = 'gamepad-focus';
+    }
+
+    /**
+     * Elements of a menu the gamepad can land on
+     * @param {Element} root
+     * @returns {Element[]}
+     */
+    static getItems(root) {
+        if (!root) {
+            return [];
+        }
+        const selector = 'button, select, input:not([type="file"]), .level-option, .character-option, .toolbar-item';
+        return Array.from(root.querySelectorAll(selector)).filter(element => MenuNavigator.isVisible(element));
+    }
+
+    static isVisible(element) {
+        return !!element && !element.disabled && element.getClientRects().length > 0 &&
+            getComputedStyle(element).visibility !== 'hidden';
+    }
+
+    /**
+     * Move the highlight to the nearest item in a direction (the first item if nothing has it yet)
+     * @param {Element[]} items
+     * @param {'up'|'down'|'left'|'right'} direction
+     */
+    move(items, direction) {
+        if (!items.includes(this.focused)) {
+            this.setFocus(items[0] || null);
+            return;
+        }
+
+        // Sliders take left/right as their own
+        if (this.focused.type === 'range' && (direction === 'left' || direction === 'right')) {
+            if (direction === 'left') {
+                this.focused.stepDown();
+            } else {
+                this.focused.stepUp();
+            }
+            this.focused.dispatchEvent(new Event('input', { bubbles: true }));
+            return;
+        }
+
+        const from = this.getCenter(this.focused);
+        const axis = {
+            left: { x: -1, y: 0 },
+            right: { x: 1, y: 0 },
+            up: { x: 0, y: -1 },
+            down: { x: 0, y: 1 }
+        }[direction];
+
+        // Nearest item ahead, preferring ones in line with the current one
+        let best = null;
+        let bestScore = Infinity;
+        items.forEach(item => {
+            if (item === this.focused) return;
+            const to = this.getCenter(item);
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const ahead = dx * axis.x + dy * axis.y;
+            if (ahead <= 1) return;
+            const sideways = Math.abs(dx * axis.y + dy * axis.x);
+            const score = ahead + sideways * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = item;
+            }
+        });
+
+        if (best) {
+            this.setFocus(best);
+        }
+    }
+
+    /**
+     * Confirm - click the highlighted item (selects step to their next option)
+     * @param {Element[]} items
+     */
+    activate(items) {
+        if (!items.includes(this.focused)) {
+            this.setFocus(items[0] || null);
+            return;
+        }
+
+        const element = this.focused;
+        if (element.tagName === 'SELECT') {
+            if (element.options.length > 0) {
+                element.selectedIndex = (element.selectedIndex + 1) % element.options.length;
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (element.tagName === 'INPUT' && element.type !== 'checkbox' && element.type !== 'radio') {
+            // Text fields need a keyboard - just put the caret in them
+            element.focus();
+        } else {
+            element.click();
+        }
+    }
+
+    /**
+     * Back - click the menu's close button if it has one
+     * @param {Element} root
+     * @returns {boolean} True if a close button was clicked
+     */
+    back(root) {
+        if (!root) {
+            return false;
+        }
+        const closeButton = Array.from(root.querySelectorAll('button'))
+            .find(button => (button.id && button.id.endsWith('-close')) || button.textContent.trim() === '×');
+        if (closeButton && MenuNavigator.isVisible(closeButton)) {
+            closeButton.click();
+            return true;
+        }
+        return false;
+    }
+
+    setFocus(element) {
+        if (this.focused) {
+            this.focused.classList.remove(this.focusClass);
+        }
+        this.focused = element;
+        if (element) {
+            element.classList.add(this.focusClass);
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    clear() {
+        this.setFocus(null);
+    }
+
+    getCenter(element) {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Peg colors and colorblind palettes
+ *
+ * Game code always works with the canonical colors in PEG_COLORS (they're what
+ * peg.color holds and what level files store). The active palette only changes
+ * what reaches the shader: Peg maps a canonical color through getPegDisplayColor()
+ * and picks its glyph with getPegGlyph(), so switching palettes never touches
+ * game state, saved levels or replays.
+ */
+export const PEG_COLORS = Object.freeze({
+    blue: 0x4a90e2,
+    orange: 0xff8c00,
+    green: 0x32cd32,
+    purple: 0xba55d3,
+    blueHit: 0x87ceeb,
+    orangeHit: 0xffb347,
+    greenHit: 0x90ee90,
+    purpleHit: 0x9370db
+});
+
+/**
+ * Glyphs drawn inside the peg (values of the shader's glyph uniform)
+ */
+export const PegGlyph = Object.freeze({
+    NONE: 0,
+    STAR: 1,
+    PLUS: 2,
+    DIAMOND: 3
+});
+
+// Which glyph marks each kind of peg, lit or not
+const GLYPHS_BY_KIND = Object.freeze({
+    orange: PegGlyph.STAR,
+    orangeHit: PegGlyph.STAR,
+    green: PegGlyph.PLUS,
+    greenHit: PegGlyph.PLUS,
+    purple: PegGlyph.DIAMOND,
+    purpleHit: PegGlyph.DIAMOND
+});
+
+/**
+ * Palettes - canonical kind -> displayed color. The colorblind presets keep the
+ * peg kinds apart by lightness and along the color axis each type can still see
+ * (built from the Okabe-Ito set).
+ */
+export const PEG_PALETTES = Object.freeze({
+    default: {
+        name: 'Default',
+        colors: PEG_COLORS
+    },
+    deuteranopia: {
+        name: 'Deuteranopia',
+        colors: {
+            blue: 0x0072b2, // Dark blue
+            orange: 0xe69f00, // Yellow-orange
+            green: 0x56b4e9, // Sky blue, much lighter than the blue pegs
+            purple: 0xcc79a7, // Reddish purple
+            blueHit: 0x66aad1,
+            orangeHit: 0xf5c860,
+            greenHit: 0xa8d8f5,
+            purpleHit: 0xe6b3d0
+        }
+    },
+    protanopia: {
+        name: 'Protanopia',
+        colors: {
+            blue: 0x0072b2, // Dark blue
+            orange: 0xf0e442, // Yellow - reds look dark to protans, yellow keeps its brightness
+            green: 0x56b4e9, // Sky blue
+            purple: 0xcc79a7, // Reddish purple
+            blueHit: 0x66aad1,
+            orangeHit: 0xf7f0a0,
+            greenHit: 0xa8d8f5,
+            purpleHit: 0xe6b3d0
+        }
+    },
+    tritanopia: {
+        name: 'Tritanopia',
+        colors: {
+            blue: 0x008b8b, // Teal
+            orange: 0xe0304e, // Red-pink
+            green: 0x9be8e8, // Pale cyan, much lighter than the teal pegs
+            purple: 0x8c1c8c, // Dark magenta
+            blueHit: 0x66c0c0,
+            orangeHit: 0xf08a9b,
+            greenHit: 0xd0f5f5,
+            purpleHit: 0xc070c0
+        }
+    }
+});
+
+export const DEFAULT_PEG_PALETTE = 'default';
+
+const SHADER_LIGHTEN = 1.3; // The peg shader comes out darker than the input color
+
+// Canonical color -> kind, for looking up the palette and glyph of a color
+const KINDS_BY_COLOR = new Map(Object.entries(PEG_COLORS).map(([kind, color]) => [color, kind]));
+
+let activePalette = DEFAULT_PEG_PALETTE;
+let glyphsEnabled = false;
+
+/**
+ * Scale a hex color's channels (clamped to 255)
+ * @param {number} hexColor
+ * @param {number} factor
+ * @returns {number}
+ */
+export function lightenColor(hexColor, factor) {
+    const r = ((hexColor >> 16) & 0xFF) * factor;
+    const g = ((hexColor >> 8) & 0xFF) * factor;
+    const b = (hexColor & 0xFF) * factor;
+    return ((Math.min(255, r) << 16) | (Math.min(255, g) << 8) | Math.min(255, b));
+}
+
+/**
+ * Color to put in the peg shader for a canonical color - palette applied, then
+ * lightened to make up for the shader darkening. Colors that aren't peg kinds
+ * (custom level colors, bounce type rings) only get lightened.
+ * @param {number} color - Canonical hex color
+ * @returns {number}
+ */
+export function getPegDisplayColor(color) {
+    const kind = KINDS_BY_COLOR.get(color);
+    const mapped = kind ? PEG_PALETTES[activePalette].colors[kind] : color;
+    return lightenColor(mapped, SHADER_LIGHTEN);
+}
+
+/**
+ * @param {number} color - Canonical hex color
+ * @returns {number} PegGlyph value (NONE while glyphs are off)
+ */
+export function getPegGlyph(color) {
+    if (!glyphsEnabled) {
+        return PegGlyph.NONE;
+    }
+    return GLYPHS_BY_KIND[KINDS_BY_COLOR.get(color)] || PegGlyph.NONE;
+}
+
+export function getPegPalette() {
+    return activePalette;
+}
+
+export function arePegGlyphsEnabled() {
+    return glyphsEnabled;
+}
+
+/**
+ * Change the palette and glyph setting (pegs already on the board need Peg.refreshColors())
+ * @param {{palette?: string, glyphs?: boolean}} settings
+ */
+export function setPegPaletteSettings({ palette = activePalette, glyphs = glyphsEnabled } = {}) {
+    if (!PEG_PALETTES[palette]) {
+        console.warn(`[PegPalette] Unknown palette "${palette}", using ${DEFAULT_PEG_PALETTE}`);
+        palette = DEFAULT_PEG_PALETTE;
+    }
+    activePalette = palette;
+    glyphsEnabled = !!glyphs;
+}
@@ -0,0 +1,156 @@
+import { StateHashLog } from '../simulation/StateHashLog.js';
+
+/**
+ * Replay - versioned record of a game: level, character, seed and every shot
+ *
+ * A game is fully determined by its seed plus, per shot, the aim angle, the
+ * bucket state and the physics accumulator at the moment of firing (the bucket
+ * moves on its own clock, and the accumulator's rounding drift decides where the
+ * extra physics substeps land, so the seed alone can't reproduce either). Player
+ * input a power reads while the ball is in flight (the Arkanoid pad, Buzz's thrust)
+ * is recorded per shot frame too. Playing a replay back restores all of it and
+ * re-fires each angle, so the board ends up the same as the original game however
+ * long playback waits between shots.
+ * The optional state hash stream lets playback check that it really did.
+ */
+export class Replay {
+    static FORMAT = 'peggle-replay';
+    static VERSION = 3; // 2: shots carry physicsAccumulator, 3: shots carry inputs
+
+    constructor({ levelPath = null, characterId = null, seed = null, orangeDistribution = null, shots = [], finalScore = null, recordedAt = null, hashLog = null } = {}) {
+        this.levelPath = levelPath;
+        this.characterId = characterId;
+        this.seed = seed;
+        this.orangeDistribution = orangeDistribution; // Orange layout override the game used (null = level default)
+        this.shots = shots; // [{ angle, bucket: { currentX, tripProgress, direction }, physicsAccumulator, inputs: [{ frame, type, value }] }]
+        this.finalScore = finalScore;
+        this.recordedAt = recordedAt || new Date().toISOString();
+        this.hashLog = hashLog; // StateHashLog of the recorded game (optional)
+    }
+
+    /**
+     * Record a shot as it is fired
+     * @param {number} angle - Shot angle in degrees (already clamped and rounded)
+     * @param {Bucket} bucket - Bucket to snapshot (may be null)
+     * @param {number} physicsAccumulator - PhysicsWorld.accumulator at the moment of firing
+     */
+    recordShot(angle, bucket, physicsAccumulator) {
+        this.shots.push({
+            angle,
+            bucket: bucket ? bucket.getState() : null,
+            physicsAccumulator,
+            inputs: []
+        });
+    }
+
+    /**
+     * Record player input during the current shot
+     *
+     * Values (e.g. the pad position) are only stored when they change. Presses
+     * (value null) are stored every time.
+     * @param {number} frame - Game.shotFrame the input applies from
+     * @param {string} type - e.g. 'padX', 'power'
+     * @param {number|null} value - Null for a press
+     */
+    recordInput(frame, type, value = null) {
+        const shot = this.shots[this.shots.length - 1];
+        if (!shot) return;
+        if (value !== null) {
+            const previous = shot.inputs.findLast(input => input.type === type);
+            if (previous && previous.value === value) return;
+        }
+        shot.inputs.push({ frame, type, value });
+    }
+
+    /**
+     * Mark the replay as complete with the final score
+     */
+    finish(score) {
+        this.finalScore = score;
+    }
+
+    toJSON() {
+        return {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            levelPath: this.levelPath,
+            characterId: this.characterId,
+            seed: this.seed,
+            orangeDistribution: this.orangeDistribution,
+            recordedAt: this.recordedAt,
+            finalScore: this.finalScore,
+            shots: this.shots,
+            hashes: this.hashLog ? this.hashLog.toJSON() : null
+        };
+    }
+
+    /**
+     * Build a replay from parsed JSON, rejecting anything we can't play back
+     * @param {Object} data - Parsed replay file
+     * @returns {Replay}
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== Replay.FORMAT) {
+            throw new Error('Not a replay file');
+        }
+        // Older versions only lack fields that default to "not recorded"
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > Replay.VERSION) {
+            throw new Error(`Unsupported replay version ${data.version} (expected 1 to ${Replay.VERSION})`);
+        }
+        if (typeof data.seed !== 'number' || !Number.isFinite(data.seed)) {
+            throw new Error('Replay is missing a seed');
+        }
+        if (typeof data.levelPath !== 'string' || data.levelPath === '') {
+            throw new Error('Replay is missing a level path');
+        }
+        if (!Array.isArray(data.shots)) {
+            throw new Error('Replay is missing shots');
+        }
+
+        const shots = data.shots.map((shot, index) => {
+            if (!shot || typeof shot.angle !== 'number' || !Number.isFinite(shot.angle)) {
+                throw new Error(`Replay shot ${index} has no angle`);
+            }
+            const bucket = shot.bucket;
+            if (bucket && (typeof bucket.currentX !== 'number' ||
+                           typeof bucket.tripProgress !== 'number' ||
+                           (bucket.direction !== 1 && bucket.direction !== -1))) {
+                throw new Error(`Replay shot ${index} has an invalid bucket state`);
+            }
+            // Replays saved before it was recorded don't have it - playback leaves the accumulator alone
+            const physicsAccumulator = shot.physicsAccumulator ?? null;
+            if (physicsAccumulator !== null && (typeof physicsAccumulator !== 'number' || !Number.isFinite(physicsAccumulator) || physicsAccumulator < 0)) {
+                throw new Error(`Replay shot ${index} has an invalid physics accumulator`);
+            }
+            // Same for inputs - playback reads the live mouse instead
+            const inputs = shot.inputs ?? null;
+            if (inputs !== null && (!Array.isArray(inputs) || !inputs.every(input => input &&
+                    Number.isInteger(input.frame) && input.frame >= 0 &&
+                    typeof input.type === 'string' && input.type !== '' &&
+                    (input.value === null || (typeof input.value === 'number' && Number.isFinite(input.value)))))) {
+                throw new Error(`Replay shot ${index} has invalid inputs`);
+            }
+            return {
+                angle: shot.angle,
+                bucket: bucket ? {
+                    currentX: bucket.currentX,
+                    tripProgress: bucket.tripProgress,
+                    direction: bucket.direction
+                } : null,
+                physicsAccumulator,
+                inputs: inputs && inputs.map(({ frame, type, value }) => ({ frame, type, value }))
+            };
+        });
+
+        return new Replay({
+            levelPath: data.levelPath,
+            characterId: data.characterId ?? null,
+            seed: data.seed,
+            orangeDistribution: data.orangeDistribution ?? null,
+            shots,
+            finalScore: typeof data.finalScore === 'number' ? data.finalScore : null,
+            recordedAt: data.recordedAt ?? null,
+            hashLog: data.hashes ? StateHashLog.fromJSON(data.hashes) : null
+        });
+    }
+}
@@ -0,0 +1,129 @@
+import { PEG_PALETTES, DEFAULT_PEG_PALETTE } from './PegPalette.js';
+
+/**
+ * Player settings and their defaults
+ *
+ * Every setting is applied live by Game.applySetting() - nothing here needs a restart.
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+    masterVolume: 1.0, // 0-1, AudioManager.setMasterVolume
+    sfxVolume: 1.0, // 0-1, AudioManager.setSfxVolume
+    musicVolume: 0.25, // 0-1, AudioManager.setMusicVolume
+    muted: false, // AudioManager.setEnabled(!muted)
+    maxFPS: 0, // Render frame cap, 0 = the display's refresh rate (the simulation tick rate never changes)
+    renderScale: 1.0, // 0.5-1, multiplies the renderer pixel ratio
+    adaptiveQuality: false, // Game.adaptiveSlowdownEnabled - lower the resolution further when FPS drops
+    trajectoryGuide: true, // Game.showTrajectoryGuide
+    pegPalette: DEFAULT_PEG_PALETTE, // Key of PEG_PALETTES
+    pegGlyphs: false // Shape markers inside special pegs
+});
+
+export const FPS_CAPS = Object.freeze([0, 30, 60, 120, 144]);
+
+// Setting -> value check/cleanup (returns undefined to reject the value)
+const VALIDATORS = {
+    masterVolume: value => clampNumber(value, 0, 1),
+    sfxVolume: value => clampNumber(value, 0, 1),
+    musicVolume: value => clampNumber(value, 0, 1),
+    muted: value => toBoolean(value),
+    maxFPS: value => FPS_CAPS.includes(Number(value)) ? Number(value) : undefined,
+    renderScale: value => clampNumber(value, 0.5, 1),
+    adaptiveQuality: value => toBoolean(value),
+    trajectoryGuide: value => toBoolean(value),
+    pegPalette: value => PEG_PALETTES[value] ? value : undefined,
+    pegGlyphs: value => toBoolean(value)
+};
+
+function clampNumber(value, min, max) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : undefined;
+}
+
+function toBoolean(value) {
+    return typeof value === 'boolean' ? value : undefined;
+}
+
+const STORAGE_KEY = 'settings';
+
+/**
+ * Settings store - validated values, saved to localStorage on every change
+ *
+ * Listeners get (key, value) for each change, so the game can apply just that setting.
+ */
+export class Settings {
+    constructor() {
+        this.values = { ...DEFAULT_SETTINGS };
+        this.listeners = new Set();
+    }
+
+    /**
+     * Restore saved settings - unknown keys and invalid values are dropped, so an
+     * old or hand-edited save falls back to the defaults for whatever it got wrong
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('[Settings] Could not read saved settings:', error);
+        }
+        if (!saved || typeof saved !== 'object') return;
+
+        Object.entries(saved).forEach(([key, value]) => {
+            const validated = VALIDATORS[key] ? VALIDATORS[key](value) : undefined;
+            if (validated !== undefined) {
+                this.values[key] = validated;
+            }
+        });
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('[Settings] Could not save settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Change a setting, save and notify listeners
+     * @returns {boolean} False if the key is unknown or the value invalid
+     */
+    set(key, value) {
+        const validator = VALIDATORS[key];
+        const validated = validator ? validator(value) : undefined;
+        if (validated === undefined) {
+            console.warn(`[Settings] Invalid value for "${key}":`, value);
+            return false;
+        }
+        if (this.values[key] === validated) {
+            return true;
+        }
+        this.values[key] = validated;
+        this.save();
+        this.listeners.forEach(listener => listener(key, validated));
+        return true;
+    }
+
+    /**
+     * Back to the defaults (listeners hear about every setting)
+     */
+    reset() {
+        Object.entries(DEFAULT_SETTINGS).forEach(([key, value]) => this.set(key, value));
+    }
+
+    /**
+     * @param {Function} listener - (key, value) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}